@@ -0,0 +1,112 @@
+const categoryController = require('../categoryController');
+const { validationResult } = require('express-validator');
+const Category = require('../../models/Category');
+const Post = require('../../models/Post');
+const categoryService = require('../../services/categoryService');
+
+jest.mock('../../models/Category', () => ({
+  find: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 })
+}));
+
+jest.mock('../../models/Post', () => ({
+  exists: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../services/categoryService', () => ({
+  findByRef: jest.fn().mockResolvedValue(null),
+  getPostCounts: jest.fn().mockResolvedValue(new Map())
+}));
+
+jest.mock('express-validator', () => ({
+  validationResult: jest.fn()
+}));
+
+const CATEGORY_ID = '507f1f77bcf86cd799439044';
+const admin = { userId: 1, role: 'admin' };
+
+const mockRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+describe('categoryController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationResult.mockReturnValue({ isEmpty: () => true });
+  });
+
+  test('getCategories lists categories with their published post counts', async () => {
+    Category.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([{ _id: CATEGORY_ID, toJSON: () => ({ categoryId: CATEGORY_ID, name: 'Help' }) }])
+    });
+    categoryService.getPostCounts.mockResolvedValue(new Map([[CATEGORY_ID, 4]]));
+    const res = mockRes();
+
+    await categoryController.getCategories({}, res, jest.fn());
+
+    expect(res.json).toHaveBeenCalledWith({ categories: [{ categoryId: CATEGORY_ID, name: 'Help', postCount: 4 }] });
+  });
+
+  test('createCategory derives the slug from the name', async () => {
+    Category.create.mockImplementation(async data => ({ toJSON: () => data }));
+    const res = mockRes();
+
+    await categoryController.createCategory({ body: { name: 'Help & Support', description: 'Questions' }, user: admin }, res, jest.fn());
+
+    expect(Category.create).toHaveBeenCalledWith({ name: 'Help & Support', slug: 'help-support', description: 'Questions' });
+    expect(res.status).toHaveBeenCalledWith(201);
+
+    await categoryController.createCategory({ body: { name: 'Help', slug: 'help & support' }, user: admin }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid slug' });
+  });
+
+  test('createCategory answers 409 for a slug in use', async () => {
+    Category.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    const res = mockRes();
+
+    await categoryController.createCategory({ body: { name: 'Help', slug: 'help' }, user: admin }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ error: 'A category with this slug already exists' });
+  });
+
+  test('updateCategory renames a category', async () => {
+    const category = { slug: 'help', name: 'Help', save: jest.fn(), toJSON: () => ({}) };
+    categoryService.findByRef.mockResolvedValue(category);
+    const res = mockRes();
+
+    await categoryController.updateCategory({ params: { id: 'help' }, body: { name: 'Support', slug: 'Support' }, user: admin }, res, jest.fn());
+
+    expect(category).toEqual(expect.objectContaining({ name: 'Support', slug: 'support', dateModified: expect.any(Date) }));
+    expect(category.save).toHaveBeenCalled();
+  });
+
+  test('updateCategory rejects an empty slug instead of deriving one', async () => {
+    const category = { slug: 'help', name: 'Help', save: jest.fn(), toJSON: () => ({}) };
+    categoryService.findByRef.mockResolvedValue(category);
+    const res = mockRes();
+
+    await categoryController.updateCategory({ params: { id: 'help' }, body: { slug: '' }, user: admin }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(category.slug).toBe('help');
+    expect(category.save).not.toHaveBeenCalled();
+  });
+
+  test('deleteCategory refuses while posts are filed under it', async () => {
+    categoryService.findByRef.mockResolvedValue({ _id: CATEGORY_ID, slug: 'help' });
+    Post.exists.mockResolvedValueOnce({ _id: 'p1' });
+    const res = mockRes();
+
+    await categoryController.deleteCategory({ params: { id: 'help' }, user: admin }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(Category.deleteOne).not.toHaveBeenCalled();
+
+    await categoryController.deleteCategory({ params: { id: 'help' }, user: admin }, res, jest.fn());
+
+    expect(Category.deleteOne).toHaveBeenCalledWith({ _id: CATEGORY_ID });
+    expect(res.json).toHaveBeenLastCalledWith({ message: 'Category deleted successfully' });
+  });
+});
@@ -0,0 +1,94 @@
+const moderationController = require('../moderationController');
+const { validationResult } = require('express-validator');
+const Post = require('../../models/Post');
+const ModerationLog = require('../../models/ModerationLog');
+const moderationLog = require('../../services/moderationLog');
+
+jest.mock('../../models/Post', () => ({
+  findById: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../models/ModerationLog', () => {
+  const query = { sort: jest.fn(), limit: jest.fn() };
+  query.sort.mockReturnValue(query);
+  query.limit.mockResolvedValue([]);
+  return {
+    __query: query,
+    find: jest.fn().mockReturnValue(query),
+    countDocuments: jest.fn().mockResolvedValue(0)
+  };
+});
+
+jest.mock('../../services/moderationLog', () => ({
+  buildQuery: jest.requireActual('../../services/moderationLog').buildQuery,
+  getPostTimeline: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../services/userClient', () => ({
+  getUsersByIds: jest.fn().mockResolvedValue(new Map([[1, { user_id: 1, first_name: 'Ada' }]])),
+  formatUser: jest.requireActual('../../services/userClient').formatUser
+}));
+
+jest.mock('express-validator', () => ({
+  validationResult: jest.fn()
+}));
+
+describe('moderationController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationResult.mockReturnValue({ isEmpty: () => true });
+  });
+
+  test('getLogs filters by actor, target and date range, newest first', async () => {
+    const entry = { actorId: 1, toJSON: () => ({ entryId: 'e1', action: 'ban' }) };
+    ModerationLog.__query.limit.mockResolvedValueOnce([entry]);
+    ModerationLog.countDocuments.mockResolvedValue(1);
+
+    const req = {
+      query: {
+        actorId: '1',
+        targetId: '507f1f77bcf86cd799439011',
+        from: '2026-01-01T00:00:00Z',
+        to: '2026-02-01T00:00:00Z'
+      }
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await moderationController.getLogs(req, res, next);
+
+    expect(ModerationLog.find).toHaveBeenCalledWith({
+      actorId: 1,
+      targetId: '507f1f77bcf86cd799439011',
+      dateCreated: { $gte: new Date('2026-01-01T00:00:00Z'), $lte: new Date('2026-02-01T00:00:00Z') }
+    });
+    expect(ModerationLog.__query.sort).toHaveBeenCalledWith({ dateCreated: -1, _id: -1 });
+    const payload = res.json.mock.calls[0][0];
+    expect(payload.total).toBe(1);
+    expect(payload.entries[0]).toEqual(expect.objectContaining({ entryId: 'e1', actor: expect.objectContaining({ firstName: 'Ada' }) }));
+  });
+
+  test('getLogs returns 400 for an invalid cursor', async () => {
+    const req = { query: { cursor: 'nope' } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await moderationController.getLogs(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid cursor' });
+  });
+
+  test('getPostTimeline returns 404 for an unknown post', async () => {
+    Post.findById.mockResolvedValue(null);
+
+    const req = { params: { postId: 'p1' } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await moderationController.getPostTimeline(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(moderationLog.getPostTimeline).not.toHaveBeenCalled();
+  });
+});
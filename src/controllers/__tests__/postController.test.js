@@ -2,7 +2,13 @@ const postController = require('../postController');
 const { validationResult } = require('express-validator');
 const Post = require('../../models/Post');
 const Reply = require('../../models/Reply');
+const PostRevision = require('../../models/PostRevision');
 const userClient = require('../../services/userClient');
+const replyCounter = require('../../services/replyCounter');
+const moderationLog = require('../../services/moderationLog');
+const contentScreening = require('../../services/contentScreening');
+const subscriptionService = require('../../services/subscriptionService');
+const categoryService = require('../../services/categoryService');
 
 // Post mock: constructor + static methods
 jest.mock('../../models/Post', () => {
@@ -33,8 +39,41 @@ jest.mock('../../models/Reply', () => ({
   find: jest.fn().mockResolvedValue([])
 }));
 
+jest.mock('../../models/PostRevision', () => ({
+  create: jest.fn().mockResolvedValue([{}])
+}));
+
 jest.mock('../../services/userClient', () => ({
-  getUserById: jest.fn().mockResolvedValue(null)
+  getUserById: jest.fn().mockResolvedValue(null),
+  getUsersByIds: jest.fn().mockResolvedValue(new Map()),
+  formatUser: jest.requireActual('../../services/userClient').formatUser
+}));
+
+jest.mock('../../services/replyCounter', () => ({
+  runInTransaction: jest.fn().mockImplementation(work => work(null)),
+  recountPost: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../services/moderationLog', () => ({
+  record: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../services/reactionService', () => ({
+  getUserReactions: jest.fn().mockResolvedValue(new Map()),
+  summarize: jest.requireActual('../../services/reactionService').summarize
+}));
+
+jest.mock('../../services/subscriptionService', () => ({
+  autoSubscribe: jest.fn().mockResolvedValue(),
+  markRead: jest.fn().mockResolvedValue(),
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn(),
+  getFeed: jest.fn()
+}));
+
+jest.mock('../../services/categoryService', () => ({
+  findByRef: jest.fn().mockResolvedValue(null),
+  getPopularTags: jest.fn().mockResolvedValue([])
 }));
 
 jest.mock('express-validator', () => ({
@@ -50,7 +89,7 @@ describe('postController', () => {
     test('returns 400 when validation errors exist', async () => {
       validationResult.mockReturnValue({ isEmpty: () => false, array: () => [{ msg: 'invalid' }] });
 
-      const req = { headers: {}, body: {} };
+      const req = { user: { userId: 1, role: 'user' }, body: {} };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -64,7 +103,7 @@ describe('postController', () => {
       validationResult.mockReturnValue({ isEmpty: () => true });
 
       const req = {
-        headers: { 'x-user-id': '42' },
+        user: { userId: 42, role: 'user' },
         body: { title: 'Hello', content: 'World', status: 'published', images: [], attachments: [] }
       };
 
@@ -85,7 +124,7 @@ describe('postController', () => {
     test('returns 404 when post not found', async () => {
       Post.findById.mockResolvedValue(null);
 
-      const req = { params: { id: '1' }, headers: { 'x-user-id': '1', 'x-user-type': '' } };
+      const req = { params: { id: '1' }, user: { userId: 1, role: 'user' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -99,7 +138,7 @@ describe('postController', () => {
       const post = { userId: 1, status: 'unpublished' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: '1' }, headers: { 'x-user-id': '2', 'x-user-type': '' } };
+      const req = { params: { id: '1' }, user: { userId: 2, role: 'user' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -118,23 +157,24 @@ describe('postController', () => {
         toJSON: () => ({ postId: id, title: 'T', content: 'C' })
       };
       Post.findById.mockResolvedValue(post);
-      Reply.find.mockResolvedValue([{ isActive: true, replies: [{ isActive: true, replies: [] }] }]);
+      post.replyCount = 2;
       userClient.getUserById.mockResolvedValue({ user_id: 99, first_name: 'A', last_name: 'B', profile_image_url: 'url' });
 
-      const req = { params: { id }, headers: { 'x-user-id': '0', 'x-user-type': '' } };
+      const req = { params: { id }, user: { userId: 0, role: 'user' } };
       const res = { json: jest.fn() };
       const next = jest.fn();
 
       await postController.getPostById(req, res, next);
 
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ post: expect.objectContaining({ replyCount: 2, user: expect.any(Object) }) }));
+      expect(subscriptionService.markRead).toHaveBeenCalledWith(0, post);
     });
 
     test('hidden post returns 403 when not owner', async () => {
       const post = { userId: 9, status: 'hidden' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'h' }, headers: { 'x-user-id': '1', 'x-user-type': '' } };
+      const req = { params: { id: 'h' }, user: { userId: 1, role: 'user' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -148,7 +188,7 @@ describe('postController', () => {
       const post = { userId: 10, status: 'banned' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'b' }, headers: { 'x-user-id': '1', 'x-user-type': '' } };
+      const req = { params: { id: 'b' }, user: { userId: 1, role: 'user' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -162,7 +202,7 @@ describe('postController', () => {
       const post = { userId: 11, status: 'deleted' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'd' }, headers: { 'x-user-id': '1', 'x-user-type': '' } };
+      const req = { params: { id: 'd' }, user: { userId: 1, role: 'user' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -184,7 +224,7 @@ describe('postController', () => {
       Reply.find.mockResolvedValue([]);
       userClient.getUserById.mockResolvedValue(null);
 
-      const req = { params: { id }, headers: { 'x-user-id': '1', 'x-user-type': 'admin' } };
+      const req = { params: { id }, user: { userId: 1, role: 'admin' } };
       const res = { json: jest.fn() };
       const next = jest.fn();
 
@@ -237,7 +277,7 @@ describe('postController', () => {
       const post = { userId: 20, status: 'published' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'u1' }, headers: { 'x-user-id': '1' }, body: { title: 'x' } };
+      const req = { params: { id: 'u1' }, user: { userId: 1, role: 'user' }, body: { title: 'x' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -250,7 +290,7 @@ describe('postController', () => {
       const post = { userId: 2, status: 'banned' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'u2' }, headers: { 'x-user-id': '2' }, body: { title: 'x' } };
+      const req = { params: { id: 'u2' }, user: { userId: 2, role: 'user' }, body: { title: 'x' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -263,7 +303,7 @@ describe('postController', () => {
       const post = { userId: 3, status: 'published', save: jest.fn(), toJSON: () => ({ title: 'after' }) };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'u3' }, headers: { 'x-user-id': '3' }, body: { title: 'new' } };
+      const req = { params: { id: 'u3' }, user: { userId: 3, role: 'user' }, body: { title: 'new' } };
       const res = { json: jest.fn() };
       const next = jest.fn();
 
@@ -273,21 +313,98 @@ describe('postController', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Post updated successfully', post: expect.any(Object) }));
     });
 
+    test('updatePost: snapshots the previous version as a revision', async () => {
+      const post = { _id: 'u4', userId: 3, status: 'published', title: 'old', content: 'body', revision: 2, save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'u4' }, user: { userId: 3, role: 'user' }, body: { title: 'new' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.updatePost(req, res, next);
+
+      expect(PostRevision.create).toHaveBeenCalledWith(
+        [expect.objectContaining({ postId: 'u4', revision: 2, editedBy: 3, title: 'old', content: 'body' })],
+        { session: null }
+      );
+      expect(replyCounter.runInTransaction).toHaveBeenCalledTimes(1);
+      expect(post.save).toHaveBeenCalledWith({ session: null });
+      expect(post.revision).toBe(3);
+      expect(post.title).toBe('new');
+    });
+
+    test('updatePost: 409 when a concurrent edit took the revision first', async () => {
+      const post = { _id: 'u6', userId: 3, status: 'published', title: 'old', content: 'body', revision: 2, save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+      PostRevision.create.mockRejectedValueOnce(Object.assign(new Error('dup'), { code: 11000, keyPattern: { postId: 1, revision: -1 } }));
+
+      const req = { params: { id: 'u6' }, user: { userId: 3, role: 'user' }, body: { title: 'new' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.updatePost(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(post.save).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('updatePost: other duplicate keys are passed on to the error handler', async () => {
+      const error = Object.assign(new Error('dup'), { code: 11000, keyPattern: { slug: 1 } });
+      const post = { _id: 'u7', userId: 3, status: 'published', title: 'old', content: 'body', save: jest.fn().mockRejectedValue(error), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'u7' }, user: { userId: 3, role: 'user' }, body: { title: 'new' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.updatePost(req, res, next);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    test('updatePost: no revision when nothing changed', async () => {
+      const post = { userId: 3, status: 'published', title: 'same', content: 'body', save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'u5' }, user: { userId: 3, role: 'user' }, body: { title: 'same' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.updatePost(req, res, next);
+
+      expect(PostRevision.create).not.toHaveBeenCalled();
+      expect(post.save).toHaveBeenCalled();
+    });
+
     test('ban/unban/recover flows', async () => {
       // banPost: must be published
-      let post = { status: 'published', save: jest.fn(), toJSON: () => ({}) };
+      let post = { _id: 'b1', status: 'published', save: jest.fn(), toJSON: () => ({}) };
       Post.findById.mockResolvedValue(post);
-      let req = { params: { id: 'b1' } };
+      let req = { params: { id: 'b1' }, user: { userId: 1, role: 'admin' }, body: { reason: 'spam' } };
       let res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
       let next = jest.fn();
 
       await postController.banPost(req, res, next);
       expect(post.save).toHaveBeenCalled();
+      expect(moderationLog.record).toHaveBeenCalledWith(
+        { userId: 1, role: 'admin' },
+        expect.objectContaining({
+          action: 'ban',
+          targetType: 'post',
+          targetId: 'b1',
+          previousState: { status: 'published' },
+          newState: { status: 'banned' },
+          reason: 'spam'
+        }),
+        null
+      );
 
       // unbanPost: require status 'banned'
       post = { status: 'banned', save: jest.fn(), toJSON: () => ({}) };
       Post.findById.mockResolvedValue(post);
-      req = { params: { id: 'u1' } };
+      req = { params: { id: 'u1' }, user: { userId: 1, role: 'admin' } };
       res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
       await postController.unbanPost(req, res, next);
       expect(post.save).toHaveBeenCalled();
@@ -295,26 +412,108 @@ describe('postController', () => {
       // recoverPost: require status 'deleted'
       post = { status: 'deleted', save: jest.fn(), toJSON: () => ({}) };
       Post.findById.mockResolvedValue(post);
-      req = { params: { id: 'r1' } };
+      req = { params: { id: 'r1' }, user: { userId: 1, role: 'admin' } };
       res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
       await postController.recoverPost(req, res, next);
       expect(post.save).toHaveBeenCalled();
+      expect(moderationLog.record).toHaveBeenLastCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ action: 'recover', previousState: { status: 'deleted' } }),
+        null
+      );
     });
   });
 
   describe('getUserDrafts', () => {
     test('returns user drafts', async () => {
-      const posts = [{ title: 'd1' }];
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+      const posts = [
+        { title: 'd1', publishAt: null, toJSON: () => ({ title: 'd1', publishAt: null }) },
+        { title: 'd2', publishAt, toJSON: () => ({ title: 'd2', publishAt }) }
+      ];
       Post.__findResult = posts;
 
-      const req = { headers: { 'x-user-id': '5' } };
+      const req = { user: { userId: 5, role: 'user' } };
       const res = { json: jest.fn() };
       const next = jest.fn((err) => { if (err) console.error('DEBUG next error:', err && err.stack ? err.stack : err); });
 
       await postController.getUserDrafts(req, res, next);
 
       expect(Post.find).toHaveBeenCalledWith({ userId: 5, status: 'unpublished' });
-      expect(res.json).toHaveBeenCalledWith({ posts });
+      expect(res.json).toHaveBeenCalledWith({
+        posts: [
+          { title: 'd1', publishAt: null, isScheduled: false },
+          { title: 'd2', publishAt, isScheduled: true }
+        ]
+      });
+    });
+  });
+
+  describe('scheduled publishing', () => {
+    const future = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    test('createPost stores publishAt on a draft', async () => {
+      const publishAt = future();
+      const req = { user: { userId: 5, role: 'user' }, body: { title: 't', content: 'c', publishAt } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.createPost(req, res, next);
+
+      expect(Post).toHaveBeenCalledWith(expect.objectContaining({ status: 'unpublished', publishAt: new Date(publishAt) }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('createPost rejects a schedule on a published post', async () => {
+      const req = { user: { userId: 5, role: 'user' }, body: { title: 't', content: 'c', status: 'published', publishAt: future() } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.createPost(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Only drafts can be scheduled' });
+    });
+
+    test('getScheduledPosts lists the user\'s scheduled drafts soonest first', async () => {
+      Post.__findResult = [];
+
+      const req = { user: { userId: 5, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.getScheduledPosts(req, res, next);
+
+      expect(Post.find).toHaveBeenCalledWith({ userId: 5, status: 'unpublished', publishAt: { $ne: null } });
+      expect(Post.find.mock.results[0].value.sort).toHaveBeenCalledWith({ publishAt: 1 });
+    });
+
+    test('cancelSchedule clears publishAt', async () => {
+      const post = { userId: 5, status: 'unpublished', publishAt: new Date(), save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'p1' }, user: { userId: 5, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.cancelSchedule(req, res, next);
+
+      expect(post.publishAt).toBeNull();
+      expect(post.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Schedule cancelled' }));
+    });
+
+    test('cancelSchedule returns 400 when the post is not scheduled', async () => {
+      Post.findById.mockResolvedValue({ userId: 5, status: 'unpublished', publishAt: null });
+
+      const req = { params: { id: 'p1' }, user: { userId: 5, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.cancelSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Post is not scheduled' });
     });
   });
 
@@ -324,9 +523,9 @@ describe('postController', () => {
       Post.__findResult = [postObj];
       Post.countDocuments.mockResolvedValue(1);
       Reply.find.mockResolvedValue([]);
-      userClient.getUserById.mockResolvedValue(null);
+      userClient.getUsersByIds.mockResolvedValue(new Map());
 
-      const req = { query: {}, headers: {} };
+      const req = { query: {}, user: { userId: 1, role: 'user' } };
       const res = { json: jest.fn() };
       const next = jest.fn((err) => { if (err) console.error('DEBUG next error:', err && err.stack ? err.stack : err); });
 
@@ -335,22 +534,104 @@ describe('postController', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ posts: expect.any(Array), total: 1 }));
     });
 
-    test('aggregation path when sorting by replyCount', async () => {
-      // Use a valid 24-char hex string for ObjectId
-      const aggId = '507f1f77bcf86cd799439011';
-      Post.aggregate.mockResolvedValue([{ _id: aggId, actualReplyCount: 5, dateCreated: new Date() }]);
+    test('sorting by replyCount reads the stored counter', async () => {
+      const postObj = { _id: 'p2', userId: 7, replyCount: 5, toJSON: () => ({ postId: 'p2' }) };
+      Post.__findResult = [postObj];
       Post.countDocuments.mockResolvedValue(1);
-      Post.__findResult = [];
-      userClient.getUserById.mockResolvedValue(null);
+      userClient.getUsersByIds.mockResolvedValue(new Map());
 
-      const req = { query: { sortBy: 'replyCount' }, headers: {} };
+      const req = { query: { sortBy: 'replyCount' }, user: { userId: 1, role: 'user' } };
       const res = { json: jest.fn() };
       const next = jest.fn((err) => { if (err) console.error('DEBUG next error:', err && err.stack ? err.stack : err); });
 
       await postController.getPublishedPosts(req, res, next);
 
-      expect(Post.aggregate).toHaveBeenCalled();
-      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ posts: expect.any(Array), total: 1 }));
+      const query = Post.find.mock.results[0].value;
+      expect(query.sort).toHaveBeenCalledWith({ replyCount: -1, dateCreated: -1 });
+      expect(Post.aggregate).not.toHaveBeenCalled();
+      expect(Reply.find).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ posts: [expect.objectContaining({ replyCount: 5 })], total: 1 }));
+    });
+
+    test('sortBy=hot orders by the stored hot score', async () => {
+      Post.__findResult = [];
+      Post.countDocuments.mockResolvedValue(0);
+
+      const req = { query: { sortBy: 'hot' }, user: { userId: 1, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.getPublishedPosts(req, res, next);
+
+      const query = Post.find.mock.results[0].value;
+      expect(query.sort).toHaveBeenCalledWith({ hotScore: -1, dateCreated: -1 });
+    });
+
+    test('sortBy=top&period=week limits to posts published in the last week', async () => {
+      Post.__findResult = [];
+      Post.countDocuments.mockResolvedValue(0);
+
+      const req = { query: { sortBy: 'top', period: 'week' }, user: { userId: 1, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.getPublishedPosts(req, res, next);
+
+      const [filter] = Post.find.mock.calls[0];
+      const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+      expect(filter.status).toBe('published');
+      const [{ $or: [byPublished, byCreated] }] = filter.$and;
+      expect(Math.abs(byPublished.publishedAt.$gte.getTime() - weekAgo)).toBeLessThan(5000);
+      expect(byCreated).toEqual({ publishedAt: null, dateCreated: byPublished.publishedAt });
+      expect(Post.find.mock.results[0].value.sort).toHaveBeenCalledWith({ engagementScore: -1, dateCreated: -1 });
+    });
+
+    test('returns 400 for an unknown period', async () => {
+      const req = { query: { sortBy: 'top', period: 'year' }, user: { userId: 1, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.getPublishedPosts(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid period' });
+    });
+  });
+
+  describe('cursor pagination', () => {
+    test('returns 400 for an invalid cursor', async () => {
+      const req = { query: { cursor: 'garbage' }, user: { userId: 1, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.getPublishedPosts(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid cursor' });
+    });
+
+    test('first cursor page returns nextCursor instead of page numbers', async () => {
+      const posts = [1, 2, 3].map(n => ({
+        _id: `50000000000000000000000${n}`,
+        userId: 7,
+        dateCreated: new Date(2026, 0, n),
+        toJSON: () => ({ postId: n })
+      }));
+      Post.__findResult = posts;
+      Post.countDocuments.mockResolvedValue(3);
+      userClient.getUsersByIds.mockResolvedValue(new Map());
+
+      const req = { query: { cursor: '', limit: '2' }, user: { userId: 1, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.getPublishedPosts(req, res, next);
+
+      const payload = res.json.mock.calls[0][0];
+      expect(payload.posts).toHaveLength(2);
+      expect(payload.nextCursor).toEqual(expect.any(String));
+      expect(payload.prevCursor).toBeNull();
+      expect(payload.page).toBeUndefined();
     });
   });
 
@@ -358,7 +639,7 @@ describe('postController', () => {
     test('updatePostStatus returns 404 when not found', async () => {
       Post.findById.mockResolvedValue(null);
 
-      const req = { params: { id: 'x' }, headers: { 'x-user-id': '1' }, body: { status: 'published' } };
+      const req = { params: { id: 'x' }, user: { userId: 1, role: 'user' }, body: { status: 'published' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -371,7 +652,7 @@ describe('postController', () => {
       const post = { userId: 1, status: 'unpublished', save: jest.fn() };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'x' }, headers: { 'x-user-id': '1' }, body: { status: 'invalid' } };
+      const req = { params: { id: 'x' }, user: { userId: 1, role: 'user' }, body: { status: 'invalid' } };
       const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
       const next = jest.fn();
 
@@ -384,7 +665,7 @@ describe('postController', () => {
       const post = { userId: 3, save: jest.fn(), status: 'published' };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'y' }, headers: { 'x-user-id': '3' } };
+      const req = { params: { id: 'y' }, user: { userId: 3, role: 'user' } };
       const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
       const next = jest.fn();
 
@@ -395,10 +676,10 @@ describe('postController', () => {
     });
 
     test('toggleArchive toggles and saves', async () => {
-      const post = { userId: 4, isArchived: false, save: jest.fn(), toJSON: () => ({}) };
+      const post = { userId: 4, status: 'published', isArchived: false, save: jest.fn(), toJSON: () => ({}) };
       Post.findById.mockResolvedValue(post);
 
-      const req = { params: { id: 'z' }, headers: { 'x-user-id': '4' } };
+      const req = { params: { id: 'z' }, user: { userId: 4, role: 'user' } };
       const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
       const next = jest.fn();
 
@@ -408,5 +689,440 @@ describe('postController', () => {
       expect(post.save).toHaveBeenCalled();
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Post archived' }));
     });
+
+    test('toggleArchive returns 409 for a banned post', async () => {
+      const post = { userId: 4, status: 'banned', isArchived: false, save: jest.fn() };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'z' }, user: { userId: 4, role: 'user' } };
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+
+      await postController.toggleArchive(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Cannot archive a post that is banned' });
+      expect(post.save).not.toHaveBeenCalled();
+    });
+
+    test('recoverPost restores the status the post had before deletion', async () => {
+      const post = { _id: 'd1', userId: 3, status: 'deleted', previousStatus: 'unpublished', save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'd1' }, user: { userId: 1, role: 'admin' } };
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+
+      await postController.recoverPost(req, res, next);
+
+      expect(post.status).toBe('unpublished');
+      expect(post.previousStatus).toBeNull();
+      expect(post.save).toHaveBeenCalled();
+    });
+
+    test('banPost returns 409 for a draft', async () => {
+      const post = { userId: 3, status: 'unpublished', save: jest.fn() };
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'd1' }, user: { userId: 1, role: 'admin' } };
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+
+      await postController.banPost(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Cannot ban a post that is unpublished' });
+    });
+  });
+
+  describe('searchPosts', () => {
+    test('returns 400 when query is missing', async () => {
+      validationResult.mockReturnValue({ isEmpty: () => false, array: () => [{ msg: 'Search query is required' }] });
+
+      const req = { query: {}, user: { userId: 1, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.searchPosts(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('runs a $text query over published posts and highlights matches', async () => {
+      validationResult.mockReturnValue({ isEmpty: () => true });
+      const postObj = {
+        _id: 'p1',
+        userId: 7,
+        title: 'Hello forum',
+        content: 'Say hello <b>everyone</b>',
+        toJSON: () => ({ postId: 'p1', score: 1.5 })
+      };
+      Post.__findResult = [postObj];
+      Post.countDocuments.mockResolvedValue(1);
+      Reply.find.mockResolvedValue([]);
+      userClient.getUsersByIds.mockResolvedValue(new Map());
+
+      const req = { query: { q: ' hello ', userId: '7' }, user: { userId: 1, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.searchPosts(req, res, next);
+
+      expect(Post.find).toHaveBeenCalledWith(
+        { status: 'published', $text: { $search: 'hello' }, userId: 7 },
+        { score: { $meta: 'textScore' } }
+      );
+      const payload = res.json.mock.calls[0][0];
+      expect(payload).toEqual(expect.objectContaining({ query: 'hello', total: 1 }));
+      expect(payload.posts[0].score).toBe(1.5);
+      expect(payload.posts[0].highlights).toEqual({
+        title: '<mark>Hello</mark> forum',
+        content: 'Say <mark>hello</mark> &lt;b&gt;everyone&lt;/b&gt;'
+      });
+    });
+  });
+
+  describe('recountReplies', () => {
+    test('returns the repaired counter', async () => {
+      replyCounter.recountPost.mockResolvedValue({ postId: 'p1', previous: 4, replyCount: 6 });
+
+      const req = { params: { id: 'p1' }, user: { userId: 1, role: 'admin' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await postController.recountReplies(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ previous: 4, replyCount: 6 }));
+    });
+  });
+
+  describe('content screening', () => {
+    beforeEach(() => {
+      validationResult.mockReturnValue({ isEmpty: () => true });
+      contentScreening.configure(contentScreening.createRules({ bannedWords: ['darn'] }));
+    });
+
+    afterAll(() => {
+      contentScreening.configure(null);
+    });
+
+    test('createPost masks banned words', async () => {
+      const req = { user: { userId: 42, role: 'user' }, body: { title: 'Darn it', content: 'Well, darn.', status: 'published' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.createPost(req, res, jest.fn());
+
+      expect(Post).toHaveBeenCalledWith(expect.objectContaining({ title: '**** it', content: 'Well, ****.', status: 'published' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('createPost holds link spam as an unpublished draft', async () => {
+      const links = 'https://a.example https://b.example https://c.example https://d.example';
+      const req = { user: { userId: 42, role: 'user' }, body: { title: 'Deals', content: links, status: 'published' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.createPost(req, res, jest.fn());
+
+      const post = Post.mock.instances[0];
+      expect(post.status).toBe('unpublished');
+      expect(post.heldForReview).toBe(true);
+      expect(post.save).toHaveBeenCalled();
+      expect(moderationLog.record).toHaveBeenCalledWith(
+        { userId: 0, role: 'system' },
+        expect.objectContaining({ action: 'hold', reason: 'Content screening: excessive_links' }),
+        null
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Post created and held for review' }));
+    });
+
+    test('createPost rejects shouting', async () => {
+      const req = { user: { userId: 42, role: 'user' }, body: { title: 'Hi', content: 'THIS IS THE BEST POST EVER WRITTEN' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.createPost(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Content rejected', rules: ['all_caps'] });
+      expect(Post).not.toHaveBeenCalled();
+    });
+
+    test('a held post cannot be published by its owner, only approved', async () => {
+      const post = { _id: 'h1', userId: 3, status: 'unpublished', heldForReview: true, save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+      await postController.updatePostStatus({ params: { id: 'h1' }, body: { status: 'published' }, user: { userId: 3, role: 'user' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Post is held for review' });
+
+      await postController.approvePost({ params: { id: 'h1' }, body: {}, user: { userId: 1, role: 'admin' } }, res, jest.fn());
+
+      expect(post.status).toBe('published');
+      expect(post.heldForReview).toBe(false);
+      expect(moderationLog.record).toHaveBeenCalledWith(
+        { userId: 1, role: 'admin' },
+        expect.objectContaining({ action: 'approve', newState: { status: 'published' } }),
+        null
+      );
+    });
+  });
+
+  describe('subscriptions', () => {
+    test('lists followed posts with their new reply counts', async () => {
+      const lastReplyAt = new Date('2026-05-01T10:00:00Z');
+      subscriptionService.getFeed.mockResolvedValue({
+        items: [{
+          post: { _id: 'p1', userId: 9, title: 'T', replyCount: 4, lastReplyAt, dateCreated: lastReplyAt },
+          newReplies: 3,
+          lastReadAt: null
+        }],
+        total: 1
+      });
+
+      const req = { query: { unread: 'true' }, user: { userId: 2, role: 'user' } };
+      const res = { json: jest.fn() };
+
+      await postController.getSubscribedPosts(req, res, jest.fn());
+
+      expect(subscriptionService.getFeed).toHaveBeenCalledWith(2, { page: 1, limit: 20, unreadOnly: true });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        posts: [expect.objectContaining({ postId: 'p1', replyCount: 4, newReplies: 3, lastReplyAt })],
+        total: 1,
+        totalPages: 1
+      }));
+    });
+
+    test('cannot follow someone else\'s draft', async () => {
+      Post.findById.mockResolvedValue({ _id: 'p1', userId: 9, status: 'unpublished' });
+
+      const req = { params: { id: 'p1' }, user: { userId: 2, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.subscribePost(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(subscriptionService.subscribe).not.toHaveBeenCalled();
+    });
+
+    test('unsubscribing twice answers 404', async () => {
+      subscriptionService.unsubscribe.mockResolvedValue(false);
+
+      const req = { params: { id: 'p1' }, user: { userId: 2, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.unsubscribePost(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'You are not subscribed to this post' });
+    });
+
+    test('authors follow their new post', async () => {
+      const req = { body: { title: 'T', content: 'Hello', status: 'published' }, user: { userId: 2, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.createPost(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(subscriptionService.autoSubscribe).toHaveBeenCalledWith(2, undefined, 0, null);
+    });
+  });
+
+  describe('categories and tags', () => {
+    const CATEGORY_ID = '507f1f77bcf86cd799439044';
+
+    beforeEach(() => {
+      validationResult.mockReturnValue({ isEmpty: () => true });
+      Post.__findResult = [];
+      Post.countDocuments.mockResolvedValue(0);
+    });
+
+    test('filters the feed by category slug and by every listed tag', async () => {
+      categoryService.findByRef.mockResolvedValueOnce({ _id: CATEGORY_ID, slug: 'help' });
+
+      const req = { query: { category: 'help', tags: 'Node JS,#mongodb' }, user: { userId: 1, role: 'user' } };
+      const res = { json: jest.fn() };
+
+      await postController.getPublishedPosts(req, res, jest.fn());
+
+      expect(categoryService.findByRef).toHaveBeenCalledWith('help');
+      expect(Post.find).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'published',
+        category: CATEGORY_ID,
+        tags: { $all: ['node-js', 'mongodb'] }
+      }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ posts: [] }));
+    });
+
+    test('an unknown category answers 404 and a bad tag 400', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await postController.getPublishedPosts({ query: { category: 'nope' }, user: { userId: 1 } }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(404);
+
+      await postController.getPublishedPosts({ query: { tags: 'c++' }, user: { userId: 1 } }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Invalid tags' });
+      expect(Post.find).not.toHaveBeenCalled();
+    });
+
+    test('createPost files the post under an existing category only', async () => {
+      const req = { body: { title: 'T', content: 'Hello', category: CATEGORY_ID, tags: ['node-js'] }, user: { userId: 2, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.createPost(req, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Unknown category' });
+
+      categoryService.findByRef.mockResolvedValueOnce({ _id: CATEGORY_ID });
+      await postController.createPost(req, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Post).toHaveBeenCalledWith(expect.objectContaining({ category: CATEGORY_ID, tags: ['node-js'] }));
+    });
+
+    test('getPopularTags caps the limit and narrows to a category', async () => {
+      categoryService.findByRef.mockResolvedValueOnce({ _id: CATEGORY_ID });
+      categoryService.getPopularTags.mockResolvedValueOnce([{ tag: 'node-js', count: 3 }]);
+      const res = { json: jest.fn() };
+
+      await postController.getPopularTags({ query: { category: 'help', limit: '500' } }, res, jest.fn());
+
+      expect(categoryService.getPopularTags).toHaveBeenCalledWith({ categoryId: CATEGORY_ID, limit: 100 });
+      expect(res.json).toHaveBeenCalledWith({ tags: [{ tag: 'node-js', count: 3 }], limit: 100 });
+    });
+  });
+
+  describe('pinned and featured posts', () => {
+    const admin = { userId: 1, role: 'admin' };
+
+    beforeEach(() => {
+      validationResult.mockReturnValue({ isEmpty: () => true });
+      Post.countDocuments.mockResolvedValue(1);
+    });
+
+    test('global pins head the first page and are left out of the paged posts', async () => {
+      const regular = { _id: 'p1', userId: 7, toJSON: () => ({ postId: 'p1' }) };
+      const pinned = { _id: 'p2', userId: 7, pinScope: 'global', toJSON: () => ({ postId: 'p2' }) };
+      Post.find
+        .mockImplementationOnce(() => ({ sort: () => ({ skip: () => ({ limit: () => Promise.resolve([regular]) }) }) }))
+        .mockImplementationOnce(() => ({ sort: jest.fn().mockResolvedValue([pinned]) }));
+      const res = { json: jest.fn() };
+
+      await postController.getPublishedPosts({ query: {}, user: { userId: 1, role: 'user' } }, res, jest.fn());
+
+      const [listFilter] = Post.find.mock.calls[0];
+      const [pinFilter] = Post.find.mock.calls[1];
+      expect(listFilter.$nor).toEqual([{ pinScope: 'global', $or: pinFilter.$or }]);
+      expect(pinFilter).toEqual(expect.objectContaining({ status: 'published', pinScope: 'global' }));
+      expect(Post.countDocuments).toHaveBeenCalledWith(listFilter);
+      const payload = res.json.mock.calls[0][0];
+      expect(payload.pinned.map(post => post.postId)).toEqual(['p2']);
+      expect(payload.posts.map(post => post.postId)).toEqual(['p1']);
+      expect(payload.total).toBe(1);
+    });
+
+    test('later pages carry no pinned posts', async () => {
+      Post.__findResult = [];
+      const res = { json: jest.fn() };
+
+      await postController.getPublishedPosts({ query: { page: '2' }, user: { userId: 1, role: 'user' } }, res, jest.fn());
+
+      expect(Post.find).toHaveBeenCalledTimes(1);
+      expect(res.json.mock.calls[0][0].pinned).toEqual([]);
+    });
+
+    test('pinPost pins within the post\'s category until the given time', async () => {
+      const until = new Date(Date.now() + 3600 * 1000).toISOString();
+      const post = { _id: 'p1', status: 'published', category: null, save: jest.fn(), toJSON: () => ({ postId: 'p1' }) };
+      Post.findById.mockResolvedValue(post);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.pinPost({ params: { id: 'p1' }, body: { scope: 'category', until }, user: admin }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Post has no category' });
+
+      post.category = 'c1';
+      await postController.pinPost({ params: { id: 'p1' }, body: { scope: 'category', until }, user: admin }, res, jest.fn());
+
+      expect(post).toEqual(expect.objectContaining({ pinScope: 'category', pinnedAt: expect.any(Date), pinnedUntil: new Date(until) }));
+      expect(moderationLog.record).toHaveBeenCalledWith(admin, expect.objectContaining({ action: 'pin', newState: { pinScope: 'category', pinnedUntil: new Date(until) } }), null);
+      expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Post pinned' }));
+    });
+
+    test('only published posts can be pinned or featured', async () => {
+      Post.findById.mockResolvedValue({ status: 'unpublished' });
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.pinPost({ params: { id: 'p1' }, body: {}, user: admin }, res, jest.fn());
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Only published posts can be pinned' });
+
+      await postController.featurePost({ params: { id: 'p1' }, body: {}, user: admin }, res, jest.fn());
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Only published posts can be featured' });
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('featuring twice answers 409', async () => {
+      const post = { status: 'published', featured: false, save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.featurePost({ params: { id: 'p1' }, body: {}, user: admin }, res, jest.fn());
+      expect(post).toEqual(expect.objectContaining({ featured: true, featuredAt: expect.any(Date) }));
+
+      await postController.featurePost({ params: { id: 'p1' }, body: {}, user: admin }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Post is already featured' });
+    });
+
+    test('getFeaturedPosts lists featured published posts, newest feature first', async () => {
+      Post.__findResult = [{ _id: 'p1', userId: 7, toJSON: () => ({ postId: 'p1' }) }];
+      const res = { json: jest.fn() };
+
+      await postController.getFeaturedPosts({ query: {} }, res, jest.fn());
+
+      expect(Post.find).toHaveBeenCalledWith({ status: 'published', featured: true });
+      expect(Post.find.mock.results[0].value.sort).toHaveBeenCalledWith({ featuredAt: -1, _id: -1 });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ total: 1, page: 1 }));
+    });
+  });
+
+  describe('locked posts', () => {
+    const moderator = { userId: 3, role: 'moderator' };
+
+    beforeEach(() => {
+      validationResult.mockReturnValue({ isEmpty: () => true });
+    });
+
+    test('lockPost records who locked the post and why', async () => {
+      const post = { _id: 'p1', status: 'published', isLocked: false, save: jest.fn(), toJSON: () => ({ postId: 'p1' }) };
+      Post.findById.mockResolvedValue(post);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.lockPost({ params: { id: 'p1' }, body: { reason: 'Heated' }, user: moderator }, res, jest.fn());
+
+      expect(post).toEqual(expect.objectContaining({ isLocked: true, lockReason: 'Heated', lockedBy: 3, lockedAt: expect.any(Date) }));
+      expect(moderationLog.record).toHaveBeenCalledWith(moderator, expect.objectContaining({ action: 'lock', reason: 'Heated' }), null);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Post locked' }));
+
+      await postController.lockPost({ params: { id: 'p1' }, body: {}, user: moderator }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Post is already locked' });
+    });
+
+    test('unlockPost clears the lock and restarts the inactivity clock', async () => {
+      const post = { _id: 'p1', isLocked: true, lockReason: 'Heated', lockedBy: 0, lockedAt: new Date(), save: jest.fn(), toJSON: () => ({}) };
+      Post.findById.mockResolvedValue(post);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await postController.unlockPost({ params: { id: 'p1' }, body: {}, user: moderator }, res, jest.fn());
+
+      expect(post).toEqual(expect.objectContaining({ isLocked: false, lockReason: null, lockedBy: null, unlockedAt: expect.any(Date) }));
+      expect(moderationLog.record).toHaveBeenCalledWith(moderator, expect.objectContaining({
+        action: 'unlock',
+        previousState: { isLocked: true, lockedBy: 0, lockReason: 'Heated' }
+      }), null);
+
+      await postController.unlockPost({ params: { id: 'p1' }, body: {}, user: moderator }, res, jest.fn());
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Post is not locked' });
+    });
   });
 });
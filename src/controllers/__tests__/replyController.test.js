@@ -0,0 +1,562 @@
+const replyController = require('../replyController');
+const { validationResult } = require('express-validator');
+const Post = require('../../models/Post');
+const Reply = require('../../models/Reply');
+const replyCounter = require('../../services/replyCounter');
+const reactionService = require('../../services/reactionService');
+const moderationLog = require('../../services/moderationLog');
+const Mention = require('../../models/Mention');
+const mentionService = require('../../services/mentionService');
+const quoteService = require('../../services/quoteService');
+const subscriptionService = require('../../services/subscriptionService');
+
+jest.mock('../../models/Post', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findByIdAndUpdate: jest.fn().mockResolvedValue(null),
+  find: jest.fn()
+}));
+
+jest.mock('../../models/Mention', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../models/Reply', () => ({
+  findById: jest.fn().mockResolvedValue(null),
+  findOne: jest.fn().mockResolvedValue(null),
+  find: jest.fn().mockResolvedValue([]),
+  countDocuments: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../services/userClient', () => ({
+  getUserById: jest.fn().mockResolvedValue(null),
+  getUsersByIds: jest.fn().mockResolvedValue(new Map()),
+  formatUser: jest.requireActual('../../services/userClient').formatUser
+}));
+
+jest.mock('../../services/replyCounter', () => {
+  const actual = jest.requireActual('../../services/replyCounter');
+  return {
+    runInTransaction: jest.fn().mockImplementation(work => work(null)),
+    countReplyTree: actual.countReplyTree,
+    adjustReplyCount: jest.fn().mockResolvedValue()
+  };
+});
+
+jest.mock('../../services/moderationLog', () => ({
+  record: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../services/reactionService', () => ({
+  getUserReactions: jest.fn().mockResolvedValue(new Map()),
+  summarize: jest.requireActual('../../services/reactionService').summarize
+}));
+
+jest.mock('../../services/mentionService', () => ({
+  resolveMentions: jest.fn().mockResolvedValue([]),
+  recordMentions: jest.fn().mockResolvedValue(),
+  updateMentions: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../services/quoteService', () => ({
+  resolveQuote: jest.fn().mockResolvedValue(null),
+  buildExcerpt: jest.requireActual('../../services/quoteService').buildExcerpt
+}));
+
+jest.mock('../../services/subscriptionService', () => ({
+  autoSubscribe: jest.fn().mockResolvedValue(),
+  markRead: jest.fn().mockResolvedValue(),
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn(),
+  getFeed: jest.fn()
+}));
+
+jest.mock('express-validator', () => ({
+  validationResult: jest.fn()
+}));
+
+const publishedPost = { _id: 'p1', userId: 1, status: 'published', isArchived: false };
+
+describe('replyController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationResult.mockReturnValue({ isEmpty: () => true });
+  });
+
+  describe('updateReply', () => {
+    test('returns 404 when reply not found', async () => {
+      Reply.findById.mockResolvedValue(null);
+
+      const req = { params: { id: 'r1' }, user: { userId: 2, role: 'user' }, body: { comment: 'x' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.updateReply(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('returns 403 when not the author', async () => {
+      Reply.findById.mockResolvedValue({ userId: 5, isActive: true, dateCreated: new Date() });
+
+      const req = { params: { id: 'r1' }, user: { userId: 2, role: 'user' }, body: { comment: 'x' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.updateReply(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Access denied' });
+    });
+
+    test('returns 403 after the edit window', async () => {
+      const dateCreated = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      Reply.findById.mockResolvedValue({ userId: 2, isActive: true, dateCreated });
+
+      const req = { params: { id: 'r1' }, user: { userId: 2, role: 'user' }, body: { comment: 'x' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.updateReply(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Edit window has expired' });
+    });
+
+    test('records the previous version and updates the comment', async () => {
+      const reply = {
+        userId: 2,
+        postId: 'p1',
+        comment: 'before',
+        attachments: [],
+        isActive: true,
+        dateCreated: new Date(),
+        save: jest.fn(),
+        toJSON: () => ({})
+      };
+      Reply.findById.mockResolvedValue(reply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { id: 'r1' }, user: { userId: 2, role: 'user' }, body: { comment: 'after' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.updateReply(req, res, next);
+
+      expect(reply.save).toHaveBeenCalled();
+      expect(reply.comment).toBe('after');
+      expect(reply.dateModified).toBeInstanceOf(Date);
+      expect(reply.editHistory).toEqual([expect.objectContaining({ comment: 'before' })]);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Reply updated successfully' }));
+    });
+  });
+
+  describe('updateNestedReply', () => {
+    test('edits the reply at targetPath', async () => {
+      const nested = { userId: 3, comment: 'old', isActive: true, dateCreated: new Date(), replies: [] };
+      const parentReply = {
+        postId: 'p1',
+        isActive: true,
+        replies: [{ userId: 1, comment: 'a', replies: [nested] }],
+        markModified: jest.fn(),
+        save: jest.fn(),
+        toJSON: () => ({})
+      };
+      Reply.findById.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { parentReplyId: 'r1' }, user: { userId: 3, role: 'user' }, body: { targetPath: [0, 0], comment: 'new' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.updateNestedReply(req, res, next);
+
+      expect(nested.comment).toBe('new');
+      expect(nested.editHistory).toHaveLength(1);
+      expect(parentReply.markModified).toHaveBeenCalledWith('replies');
+      expect(parentReply.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('locked posts', () => {
+    const lockedPost = { ...publishedPost, isLocked: true, lockReason: 'Off topic' };
+
+    test('createReply refuses with the lock reason', async () => {
+      Post.findById.mockResolvedValue(lockedPost);
+      const req = { params: { postId: 'p1' }, user: { userId: 4, role: 'user' }, body: { comment: 'hello' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createReply(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'This post is locked and not accepting replies', reason: 'Off topic' });
+      expect(replyCounter.adjustReplyCount).not.toHaveBeenCalled();
+    });
+
+    test('createNestedSubReply refuses as well', async () => {
+      const nestedId = '507f1f77bcf86cd799439011';
+      Reply.findOne.mockResolvedValue({
+        postId: 'p1',
+        isActive: true,
+        replies: [{ _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] }],
+        nestedIds: [nestedId]
+      });
+      Post.findById.mockResolvedValue({ ...lockedPost, lockReason: null });
+      const req = { params: { nestedId }, user: { userId: 4, role: 'user' }, body: { comment: 'child' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createNestedSubReply(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'This post is locked and not accepting replies', reason: null });
+    });
+
+    test('createSubReply checks the parent reply\'s post, not the postId sent', async () => {
+      Reply.findById.mockResolvedValue({ _id: 'r1', postId: 'p1', isActive: true, replies: [], nestedIds: [] });
+      Post.findById.mockResolvedValue(lockedPost);
+      const req = { params: { replyId: 'r1' }, user: { userId: 4, role: 'user' }, body: { comment: 'child', postId: 'p2' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createSubReply(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.findById).not.toHaveBeenCalled();
+      expect(replyCounter.adjustReplyCount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('nested replies by ID', () => {
+    const nestedId = '507f1f77bcf86cd799439011';
+
+    const buildParent = (nested) => ({
+      postId: 'p1',
+      isActive: true,
+      replies: [{ _id: '507f1f77bcf86cd799439012', userId: 1, comment: 'a', replies: [nested] }],
+      nestedIds: ['507f1f77bcf86cd799439012', nestedId],
+      markModified: jest.fn(),
+      save: jest.fn(),
+      toJSON: () => ({})
+    });
+
+    test('returns 404 for an unknown nested ID', async () => {
+      Reply.findOne.mockResolvedValue(null);
+
+      const req = { params: { nestedId }, user: { userId: 3, role: 'user' }, body: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.deleteNestedReply(req, res, next);
+
+      expect(Reply.findOne).toHaveBeenCalledWith({ nestedIds: nestedId });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('creates a sub-reply with its own ID under the nested reply', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] };
+      const parentReply = buildParent(nested);
+      Reply.findOne.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { nestedId }, user: { userId: 4, role: 'user' }, body: { comment: 'child' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.createNestedSubReply(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(nested.replies).toHaveLength(1);
+      const child = nested.replies[0];
+      expect(child).toEqual(expect.objectContaining({ userId: 4, comment: 'child', isActive: true }));
+      expect(parentReply.nestedIds).toContain(child._id);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ nestedId: child._id }));
+      expect(replyCounter.adjustReplyCount).toHaveBeenCalledWith('p1', 1, null);
+      expect(subscriptionService.autoSubscribe).toHaveBeenCalledWith(4, 'p1', 1, null);
+    });
+
+    test('createSubReply counts the sub-reply on the parent reply\'s post', async () => {
+      const parentReply = { ...buildParent({ _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] }), _id: 'r1' };
+      Reply.findById.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { replyId: 'r1' }, user: { userId: 4, role: 'user' }, body: { comment: 'child' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createSubReply(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Post.findById).toHaveBeenCalledWith('p1');
+      expect(replyCounter.adjustReplyCount).toHaveBeenCalledWith('p1', 1, null);
+    });
+
+    test('createSubReply refuses a deleted reply or nested target', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: false, replies: [] };
+      Reply.findById.mockResolvedValueOnce(null);
+      Reply.findOne.mockResolvedValue(buildParent(nested));
+      Post.findById.mockResolvedValue(publishedPost);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createSubReply({ params: { replyId: nestedId }, user: { userId: 4, role: 'user' }, body: { comment: 'child' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(nested.replies).toHaveLength(0);
+
+      Reply.findById.mockResolvedValueOnce({ ...buildParent(nested), _id: 'r1', isActive: false });
+      await replyController.createSubReply({ params: { replyId: 'r1' }, user: { userId: 4, role: 'user' }, body: { comment: 'child' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(replyCounter.adjustReplyCount).not.toHaveBeenCalled();
+    });
+
+    test('renders a markdown sub-reply to HTML when it is written', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] };
+      Reply.findOne.mockResolvedValue(buildParent(nested));
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { nestedId }, user: { userId: 4, role: 'user' }, body: { comment: '**child** <b>', format: 'markdown' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createNestedSubReply(req, res, jest.fn());
+
+      expect(nested.replies[0]).toEqual(expect.objectContaining({
+        format: 'markdown',
+        commentHtml: '<p><strong>child</strong> &lt;b&gt;</p>'
+      }));
+    });
+
+    test('stores the quote and mentions of a sub-reply', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] };
+      Reply.findOne.mockResolvedValue(buildParent(nested));
+      Post.findById.mockResolvedValue(publishedPost);
+      const quote = { targetType: 'nested', targetId: nestedId, userId: 3, excerpt: 'n' };
+      quoteService.resolveQuote.mockResolvedValueOnce(quote);
+      mentionService.resolveMentions.mockResolvedValueOnce([3, 9]);
+
+      const req = {
+        params: { nestedId },
+        user: { userId: 4, role: 'user' },
+        body: { comment: '@alice @bob agreed', quoteId: nestedId }
+      };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.createNestedSubReply(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const child = nested.replies[0];
+      expect(child).toEqual(expect.objectContaining({ quote, mentions: [3, 9] }));
+      expect(mentionService.resolveMentions).toHaveBeenCalledWith('@alice @bob agreed', 4);
+      expect(mentionService.recordMentions).toHaveBeenCalledWith(
+        expect.objectContaining({ authorId: 4, postId: 'p1', nestedId: child._id }),
+        [3, 9],
+        null
+      );
+    });
+
+    test('refuses to quote content outside the post', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] };
+      Reply.findOne.mockResolvedValue(buildParent(nested));
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = {
+        params: { nestedId },
+        user: { userId: 4, role: 'user' },
+        body: { comment: 'child', quoteId: '507f1f77bcf86cd799439099' }
+      };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.createNestedSubReply(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Quoted content not found' });
+      expect(nested.replies).toHaveLength(0);
+    });
+
+    test('soft deletes the nested reply', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] };
+      const parentReply = buildParent(nested);
+      Reply.findOne.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { nestedId }, user: { userId: 3, role: 'user' }, body: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.deleteNestedReply(req, res, next);
+
+      expect(nested.isActive).toBe(false);
+      expect(parentReply.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ message: 'Reply deleted' });
+      expect(moderationLog.record).toHaveBeenCalledWith(
+        { userId: 3, role: 'user' },
+        expect.objectContaining({ action: 'delete', targetType: 'nested', targetId: nestedId, postId: 'p1' }),
+        null
+      );
+    });
+
+    test('deleting a nested reply also uncounts its active subtree', async () => {
+      const nested = {
+        _id: nestedId,
+        userId: 3,
+        comment: 'n',
+        isActive: true,
+        replies: [
+          { userId: 4, isActive: true, replies: [{ userId: 5, isActive: true, replies: [] }] },
+          { userId: 6, isActive: false, replies: [] }
+        ]
+      };
+      const parentReply = buildParent(nested);
+      Reply.findOne.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const req = { params: { nestedId }, user: { userId: 3, role: 'user' }, body: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.deleteNestedReply(req, res, next);
+
+      expect(replyCounter.adjustReplyCount).toHaveBeenCalledWith('p1', -3, null);
+    });
+
+    test('a sub-reply held by content screening does not count until approved', async () => {
+      const nested = { _id: nestedId, userId: 3, comment: 'n', isActive: true, replies: [] };
+      const parentReply = buildParent(nested);
+      Reply.findOne.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue(publishedPost);
+
+      const spam = 'buy now '.repeat(6);
+      const req = { params: { nestedId }, user: { userId: 4, role: 'user' }, body: { comment: spam } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await replyController.createNestedSubReply(req, res, jest.fn());
+
+      const child = nested.replies[0];
+      expect(child).toEqual(expect.objectContaining({ isActive: false, heldForReview: true }));
+      expect(replyCounter.adjustReplyCount).toHaveBeenCalledWith('p1', 0, null);
+      expect(moderationLog.record).toHaveBeenCalledWith(
+        { userId: 0, role: 'system' },
+        expect.objectContaining({ action: 'hold', targetType: 'nested', targetId: child._id }),
+        null
+      );
+
+      Reply.findOne.mockResolvedValue(parentReply);
+      const approveReq = { params: { nestedId: String(child._id) }, user: { userId: 1, role: 'admin' }, body: {} };
+
+      await replyController.approveNestedReply(approveReq, res, jest.fn());
+
+      expect(child).toEqual(expect.objectContaining({ isActive: true, heldForReview: false }));
+      expect(replyCounter.adjustReplyCount).toHaveBeenCalledWith('p1', 1, null);
+      expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Reply approved' }));
+    });
+  });
+
+  describe('getRepliesByPost', () => {
+    test('flags edited replies', async () => {
+      Post.findById.mockResolvedValue(publishedPost);
+      const reply = {
+        userId: 2,
+        dateModified: new Date(),
+        replies: [{ userId: 3, comment: 'n', isActive: true, replies: [] }],
+        toJSON: () => ({ replyId: 'r1' })
+      };
+      const query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn() };
+      query.sort.mockReturnValue(query);
+      query.skip.mockReturnValue(query);
+      query.limit.mockResolvedValue([reply]);
+      Reply.find.mockReturnValueOnce(query);
+      Reply.countDocuments.mockResolvedValue(1);
+
+      const req = { params: { postId: 'p1' }, query: {}, user: { userId: 1, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.getRepliesByPost(req, res, next);
+
+      const payload = res.json.mock.calls[0][0];
+      expect(payload.replies[0].isEdited).toBe(true);
+      expect(payload.replies[0].replies[0].isEdited).toBe(false);
+      // Written before rendering existed, so rendered on the way out
+      expect(payload.replies[0].replies[0].commentHtml).toBe('<p>n</p>');
+    });
+
+    test('embeds reaction counts and the viewer\'s own reaction', async () => {
+      Post.findById.mockResolvedValue(publishedPost);
+      const reply = {
+        _id: 'r1',
+        userId: 2,
+        reactionCounts: new Map([['like', 2]]),
+        replies: [{ _id: 'n1', userId: 3, isActive: true, reactionCounts: { upvote: 1 }, replies: [] }],
+        toJSON: () => ({ replyId: 'r1' })
+      };
+      const query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn() };
+      query.sort.mockReturnValue(query);
+      query.skip.mockReturnValue(query);
+      query.limit.mockResolvedValue([reply]);
+      Reply.find.mockReturnValueOnce(query);
+      Reply.countDocuments.mockResolvedValue(1);
+      reactionService.getUserReactions.mockResolvedValue(new Map([['n1', 'upvote']]));
+
+      const req = { params: { postId: 'p1' }, query: {}, user: { userId: 9, role: 'user' } };
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.getRepliesByPost(req, res, next);
+
+      expect(reactionService.getUserReactions).toHaveBeenCalledWith(9, ['r1', 'n1']);
+      const [top] = res.json.mock.calls[0][0].replies;
+      expect(top.reactions).toEqual({ counts: { like: 2 }, total: 2, myReaction: null });
+      expect(top.replies[0].reactions).toEqual({ counts: { upvote: 1 }, total: 1, myReaction: 'upvote' });
+      expect(top.replies[0].reactionCounts).toBeUndefined();
+    });
+  });
+
+  describe('getMyMentions', () => {
+    const asQuery = (docs) => ({ sort: () => ({ limit: () => Promise.resolve(docs) }) });
+
+    test('lists mentions in visible content and skips the rest', async () => {
+      const dateCreated = new Date('2026-05-01T10:00:00Z');
+      Mention.find.mockReturnValue(asQuery([
+        { _id: 'm1', userId: 2, authorId: 5, postId: 'p1', replyId: 'r1', nestedId: null, dateCreated },
+        { _id: 'm2', userId: 2, authorId: 6, postId: 'p1', replyId: 'r2', nestedId: null, dateCreated },
+        { _id: 'm3', userId: 2, authorId: 7, postId: 'p2', replyId: 'r3', nestedId: null, dateCreated }
+      ]));
+      Reply.find.mockResolvedValue([
+        { _id: 'r1', isActive: true, comment: 'hi @bob' },
+        { _id: 'r2', isActive: false, comment: 'removed @bob' },
+        { _id: 'r3', isActive: true, comment: 'draft @bob' }
+      ]);
+      Post.find.mockReturnValue({
+        select: () => Promise.resolve([
+          { _id: 'p1', title: 'Hello', status: 'published' },
+          { _id: 'p2', title: 'Draft', status: 'draft' }
+        ])
+      });
+
+      const req = { query: {}, user: { userId: 2, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.getMyMentions(req, res, next);
+
+      expect(Mention.find).toHaveBeenCalledWith({ userId: 2 });
+      const body = res.json.mock.calls[0][0];
+      expect(body.mentions).toEqual([expect.objectContaining({
+        mentionId: 'm1',
+        postTitle: 'Hello',
+        replyId: 'r1',
+        comment: 'hi @bob'
+      })]);
+      expect(body.limit).toBe(20);
+    });
+
+    test('returns 400 for an invalid cursor', async () => {
+      const req = { query: { cursor: 'garbage' }, user: { userId: 2, role: 'user' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await replyController.getMyMentions(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid cursor' });
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const reportController = require('../reportController');
+const { validationResult } = require('express-validator');
+const Post = require('../../models/Post');
+const Reply = require('../../models/Reply');
+const Report = require('../../models/Report');
+const postStatus = require('../../services/postStatus');
+const replyRemoval = require('../../services/replyRemoval');
+
+jest.mock('../../models/Post', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../models/Reply', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../../models/Report', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+  aggregate: jest.fn()
+}));
+
+jest.mock('../../services/postStatus', () => ({
+  changeStatus: jest.fn()
+}));
+
+jest.mock('../../services/replyRemoval', () => ({
+  removeReply: jest.fn().mockResolvedValue(),
+  removeNestedReply: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('express-validator', () => ({
+  validationResult: jest.fn()
+}));
+
+const POST_ID = '507f1f77bcf86cd799439011';
+const REPLY_ID = '507f1f77bcf86cd799439022';
+const NESTED_ID = '507f1f77bcf86cd799439033';
+
+const mockRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+describe('reportController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationResult.mockReturnValue({ isEmpty: () => true });
+  });
+
+  describe('reportPost', () => {
+    test('files a report against a published post', async () => {
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'published' });
+      Report.create.mockResolvedValue({ _id: 'r1', toJSON: () => ({ reportId: 'r1' }) });
+
+      const req = { params: { id: POST_ID }, body: { reason: 'spam' }, user: { userId: 1, role: 'user' } };
+      const res = mockRes();
+      const next = jest.fn();
+
+      await reportController.reportPost(req, res, next);
+
+      expect(Report.create).toHaveBeenCalledWith({
+        targetType: 'post',
+        targetId: POST_ID,
+        postId: POST_ID,
+        parentReplyId: null,
+        reporterId: 1,
+        reason: 'spam',
+        details: null
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('answers 409 when the reporter already has an open report', async () => {
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'published' });
+      Report.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      const req = { params: { id: POST_ID }, body: { reason: 'spam' }, user: { userId: 1, role: 'user' } };
+      const res = mockRes();
+      const next = jest.fn();
+
+      await reportController.reportPost(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ error: 'You have already reported this' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('rejects reports on your own post', async () => {
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 1, status: 'published' });
+
+      const req = { params: { id: POST_ID }, body: { reason: 'spam' }, user: { userId: 1, role: 'user' } };
+      const res = mockRes();
+
+      await reportController.reportPost(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Report.create).not.toHaveBeenCalled();
+    });
+
+    test('hides unpublished posts', async () => {
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'hidden' });
+
+      const req = { params: { id: POST_ID }, body: { reason: 'spam' }, user: { userId: 1, role: 'user' } };
+      const res = mockRes();
+
+      await reportController.reportPost(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('reportReply', () => {
+    test('resolves a nested reply ID to its parent reply', async () => {
+      const nested = { _id: NESTED_ID, userId: 3, isActive: true, replies: [] };
+      const parentReply = { _id: REPLY_ID, postId: POST_ID, userId: 2, isActive: true, replies: [nested] };
+      Reply.findById.mockResolvedValue(null);
+      Reply.findOne.mockResolvedValue(parentReply);
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'published' });
+      Report.create.mockResolvedValue({ _id: 'r1', toJSON: () => ({ reportId: 'r1' }) });
+
+      const req = { params: { id: NESTED_ID }, body: { reason: 'harassment', details: 'Rude' }, user: { userId: 1, role: 'user' } };
+      const res = mockRes();
+
+      await reportController.reportReply(req, res, jest.fn());
+
+      expect(Reply.findOne).toHaveBeenCalledWith({ nestedIds: NESTED_ID });
+      expect(Report.create).toHaveBeenCalledWith(expect.objectContaining({
+        targetType: 'nested',
+        targetId: NESTED_ID,
+        postId: POST_ID,
+        parentReplyId: REPLY_ID,
+        details: 'Rude'
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('does not accept reports on deleted replies', async () => {
+      Reply.findById.mockResolvedValue({ _id: REPLY_ID, postId: POST_ID, userId: 2, isActive: false });
+
+      const req = { params: { id: REPLY_ID }, body: { reason: 'spam' }, user: { userId: 1, role: 'user' } };
+      const res = mockRes();
+
+      await reportController.reportReply(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Report.create).not.toHaveBeenCalled();
+    });
+  });
+
+  test('getQueue orders targets by report count and tallies reasons', async () => {
+    Report.aggregate.mockResolvedValue([{
+      items: [{
+        _id: POST_ID,
+        targetType: 'post',
+        postId: POST_ID,
+        parentReplyId: null,
+        reportCount: 3,
+        reasons: ['spam', 'spam', 'other'],
+        firstReported: new Date('2026-01-01'),
+        lastReported: new Date('2026-01-02')
+      }],
+      total: [{ count: 1 }]
+    }]);
+
+    const req = { query: {} };
+    const res = mockRes();
+
+    await reportController.getQueue(req, res, jest.fn());
+
+    const pipeline = Report.aggregate.mock.calls[0][0];
+    expect(pipeline[0]).toEqual({ $match: { status: 'open' } });
+    expect(pipeline[2]).toEqual({ $sort: { reportCount: -1, lastReported: -1, _id: 1 } });
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.total).toBe(1);
+    expect(body.items[0]).toEqual(expect.objectContaining({
+      targetId: POST_ID,
+      reportCount: 3,
+      reasons: { spam: 2, other: 1 }
+    }));
+  });
+
+  describe('resolveReports', () => {
+    const admin = { userId: 9, role: 'admin' };
+
+    test('ban bans the reported post and resolves its reports', async () => {
+      const post = { _id: POST_ID, userId: 2, status: 'published' };
+      Report.find.mockResolvedValue([
+        { targetType: 'post', postId: POST_ID, parentReplyId: null, reason: 'spam' },
+        { targetType: 'post', postId: POST_ID, parentReplyId: null, reason: 'spam' }
+      ]);
+      Post.findById.mockResolvedValue(post);
+      postStatus.changeStatus.mockResolvedValue({ from: 'published', to: 'banned' });
+
+      const req = { params: { targetId: POST_ID }, body: { action: 'ban' }, user: admin };
+      const res = mockRes();
+
+      await reportController.resolveReports(req, res, jest.fn());
+
+      expect(postStatus.changeStatus).toHaveBeenCalledWith(post, 'ban', admin, 'Reported: spam');
+      expect(Report.updateMany).toHaveBeenCalledWith(
+        { targetId: POST_ID, status: 'open' },
+        { $set: expect.objectContaining({ status: 'resolved', resolution: 'ban', resolvedBy: 9 }) }
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ action: 'ban', reportCount: 2 }));
+    });
+
+    test('delete soft-deletes a reported reply', async () => {
+      const reply = { _id: REPLY_ID, postId: POST_ID, userId: 2, isActive: true };
+      Report.find.mockResolvedValue([{ targetType: 'reply', postId: POST_ID, parentReplyId: null, reason: 'harassment' }]);
+      Reply.findById.mockResolvedValue(reply);
+
+      const req = { params: { targetId: REPLY_ID }, body: { action: 'delete', note: 'Abusive' }, user: admin };
+      const res = mockRes();
+
+      await reportController.resolveReports(req, res, jest.fn());
+
+      expect(replyRemoval.removeReply).toHaveBeenCalledWith(reply, admin, 'Abusive');
+      expect(Report.updateMany).toHaveBeenCalled();
+    });
+
+    test('ban is refused for replies', async () => {
+      Report.find.mockResolvedValue([{ targetType: 'reply', postId: POST_ID, parentReplyId: null, reason: 'spam' }]);
+
+      const req = { params: { targetId: REPLY_ID }, body: { action: 'ban' }, user: admin };
+      const res = mockRes();
+
+      await reportController.resolveReports(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Report.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('a refused transition leaves the reports open', async () => {
+      Report.find.mockResolvedValue([{ targetType: 'post', postId: POST_ID, parentReplyId: null, reason: 'spam' }]);
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'deleted' });
+      postStatus.changeStatus.mockResolvedValue({ status: 409, error: 'Cannot ban a post that is deleted' });
+
+      const req = { params: { targetId: POST_ID }, body: { action: 'ban' }, user: admin };
+      const res = mockRes();
+
+      await reportController.resolveReports(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(Report.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 without open reports', async () => {
+      Report.find.mockResolvedValue([]);
+
+      const req = { params: { targetId: POST_ID }, body: {}, user: admin };
+      const res = mockRes();
+
+      await reportController.resolveReports(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  test('dismissReports closes open reports without acting', async () => {
+    Report.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+    const req = { params: { targetId: POST_ID }, body: { note: 'Not a violation' }, user: { userId: 9, role: 'admin' } };
+    const res = mockRes();
+
+    await reportController.dismissReports(req, res, jest.fn());
+
+    expect(Report.updateMany).toHaveBeenCalledWith(
+      { targetId: POST_ID, status: 'open' },
+      { $set: expect.objectContaining({ status: 'dismissed', resolution: 'dismissed', resolutionNote: 'Not a violation', resolvedBy: 9 }) }
+    );
+    expect(postStatus.changeStatus).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ reportCount: 2 }));
+  });
+});
@@ -0,0 +1,88 @@
+const revisionController = require('../revisionController');
+const { validationResult } = require('express-validator');
+const Post = require('../../models/Post');
+const PostRevision = require('../../models/PostRevision');
+const replyCounter = require('../../services/replyCounter');
+const moderationLog = require('../../services/moderationLog');
+
+jest.mock('../../models/Post', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../models/PostRevision', () => ({
+  findOne: jest.fn(),
+  create: jest.fn().mockResolvedValue([{}])
+}));
+
+jest.mock('../../services/replyCounter', () => ({
+  runInTransaction: jest.fn().mockImplementation(work => work(null))
+}));
+
+jest.mock('../../services/moderationLog', () => ({
+  record: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('express-validator', () => ({
+  validationResult: jest.fn()
+}));
+
+describe('revisionController', () => {
+  const buildPost = () => ({
+    _id: 'p1',
+    userId: 3,
+    status: 'published',
+    title: 'current',
+    content: 'now',
+    revision: 4,
+    save: jest.fn().mockResolvedValue(),
+    toJSON: () => ({})
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationResult.mockReturnValue({ isEmpty: () => true });
+    PostRevision.findOne.mockResolvedValue({ revision: 2, title: 'old', content: 'then', format: 'plain' });
+  });
+
+  describe('rollbackRevision', () => {
+    test('stores the replaced body and the post together', async () => {
+      const post = buildPost();
+      Post.findById.mockResolvedValue(post);
+
+      const req = { params: { id: 'p1', rev: '2' }, user: { userId: 3, role: 'user' }, body: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await revisionController.rollbackRevision(req, res, jest.fn());
+
+      expect(replyCounter.runInTransaction).toHaveBeenCalledTimes(1);
+      expect(PostRevision.create).toHaveBeenCalledWith(
+        [expect.objectContaining({ postId: 'p1', revision: 4, title: 'current', content: 'now' })],
+        { session: null }
+      );
+      expect(post.save).toHaveBeenCalledWith({ session: null });
+      expect(post).toEqual(expect.objectContaining({ title: 'old', content: 'then', revision: 5 }));
+      // The owner's own rollback is not a moderation action
+      expect(moderationLog.record).not.toHaveBeenCalled();
+    });
+
+    test('logs an admin rolling back someone else\'s post', async () => {
+      Post.findById.mockResolvedValue(buildPost());
+
+      const admin = { userId: 9, role: 'admin' };
+      const req = { params: { id: 'p1', rev: '2' }, user: admin, body: { reason: 'spam edit' } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await revisionController.rollbackRevision(req, res, jest.fn());
+
+      expect(moderationLog.record).toHaveBeenCalledWith(admin, {
+        action: 'rollback',
+        targetType: 'post',
+        targetId: 'p1',
+        postId: 'p1',
+        previousState: { revision: 4 },
+        newState: { revision: 5, restoredRevision: 2 },
+        reason: 'spam edit'
+      }, null);
+    });
+  });
+});
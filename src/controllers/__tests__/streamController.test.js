@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+const streamController = require('../streamController');
+const Post = require('../../models/Post');
+const liveEvents = require('../../services/liveEvents');
+
+jest.mock('../../models/Post', () => ({
+  findById: jest.fn()
+}));
+
+const POST_ID = '507f1f77bcf86cd799439011';
+const OTHER_POST_ID = '507f1f77bcf86cd799439099';
+
+const mockReq = ({ user = { userId: 1, role: 'user' }, lastEventId = null } = {}) => {
+  const req = new EventEmitter();
+  req.params = { id: POST_ID };
+  req.query = {};
+  req.user = user;
+  req.get = name => (name === 'Last-Event-ID' ? lastEventId : undefined);
+  return req;
+};
+
+const mockRes = () => {
+  const res = { chunks: [] };
+  res.set = jest.fn();
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn(chunk => res.chunks.push(chunk));
+  res.end = jest.fn();
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn();
+  return res;
+};
+
+// Events written to the stream as { id, event, data }
+const written = res => res.chunks
+  .filter(chunk => chunk.includes('event: '))
+  .map((chunk) => {
+    const fields = Object.fromEntries(chunk.trim().split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+  });
+
+describe('streamController', () => {
+  let bus;
+  let req;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bus = liveEvents.createMemoryBus();
+    liveEvents.configure(bus);
+    Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'published' });
+  });
+
+  afterEach(() => {
+    // Stops the heartbeat and unsubscribes
+    if (req) req.emit('close');
+    req = null;
+  });
+
+  afterAll(() => {
+    liveEvents.configure(null);
+  });
+
+  describe('streamPost', () => {
+    test('sends the post\'s reply events and nothing from other posts', async () => {
+      req = mockReq();
+      const res = mockRes();
+
+      await streamController.streamPost(req, res, jest.fn());
+      await liveEvents.replyAdded({ _id: 'r1', postId: POST_ID, userId: 3, comment: 'Hi', dateCreated: 'now' });
+      await liveEvents.replyAdded({ _id: 'r2', postId: OTHER_POST_ID, userId: 3, comment: 'Elsewhere', dateCreated: 'now' });
+      await liveEvents.replyRemoved(POST_ID, 'r1');
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(written(res).map(event => [event.event, event.data.replyId])).toEqual([
+        ['reply.created', 'r1'],
+        ['reply.deleted', 'r1']
+      ]);
+    });
+
+    test('follows getPostById visibility when connecting', async () => {
+      Post.findById.mockResolvedValue({ _id: POST_ID, userId: 2, status: 'hidden' });
+      const res = mockRes();
+
+      await streamController.streamPost(mockReq(), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'This post is hidden' });
+      expect(res.flushHeaders).not.toHaveBeenCalled();
+    });
+
+    test('ends the stream when the post stops being visible to the subscriber', async () => {
+      req = mockReq();
+      const res = mockRes();
+
+      await streamController.streamPost(req, res, jest.fn());
+      await liveEvents.postStatusChanged({ _id: POST_ID, userId: 2 }, 'published', 'banned');
+      await liveEvents.replyRemoved(POST_ID, 'r1');
+
+      expect(written(res)).toEqual([{ id: undefined, event: 'end', data: { reason: 'This post has been banned' } }]);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    test('keeps streaming status changes to an admin', async () => {
+      req = mockReq({ user: { userId: 9, role: 'admin' } });
+      const res = mockRes();
+
+      await streamController.streamPost(req, res, jest.fn());
+      await liveEvents.postStatusChanged({ _id: POST_ID, userId: 2 }, 'published', 'banned');
+
+      expect(written(res).map(event => event.event)).toEqual(['post.status']);
+      expect(res.end).not.toHaveBeenCalled();
+    });
+
+    test('replays events missed since Last-Event-ID', async () => {
+      const ids = [];
+      const unsubscribe = bus.subscribe(event => ids.push(event.id));
+      await liveEvents.replyAdded({ _id: 'r1', postId: POST_ID, userId: 3, comment: 'One' });
+      await liveEvents.replyAdded({ _id: 'r2', postId: POST_ID, userId: 3, comment: 'Two' });
+      unsubscribe();
+
+      req = mockReq({ lastEventId: ids[0] });
+      const res = mockRes();
+      await streamController.streamPost(req, res, jest.fn());
+
+      expect(written(res)).toEqual([
+        { id: ids[1], event: 'reply.created', data: expect.objectContaining({ replyId: 'r2', comment: 'Two' }) }
+      ]);
+    });
+
+    test('asks the client to reload when Last-Event-ID is no longer retained', async () => {
+      req = mockReq({ lastEventId: 'expired-1' });
+      const res = mockRes();
+
+      await streamController.streamPost(req, res, jest.fn());
+
+      expect(written(res)).toEqual([{ id: undefined, event: 'reset', data: {} }]);
+    });
+  });
+
+  test('streamPublishedPosts sends newly published posts only', async () => {
+    req = mockReq();
+    const res = mockRes();
+
+    await streamController.streamPublishedPosts(req, res, jest.fn());
+    await liveEvents.postStatusChanged({ _id: POST_ID, userId: 2, title: 'Hello' }, null, 'published');
+    await liveEvents.replyRemoved(POST_ID, 'r1');
+
+    expect(written(res)).toEqual([
+      { id: expect.any(String), event: 'post.published', data: { postId: POST_ID, userId: 2, title: 'Hello' } }
+    ]);
+  });
+});
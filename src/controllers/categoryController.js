@@ -0,0 +1,157 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { validationResult } = require('express-validator');
+const categoryService = require('../services/categoryService');
+const logger = require('../utils/logger');
+const { toSlug, SLUG_PATTERN } = require('../utils/tags');
+
+const MAX_SLUG_LENGTH = 50;
+
+/**
+ * Slug for a new or renamed category: the given one, else derived from its
+ * name without punctuation ('Help & Support' -> 'help-support')
+ * Returns null when it cannot be used
+ */
+const buildSlug = (slug, name) => {
+  const value = slug ? toSlug(slug) : toSlug(String(name).replace(/[^\p{L}\p{N}\s_-]+/gu, ' '));
+  return value.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(value) ? value : null;
+};
+
+const duplicateSlug = res => res.status(409).json({ error: 'A category with this slug already exists' });
+
+/**
+ * List categories by name with their published post counts
+ */
+exports.getCategories = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }),
+      categoryService.getPostCounts()
+    ]);
+
+    res.json({
+      categories: categories.map(category => ({
+        ...category.toJSON(),
+        postCount: counts.get(String(category._id)) || 0
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a category by ID or slug
+ */
+exports.getCategory = async (req, res, next) => {
+  try {
+    const category = await categoryService.findByRef(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json({ category: category.toJSON() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a category (Admin only)
+ */
+exports.createCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description } = req.body;
+    const slug = buildSlug(req.body.slug, name);
+    if (!slug) {
+      return res.status(400).json({ error: 'Invalid slug' });
+    }
+
+    const category = await Category.create({ name, slug, description: description || '' });
+
+    logger.info(`Category created: ${slug} by user ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: category.toJSON()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateSlug(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Rename or describe a category (Admin only); posts keep it under the new name
+ */
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await categoryService.findByRef(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { name, slug, description } = req.body;
+    if (slug !== undefined) {
+      // An empty slug would otherwise be derived from a missing name
+      const value = String(slug).trim() ? buildSlug(slug) : null;
+      if (!value) {
+        return res.status(400).json({ error: 'Invalid slug' });
+      }
+      category.slug = value;
+    }
+    if (name !== undefined) category.name = name;
+    if (description !== undefined) category.description = description;
+    category.dateModified = new Date();
+
+    await category.save();
+
+    logger.info(`Category updated: ${category.slug} by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Category updated successfully',
+      category: category.toJSON()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateSlug(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete a category no post is filed under (Admin only)
+ */
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await categoryService.findByRef(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (await Post.exists({ category: category._id })) {
+      return res.status(409).json({ error: 'Category still has posts' });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+
+    logger.info(`Category deleted: ${category.slug} by user ${req.user.userId}`);
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
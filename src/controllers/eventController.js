@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const OutboxEvent = require('../models/OutboxEvent');
+const { validationResult } = require('express-validator');
+const eventOutbox = require('../services/eventOutbox');
+const logger = require('../utils/logger');
+const { decodeCursor, findPage } = require('../utils/cursorPagination');
+
+/**
+ * List webhook deliveries, newest first (Admin only)
+ * Filters: status, type, eventId, endpoint
+ */
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'dateCreated') : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const query = eventOutbox.buildQuery(req.query);
+    const [result, total] = await Promise.all([
+      findPage(OutboxEvent, query, { field: 'dateCreated', order: -1, limit, cursor }),
+      OutboxEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      deliveries: result.docs.map(delivery => delivery.toJSON()),
+      total,
+      limit,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one webhook delivery with its payload and last error (Admin only)
+ */
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const delivery = mongoose.isValidObjectId(id) ? await OutboxEvent.findById(id) : null;
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ delivery: delivery.toJSON() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a failed webhook delivery again (Admin only)
+ */
+exports.replayDelivery = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const delivery = await eventOutbox.replay(id);
+    if (!delivery) {
+      const exists = await OutboxEvent.exists({ _id: id });
+      return exists
+        ? res.status(409).json({ error: 'Only failed deliveries can be replayed' })
+        : res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    logger.info(`Webhook delivery replayed: ${id} by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Delivery queued for replay',
+      delivery: delivery.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue every failed webhook delivery again, optionally by type, eventId or endpoint (Admin only)
+ */
+exports.replayFailedDeliveries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, eventId, endpoint } = req.body || {};
+    const replayed = await eventOutbox.replayFailed({ type, eventId, endpoint });
+
+    logger.info(`${replayed} failed webhook deliveries replayed by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Failed deliveries queued for replay',
+      replayed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,76 @@
+const Post = require('../models/Post');
+const ModerationLog = require('../models/ModerationLog');
+const { validationResult } = require('express-validator');
+const userClient = require('../services/userClient');
+const moderationLog = require('../services/moderationLog');
+const { decodeCursor, findPage } = require('../utils/cursorPagination');
+
+/**
+ * Attach the acting user's summary to log entries
+ */
+const withActors = async (entries) => {
+  const users = await userClient.getUsersByIds(entries.map(entry => entry.actorId));
+  return entries.map(entry => ({
+    ...entry.toJSON(),
+    actor: userClient.formatUser(users.get(entry.actorId))
+  }));
+};
+
+/**
+ * Query the moderation log, newest first (Admin only)
+ * Filters: actorId, action, targetType, targetId, postId, from, to
+ */
+exports.getLogs = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'dateCreated') : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const query = moderationLog.buildQuery(req.query);
+    const [result, total] = await Promise.all([
+      findPage(ModerationLog, query, { field: 'dateCreated', order: -1, limit, cursor }),
+      ModerationLog.countDocuments(query)
+    ]);
+
+    res.json({
+      entries: await withActors(result.docs),
+      total,
+      limit,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Every moderation action on a post and its replies, oldest first (Admin only)
+ */
+exports.getPostTimeline = async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+
+    const post = await Post.findById(postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const entries = await moderationLog.getPostTimeline(post._id);
+
+    res.json({
+      postId: post._id,
+      status: post.status,
+      entries: await withActors(entries)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,12 +1,37 @@
 const Post = require('../models/Post');
-const Reply = require('../models/Reply');
-const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const userClient = require('../services/userClient');
+const revisionService = require('../services/revisionService');
+const replyCounter = require('../services/replyCounter');
+const reactionService = require('../services/reactionService');
+const postStatus = require('../services/postStatus');
+const contentScreening = require('../services/contentScreening');
+const contentHold = require('../services/contentHold');
+const eventOutbox = require('../services/eventOutbox');
+const subscriptionService = require('../services/subscriptionService');
+const liveEvents = require('../services/liveEvents');
+const categoryService = require('../services/categoryService');
 const logger = require('../utils/logger');
+const { extractTerms, buildSnippet, highlight } = require('../utils/textHighlight');
+const { decodeCursor, findPage, wantsCursor } = require('../utils/cursorPagination');
+const { periodStart, publishedSince } = require('../utils/ranking');
+const postLifecycle = require('../utils/postLifecycle');
+const { parseTagFilter } = require('../utils/tags');
+const pins = require('../utils/pins');
+
+// sortBy values for the published feed and the stored field each one orders by
+const FEED_SORT_FIELDS = {
+  dateCreated: 'dateCreated',
+  dateModified: 'dateModified',
+  replyCount: 'replyCount',
+  hot: 'hotScore',
+  top: 'engagementScore'
+};
 
 /**
  * Get published posts with pagination
+ * Posts pinned in this feed come first in a separate pinned list on the first
+ * page and are left out of the paged posts, so totals and pages stay consistent
  */
 exports.getPublishedPosts = async (req, res, next) => {
   try {
@@ -15,6 +40,7 @@ exports.getPublishedPosts = async (req, res, next) => {
     const skip = (page - 1) * limit;
     const sortBy = req.query.sortBy || 'dateCreated';
     const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+    const sortField = FEED_SORT_FIELDS[sortBy];
 
     const query = { status: 'published' };
 
@@ -23,141 +49,188 @@ exports.getPublishedPosts = async (req, res, next) => {
       query.userId = parseInt(req.query.userId);
     }
 
-    // If sorting by replyCount, we need to calculate it from Reply collection
-    let posts, total;
-    if (sortBy === 'replyCount') {
-      // Use aggregation to get posts with actual reply counts
-      const aggregation = [
-        { $match: query },
-        {
-          $lookup: {
-            from: 'replies',
-            let: { postId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$postId', '$$postId'] },
-                      { $eq: ['$isActive', true] }
-                    ]
-                  }
-                }
-              }
-            ],
-            as: 'replies'
-          }
-        },
-        {
-          $addFields: {
-            // Count all replies including nested ones
-            actualReplyCount: {
-              $add: [
-                { $size: '$replies' },
-                {
-                  $sum: {
-                    $map: {
-                      input: '$replies',
-                      as: 'reply',
-                      in: {
-                        $cond: {
-                          if: { $isArray: '$$reply.replies' },
-                          then: { $size: '$$reply.replies' },
-                          else: 0
-                        }
-                      }
-                    }
-                  }
-                }
-              ]
-            }
-          }
-        },
-        { $sort: { actualReplyCount: sortOrder, dateCreated: -1 } },
-        { $skip: skip },
-        { $limit: limit }
-      ];
-
-      const [postsResult, totalResult] = await Promise.all([
-        Post.aggregate(aggregation),
-        Post.countDocuments(query)
-      ]);
+    // Filter by category (ID or slug) and by tags (posts carrying all of them)
+    if (req.query.category) {
+      const category = await categoryService.findByRef(req.query.category);
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      query.category = category._id;
+    }
 
-      // Convert aggregation results to Post documents
-      posts = postsResult.map(doc => {
-        const post = new Post();
-        Object.assign(post, doc);
-        post._id = new mongoose.Types.ObjectId(doc._id);
-        post.isNew = false;
-        post.replyCount = doc.actualReplyCount || 0;
-        return post;
-      });
-      total = totalResult;
+    if (req.query.tags) {
+      const tags = parseTagFilter(req.query.tags);
+      if (!tags) {
+        return res.status(400).json({ error: 'Invalid tags' });
+      }
+      if (tags.length > 0) {
+        query.tags = { $all: tags };
+      }
+    }
+
+    // "Top" can be limited to posts published within a period
+    if (sortBy === 'top') {
+      const since = periodStart(req.query.period || 'all');
+      if (since === undefined) {
+        return res.status(400).json({ error: 'Invalid period' });
+      }
+      if (since) {
+        // Under $and so it does not clash with the pin condition's $or
+        query.$and = [publishedSince(since)];
+      }
+    }
+
+    const pinned = pins.pinCondition(query);
+    const listQuery = { ...query, $nor: [pinned] };
+
+    let posts, total, pagination;
+    if (wantsCursor(req.query)) {
+      if (!sortField) {
+        return res.status(400).json({ error: 'Invalid sortBy' });
+      }
+
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sortField) : null;
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      let result;
+      [result, total] = await Promise.all([
+        findPage(Post, listQuery, { field: sortField, order: sortOrder, limit, cursor }),
+        Post.countDocuments(listQuery)
+      ]);
+      posts = result.docs;
+      pagination = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
     } else {
-      // Normal query for other sort fields
+      // Counters and ranking scores are stored fields; ties fall back to newest first
+      const field = sortField || sortBy;
+      const sort = ['replyCount', 'hotScore', 'engagementScore'].includes(field)
+        ? { [field]: sortOrder, dateCreated: -1 }
+        : { [field]: sortOrder };
+
       [posts, total] = await Promise.all([
-        Post.find(query)
-          .sort({ [sortBy]: sortOrder })
+        Post.find(listQuery)
+          .sort(sort)
           .skip(skip)
           .limit(limit),
-        Post.countDocuments(query)
+        Post.countDocuments(listQuery)
       ]);
+      pagination = { page, totalPages: Math.ceil(total / limit) };
     }
 
-    // Helper function to count all replies including nested ones
-    const countAllReplies = async (postId) => {
-      const topLevelReplies = await Reply.find({ postId: postId.toString(), isActive: true });
-      let totalCount = topLevelReplies.length;
-      
-      // Count nested replies recursively
-      for (const reply of topLevelReplies) {
-        const countNested = (replies) => {
-          if (!replies || !Array.isArray(replies)) return 0;
-          let count = 0;
-          replies.forEach(r => {
-            if (r.isActive !== false) {
-              count += 1;
-              if (r.replies && Array.isArray(r.replies)) {
-                count += countNested(r.replies);
-              }
-            }
-          });
-          return count;
-        };
-        totalCount += countNested(reply.replies);
-      }
-      
-      return totalCount;
-    };
-
-    // Fetch user info and calculate reply count for each post
-    const postsWithUsers = await Promise.all(
-      posts.map(async (post) => {
-        const user = await userClient.getUserById(post.userId);
-        // Calculate actual reply count if not already calculated
-        let replyCount = post.replyCount;
-        if (sortBy !== 'replyCount') {
-          // Count all replies including nested ones
-          replyCount = await countAllReplies(post._id);
-        } else {
-          // For replyCount sort, we need to recalculate including nested
-          replyCount = await countAllReplies(post._id);
-        }
-        return {
-          ...post.toJSON(),
-          replyCount,
-          user: user ? {
-            userId: user.user_id,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            profileImageUrl: user.profile_image_url
-          } : null
-        };
-      })
-    );
+    const isFirstPage = wantsCursor(req.query) ? !req.query.cursor : page === 1;
+    const pinnedPosts = isFirstPage
+      ? await Post.find({ ...query, ...pinned }).sort({ pinnedAt: -1 })
+      : [];
+
+    // Fetch user info and the viewer's reactions for all posts in one lookup each
+    const viewerId = req.user.userId;
+    const allPosts = [...pinnedPosts, ...posts];
+    const [users, myReactions] = await Promise.all([
+      userClient.getUsersByIds(allPosts.map(post => post.userId)),
+      reactionService.getUserReactions(viewerId, allPosts.map(post => post._id))
+    ]);
+    const withUser = post => ({
+      ...post.toJSON(),
+      replyCount: post.replyCount || 0,
+      reactions: reactionService.summarize(post.reactionCounts, myReactions.get(String(post._id))),
+      user: userClient.formatUser(users.get(post.userId))
+    });
+
+    res.json({
+      pinned: pinnedPosts.map(withUser),
+      posts: posts.map(withUser),
+      total,
+      limit,
+      ...pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Full-text search over published posts
+ */
+exports.searchPosts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const q = req.query.q.trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'published', $text: { $search: q } };
+
+    // Filter by user if specified
+    if (req.query.userId) {
+      query.userId = parseInt(req.query.userId);
+    }
+
+    const [posts, total] = await Promise.all([
+      Post.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, dateCreated: -1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(query)
+    ]);
+
+    const terms = extractTerms(q);
+
+    const users = await userClient.getUsersByIds(posts.map(post => post.userId));
+    const postsWithUsers = posts.map(post => ({
+      ...post.toJSON(),
+      replyCount: post.replyCount || 0,
+      highlights: {
+        title: highlight(post.title, terms),
+        content: buildSnippet(post.content, terms)
+      },
+      user: userClient.formatUser(users.get(post.userId))
+    }));
 
     res.json({
       posts: postsWithUsers,
+      query: q,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get featured published posts, most recently featured first
+ */
+exports.getFeaturedPosts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'published', featured: true };
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .sort({ featuredAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(query)
+    ]);
+
+    const users = await userClient.getUsersByIds(posts.map(post => post.userId));
+
+    res.json({
+      posts: posts.map(post => ({
+        ...post.toJSON(),
+        replyCount: post.replyCount || 0,
+        user: userClient.formatUser(users.get(post.userId))
+      })),
       total,
       page,
       limit,
@@ -173,13 +246,77 @@ exports.getPublishedPosts = async (req, res, next) => {
  */
 exports.getUserDrafts = async (req, res, next) => {
   try {
-    const userId = parseInt(req.headers['x-user-id']);
+    const userId = req.user.userId;
     
     const posts = await Post.find({ 
       userId, 
       status: 'unpublished' 
     }).sort({ dateCreated: -1 });
 
+    res.json({
+      posts: posts.map(post => ({
+        ...post.toJSON(),
+        isScheduled: Boolean(post.publishAt)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the published posts the user follows, most recently replied to first,
+ * with the number of replies added since they last read each one
+ * Query: unread=true keeps only posts with new replies
+ */
+exports.getSubscribedPosts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { items, total } = await subscriptionService.getFeed(req.user.userId, {
+      page,
+      limit,
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    const users = await userClient.getUsersByIds(items.map(item => item.post.userId));
+
+    res.json({
+      posts: items.map(({ post, newReplies, lastReadAt }) => ({
+        postId: post._id,
+        title: post.title,
+        isArchived: post.isArchived,
+        replyCount: post.replyCount || 0,
+        lastReplyAt: post.lastReplyAt || null,
+        dateCreated: post.dateCreated,
+        newReplies,
+        lastReadAt,
+        user: userClient.formatUser(users.get(post.userId))
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get user's drafts that are scheduled for publishing (soonest first)
+ */
+exports.getScheduledPosts = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const posts = await Post.find({
+      userId,
+      status: 'unpublished',
+      publishAt: { $ne: null }
+    }).sort({ publishAt: 1 });
+
     res.json({ posts });
   } catch (error) {
     next(error);
@@ -191,7 +328,7 @@ exports.getUserDrafts = async (req, res, next) => {
  */
 exports.getUserHidden = async (req, res, next) => {
   try {
-    const userId = parseInt(req.headers['x-user-id']);
+    const userId = req.user.userId;
     
     const posts = await Post.find({ 
       userId, 
@@ -213,12 +350,34 @@ exports.getBannedPosts = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
+    const query = { status: 'banned' };
+
+    if (wantsCursor(req.query)) {
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'dateCreated') : null;
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const [result, total] = await Promise.all([
+        findPage(Post, query, { field: 'dateCreated', order: -1, limit, cursor }),
+        Post.countDocuments(query)
+      ]);
+
+      return res.json({
+        posts: result.docs,
+        total,
+        limit,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor
+      });
+    }
+
     const [posts, total] = await Promise.all([
-      Post.find({ status: 'banned' })
+      Post.find(query)
         .sort({ dateCreated: -1 })
         .skip(skip)
         .limit(limit),
-      Post.countDocuments({ status: 'banned' })
+      Post.countDocuments(query)
     ]);
 
     res.json({ posts, total, page, limit });
@@ -236,12 +395,34 @@ exports.getDeletedPosts = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
+    const query = { status: 'deleted' };
+
+    if (wantsCursor(req.query)) {
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'dateCreated') : null;
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const [result, total] = await Promise.all([
+        findPage(Post, query, { field: 'dateCreated', order: -1, limit, cursor }),
+        Post.countDocuments(query)
+      ]);
+
+      return res.json({
+        posts: result.docs,
+        total,
+        limit,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor
+      });
+    }
+
     const [posts, total] = await Promise.all([
-      Post.find({ status: 'deleted' })
+      Post.find(query)
         .sort({ dateCreated: -1 })
         .skip(skip)
         .limit(limit),
-      Post.countDocuments({ status: 'deleted' })
+      Post.countDocuments(query)
     ]);
 
     res.json({ posts, total, page, limit });
@@ -256,8 +437,7 @@ exports.getDeletedPosts = async (req, res, next) => {
 exports.getPostById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
-    const userType = req.headers['x-user-type'];
+    const { userId, role } = req.user;
 
     const post = await Post.findById(id);
 
@@ -265,71 +445,27 @@ exports.getPostById = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Check access permissions
-    const isOwner = post.userId === userId;
-    const isAdmin = ['admin', 'super_admin'].includes(userType);
-
-    // Log for debugging
-    logger.info(`getPostById: postId=${id}, postStatus=${post.status}, userId=${userId}, userType=${userType}, isOwner=${isOwner}, isAdmin=${isAdmin}`);
+    logger.info(`getPostById: postId=${id}, postStatus=${post.status}, userId=${userId}, role=${role}`);
 
-    // For unpublished posts: only owner can view (admin cannot view unpublished posts)
-    if (post.status === 'unpublished' && !isOwner) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    // For hidden posts: only owner can view (admin cannot view hidden posts)
-    if (post.status === 'hidden' && !isOwner) {
-      return res.status(403).json({ error: 'This post is hidden' });
+    // Published posts are visible to everyone; the rest only to their owner (and admins for banned/deleted)
+    const denied = postLifecycle.checkVisibility(post, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
     }
 
-    // For banned posts: owner or admin can view
-    if (post.status === 'banned' && !isOwner && !isAdmin) {
-      return res.status(403).json({ error: 'This post has been banned' });
-    }
-
-    // For deleted posts: owner or admin can view
-    if (post.status === 'deleted' && !isOwner && !isAdmin) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-
-    // For published posts: everyone can view (no restrictions)
-
-    // Get user info
-    const user = await userClient.getUserById(post.userId);
-
-    // Get reply count including nested replies
-    const topLevelReplies = await Reply.find({ postId: id, isActive: true });
-    let replyCount = topLevelReplies.length;
-    
-    // Count nested replies recursively
-    const countNested = (replies) => {
-      if (!replies || !Array.isArray(replies)) return 0;
-      let count = 0;
-      replies.forEach(r => {
-        if (r.isActive !== false) {
-          count += 1;
-          if (r.replies && Array.isArray(r.replies)) {
-            count += countNested(r.replies);
-          }
-        }
-      });
-      return count;
-    };
-    
-    for (const reply of topLevelReplies) {
-      replyCount += countNested(reply.replies);
-    }
+    // Get user info and the viewer's reaction; reading the post moves their read marker
+    const [user, myReactions] = await Promise.all([
+      userClient.getUserById(post.userId),
+      reactionService.getUserReactions(userId, [post._id]),
+      subscriptionService.markRead(userId, post)
+    ]);
 
     res.json({
       post: {
         ...post.toJSON(),
-        replyCount,
-        user: user ? {
-          userId: user.user_id,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          profileImageUrl: user.profile_image_url
-        } : null
+        replyCount: post.replyCount || 0,
+        reactions: reactionService.summarize(post.reactionCounts, myReactions.get(String(post._id))),
+        user: userClient.formatUser(user)
       }
     });
   } catch (error) {
@@ -337,6 +473,30 @@ exports.getPostById = async (req, res, next) => {
   }
 };
 
+/**
+ * Most used tags on published posts, optionally within a category
+ */
+exports.getPopularTags = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let categoryId = null;
+    if (req.query.category) {
+      const category = await categoryService.findByRef(req.query.category);
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      categoryId = category._id;
+    }
+
+    const tags = await categoryService.getPopularTags({ categoryId, limit });
+
+    res.json({ tags, limit });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get user's top posts by reply count
  */
@@ -368,19 +528,60 @@ exports.createPost = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const userId = parseInt(req.headers['x-user-id']);
-    const { title, content, status, images, attachments } = req.body;
+    const userId = req.user.userId;
+    const { status, format, category, tags, images, attachments, publishAt } = req.body;
+
+    // Scheduled posts stay drafts until the scheduler publishes them
+    if (publishAt && status && status !== 'unpublished') {
+      return res.status(400).json({ error: 'Only drafts can be scheduled' });
+    }
+
+    if (category && !await categoryService.findByRef(category)) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    const screening = contentScreening.screen({ title: req.body.title, content: req.body.content });
+    if (screening.action === 'reject') {
+      return res.status(400).json({ error: 'Content rejected', rules: contentScreening.describe(screening) });
+    }
+    const { title, content } = screening.fields;
 
     const post = new Post({
       userId,
       title,
       content,
+      format: format || 'plain',
+      category: category || null,
+      tags: tags || [],
       status: status || 'unpublished',
       images: images || [],
-      attachments: attachments || []
+      attachments: attachments || [],
+      publishAt: publishAt ? new Date(publishAt) : null
     });
 
-    await post.save();
+    if (screening.action === 'hold') {
+      await contentHold.holdPost(post, contentScreening.describe(screening));
+      await subscriptionService.autoSubscribe(userId, post._id, 0);
+
+      logger.info(`Post created and held for review: ${post._id} by user ${userId}`);
+
+      return res.status(201).json({
+        message: 'Post created and held for review',
+        post: post.toJSON()
+      });
+    }
+
+    await replyCounter.runInTransaction(async (session) => {
+      await post.save({ session });
+      await subscriptionService.autoSubscribe(userId, post._id, 0, session);
+      if (post.status === 'published') {
+        await eventOutbox.emit('post.published', eventOutbox.postEvent(post, req.user), session);
+      }
+    });
+
+    if (post.status === 'published') {
+      await liveEvents.postStatusChanged(post, null, 'published');
+    }
 
     logger.info(`Post created: ${post._id} by user ${userId}`);
 
@@ -398,9 +599,14 @@ exports.createPost = async (req, res, next) => {
  */
 exports.updatePost = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
-    const { title, content, images, attachments } = req.body;
+    const userId = req.user.userId;
+    const { format, category, tags, images, attachments, publishAt } = req.body;
 
     const post = await Post.findById(id);
 
@@ -418,20 +624,73 @@ exports.updatePost = async (req, res, next) => {
       return res.status(403).json({ error: 'Cannot update this post' });
     }
 
+    if (publishAt && post.status !== 'unpublished') {
+      return res.status(400).json({ error: 'Only drafts can be scheduled' });
+    }
+
+    if (publishAt && post.heldForReview) {
+      return res.status(409).json({ error: 'Post is held for review' });
+    }
+
+    if (category && !await categoryService.findByRef(category)) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    const screening = contentScreening.screen({ title: req.body.title, content: req.body.content });
+    if (screening.action === 'reject') {
+      return res.status(400).json({ error: 'Content rejected', rules: contentScreening.describe(screening) });
+    }
+    const { title, content } = screening.fields;
+
+    const sameList = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+    const hasChanges = (title && title !== post.title) ||
+      (content && content !== post.content) ||
+      (format && format !== (post.format || 'plain')) ||
+      (images && !sameList(images, post.images)) ||
+      (attachments && !sameList(attachments, post.attachments));
+
+    // Keep the previous version so the edit can be reviewed or rolled back;
+    // it is stored in the same transaction as the edit
+    const snapshot = hasChanges ? revisionService.snapshotPost(post, userId) : null;
+    const saveSnapshot = snapshot ? session => revisionService.saveRevision(snapshot, session) : null;
+
     // Update fields
     if (title) post.title = title;
     if (content) post.content = content;
+    if (format) post.format = format;
+    if (category !== undefined) post.category = category;
+    if (tags) post.tags = tags;
     if (images) post.images = images;
     if (attachments) post.attachments = attachments;
+    if (publishAt !== undefined) post.publishAt = publishAt ? new Date(publishAt) : null;
     post.dateModified = new Date();
 
-    await post.save();
+    if (screening.action === 'hold') {
+      await contentHold.holdPost(post, contentScreening.describe(screening), saveSnapshot);
+
+      logger.info(`Post updated and held for review: ${post._id} by user ${userId}`);
+
+      return res.json({
+        message: 'Post updated and held for review',
+        post: post.toJSON()
+      });
+    }
+
+    await replyCounter.runInTransaction(async (session) => {
+      if (saveSnapshot) {
+        await saveSnapshot(session);
+      }
+      await post.save({ session });
+    });
 
     res.json({
       message: 'Post updated successfully',
       post: post.toJSON()
     });
   } catch (error) {
+    if (revisionService.isRevisionConflict(error)) {
+      return res.status(409).json({ error: 'Post was edited concurrently, reload it and try again' });
+    }
     next(error);
   }
 };
@@ -441,8 +700,12 @@ exports.updatePost = async (req, res, next) => {
  */
 exports.updatePostStatus = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
     const { status } = req.body;
 
     const post = await Post.findById(id);
@@ -451,25 +714,52 @@ exports.updatePostStatus = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.userId !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const action = postLifecycle.actionForStatus(status);
+    if (!action) {
+      return res.status(400).json({ error: 'Invalid status' });
     }
 
-    // Validate status transition
-    const allowedStatuses = ['unpublished', 'published', 'hidden'];
-    if (!allowedStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const transition = await postStatus.changeStatus(post, action, req.user, req.body.reason);
+    if (transition.error) {
+      return res.status(transition.status).json({ error: transition.error });
+    }
+
+    res.json({
+      message: 'Post status updated',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a draft's scheduled publishing
+ */
+exports.cancelSchedule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const post = await Post.findById(id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    if (post.status === 'banned' || post.status === 'deleted') {
-      return res.status(403).json({ error: 'Cannot change status of this post' });
+    if (post.status !== 'unpublished' || !post.publishAt) {
+      return res.status(400).json({ error: 'Post is not scheduled' });
     }
 
-    post.status = status;
+    post.publishAt = null;
     await post.save();
 
     res.json({
-      message: 'Post status updated',
+      message: 'Schedule cancelled',
       post: post.toJSON()
     });
   } catch (error) {
@@ -482,8 +772,12 @@ exports.updatePostStatus = async (req, res, next) => {
  */
 exports.toggleArchive = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
 
     const post = await Post.findById(id);
 
@@ -491,12 +785,18 @@ exports.toggleArchive = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.userId !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const denied = postLifecycle.checkArchive(post, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
     }
 
     post.isArchived = !post.isArchived;
-    await post.save();
+    await postStatus.saveWithLog(post, req.user, {
+      action: post.isArchived ? 'archive' : 'unarchive',
+      previousState: { isArchived: !post.isArchived },
+      newState: { isArchived: post.isArchived },
+      reason: req.body && req.body.reason
+    });
 
     res.json({
       message: post.isArchived ? 'Post archived' : 'Post unarchived',
@@ -512,6 +812,11 @@ exports.toggleArchive = async (req, res, next) => {
  */
 exports.banPost = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
 
     const post = await Post.findById(id);
@@ -520,13 +825,11 @@ exports.banPost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.status !== 'published') {
-      return res.status(400).json({ error: 'Can only ban published posts' });
+    const transition = await postStatus.changeStatus(post, 'ban', req.user, req.body && req.body.reason);
+    if (transition.error) {
+      return res.status(transition.status).json({ error: transition.error });
     }
 
-    post.status = 'banned';
-    await post.save();
-
     res.json({
       message: 'Post banned',
       post: post.toJSON()
@@ -536,11 +839,48 @@ exports.banPost = async (req, res, next) => {
   }
 };
 
+/**
+ * Approve a post held by content screening and publish it (Admin only)
+ */
+exports.approvePost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const post = await Post.findById(id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const transition = await postStatus.changeStatus(post, 'approve', req.user, req.body && req.body.reason);
+    if (transition.error) {
+      return res.status(transition.status).json({ error: transition.error });
+    }
+
+    res.json({
+      message: 'Post approved',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Unban a post (Admin only)
  */
 exports.unbanPost = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
 
     const post = await Post.findById(id);
@@ -549,13 +889,11 @@ exports.unbanPost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.status !== 'banned') {
-      return res.status(400).json({ error: 'Post is not banned' });
+    const transition = await postStatus.changeStatus(post, 'unban', req.user, req.body && req.body.reason);
+    if (transition.error) {
+      return res.status(transition.status).json({ error: transition.error });
     }
 
-    post.status = 'published';
-    await post.save();
-
     res.json({
       message: 'Post unbanned',
       post: post.toJSON()
@@ -570,6 +908,11 @@ exports.unbanPost = async (req, res, next) => {
  */
 exports.recoverPost = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
 
     const post = await Post.findById(id);
@@ -578,13 +921,11 @@ exports.recoverPost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.status !== 'deleted') {
-      return res.status(400).json({ error: 'Post is not deleted' });
+    const transition = await postStatus.changeStatus(post, 'recover', req.user, req.body && req.body.reason);
+    if (transition.error) {
+      return res.status(transition.status).json({ error: transition.error });
     }
 
-    post.status = 'published';
-    await post.save();
-
     res.json({
       message: 'Post recovered',
       post: post.toJSON()
@@ -594,13 +935,308 @@ exports.recoverPost = async (req, res, next) => {
   }
 };
 
+/**
+ * Pin a published post at the head of the feed (Admin only)
+ * Body: scope 'global' (default) or 'category' (its category's feed only),
+ * optional until (expiry); pinning again replaces the previous pin
+ */
+exports.pinPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.status !== 'published') {
+      return res.status(409).json({ error: 'Only published posts can be pinned' });
+    }
+
+    const scope = req.body.scope || 'global';
+    if (scope === 'category' && !post.category) {
+      return res.status(400).json({ error: 'Post has no category' });
+    }
+
+    const previousState = { pinScope: post.pinScope || null, pinnedUntil: post.pinnedUntil || null };
+    post.pinScope = scope;
+    post.pinnedAt = new Date();
+    post.pinnedUntil = req.body.until ? new Date(req.body.until) : null;
+
+    await postStatus.saveWithLog(post, req.user, {
+      action: 'pin',
+      previousState,
+      newState: { pinScope: post.pinScope, pinnedUntil: post.pinnedUntil },
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Post pinned',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a post's pin (Admin only)
+ */
+exports.unpinPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!post.pinScope) {
+      return res.status(409).json({ error: 'Post is not pinned' });
+    }
+
+    const previousState = { pinScope: post.pinScope, pinnedUntil: post.pinnedUntil || null };
+    post.pinScope = null;
+    post.pinnedAt = null;
+    post.pinnedUntil = null;
+
+    await postStatus.saveWithLog(post, req.user, {
+      action: 'unpin',
+      previousState,
+      newState: { pinScope: null },
+      reason: req.body && req.body.reason
+    });
+
+    res.json({
+      message: 'Post unpinned',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a post's featured flag and log the change
+ */
+const setFeatured = async (req, res, featured) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+
+  if (featured && post.status !== 'published') {
+    return res.status(409).json({ error: 'Only published posts can be featured' });
+  }
+  if (Boolean(post.featured) === featured) {
+    return res.status(409).json({ error: featured ? 'Post is already featured' : 'Post is not featured' });
+  }
+
+  post.featured = featured;
+  post.featuredAt = featured ? new Date() : null;
+
+  await postStatus.saveWithLog(post, req.user, {
+    action: featured ? 'feature' : 'unfeature',
+    previousState: { featured: !featured },
+    newState: { featured },
+    reason: req.body && req.body.reason
+  });
+
+  res.json({
+    message: featured ? 'Post featured' : 'Post unfeatured',
+    post: post.toJSON()
+  });
+};
+
+/**
+ * Feature a published post (Admin only)
+ */
+exports.featurePost = async (req, res, next) => {
+  try {
+    await setFeatured(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop featuring a post (Admin only)
+ */
+exports.unfeaturePost = async (req, res, next) => {
+  try {
+    await setFeatured(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lock a post against new replies (Moderator and above)
+ * The optional reason is shown to anyone trying to reply
+ */
+exports.lockPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.isLocked) {
+      return res.status(409).json({ error: 'Post is already locked' });
+    }
+
+    post.isLocked = true;
+    post.lockReason = req.body.reason || null;
+    post.lockedBy = req.user.userId;
+    post.lockedAt = new Date();
+
+    await postStatus.saveWithLog(post, req.user, {
+      action: 'lock',
+      previousState: { isLocked: false },
+      newState: { isLocked: true },
+      reason: post.lockReason
+    });
+
+    res.json({
+      message: 'Post locked',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock a post (Moderator and above)
+ */
+exports.unlockPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!post.isLocked) {
+      return res.status(409).json({ error: 'Post is not locked' });
+    }
+
+    const previousState = { isLocked: true, lockedBy: post.lockedBy, lockReason: post.lockReason || null };
+    post.isLocked = false;
+    post.lockReason = null;
+    post.lockedBy = null;
+    post.lockedAt = null;
+    post.unlockedAt = new Date();
+
+    await postStatus.saveWithLog(post, req.user, {
+      action: 'unlock',
+      previousState,
+      newState: { isLocked: false },
+      reason: req.body && req.body.reason
+    });
+
+    res.json({
+      message: 'Post unlocked',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Follow a post (published, or the caller's own)
+ */
+exports.subscribePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || (post.status !== 'published' && post.userId !== req.user.userId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const subscription = await subscriptionService.subscribe(req.user.userId, post);
+
+    res.json({
+      message: 'Subscribed',
+      subscription: subscription.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop following a post
+ */
+exports.unsubscribePost = async (req, res, next) => {
+  try {
+    const unsubscribed = await subscriptionService.unsubscribe(req.user.userId, req.params.id);
+    if (!unsubscribed) {
+      return res.status(404).json({ error: 'You are not subscribed to this post' });
+    }
+
+    res.json({ message: 'Unsubscribed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recompute a post's stored reply count (Admin only)
+ */
+exports.recountReplies = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await replyCounter.recountPost(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (result.previous !== result.replyCount) {
+      logger.info(`Reply count repaired for post ${id}: ${result.previous} -> ${result.replyCount}`);
+    }
+
+    res.json({
+      message: 'Reply count recalculated',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete a post (soft delete)
  */
 exports.deletePost = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
 
     const post = await Post.findById(id);
 
@@ -608,13 +1244,11 @@ exports.deletePost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.userId !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const transition = await postStatus.changeStatus(post, 'delete', req.user, req.body && req.body.reason);
+    if (transition.error) {
+      return res.status(transition.status).json({ error: transition.error });
     }
 
-    post.status = 'deleted';
-    await post.save();
-
     res.json({ message: 'Post deleted' });
   } catch (error) {
     next(error);
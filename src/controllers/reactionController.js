@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Reply = require('../models/Reply');
+const { validationResult } = require('express-validator');
+const reactionService = require('../services/reactionService');
+const { locateNestedReply } = require('../utils/nestedReplies');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve the reaction target of a request
+ * Returns { target } or { status, error }
+ */
+const resolveTarget = async (targetType, req) => {
+  if (targetType === 'post') {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return { status: 404, error: 'Post not found' };
+    }
+    if (post.status !== 'published') {
+      return { status: 403, error: 'Cannot react to this post' };
+    }
+    return { target: { targetType, targetId: post._id, postId: post._id, doc: post } };
+  }
+
+  let reply;
+  let nestedReply = null;
+
+  if (targetType === 'nested') {
+    const { nestedId } = req.params;
+    const parentReply = mongoose.isValidObjectId(nestedId)
+      ? await Reply.findOne({ nestedIds: nestedId })
+      : null;
+    const located = parentReply && locateNestedReply(parentReply, nestedId);
+    if (!located) {
+      return { status: 404, error: 'Reply not found' };
+    }
+    reply = parentReply;
+    nestedReply = located.container.replies[located.index];
+  } else {
+    reply = await Reply.findById(req.params.id);
+    if (!reply) {
+      return { status: 404, error: 'Reply not found' };
+    }
+  }
+
+  if (!reply.isActive || (nestedReply && nestedReply.isActive === false)) {
+    return { status: 404, error: 'Reply not found' };
+  }
+
+  const post = await Post.findById(reply.postId);
+  if (!post || post.status !== 'published') {
+    return { status: 403, error: 'Cannot react to this reply' };
+  }
+
+  return {
+    target: nestedReply
+      ? { targetType, targetId: nestedReply._id, postId: post._id, parentReply: reply, nestedReply }
+      : { targetType, targetId: reply._id, postId: post._id, doc: reply }
+  };
+};
+
+/**
+ * Build the set/remove handlers for one kind of target
+ */
+const reactionHandlers = (targetType) => ({
+  set: async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const { type } = req.body;
+
+      const resolved = await resolveTarget(targetType, req);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+
+      const result = await reactionService.setReaction(resolved.target, userId, type);
+
+      logger.info(`Reaction ${type} on ${targetType} ${resolved.target.targetId} by user ${userId}`);
+
+      res.json({
+        message: 'Reaction saved',
+        reactions: reactionService.summarize(result.reactionCounts, result.myReaction)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  remove: async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+
+      const resolved = await resolveTarget(targetType, req);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+
+      const result = await reactionService.removeReaction(resolved.target, userId);
+
+      res.json({
+        message: 'Reaction removed',
+        reactions: reactionService.summarize(result.reactionCounts, result.myReaction)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+});
+
+const postHandlers = reactionHandlers('post');
+const replyHandlers = reactionHandlers('reply');
+const nestedHandlers = reactionHandlers('nested');
+
+/**
+ * Set / remove the current user's reaction on a post
+ */
+exports.setPostReaction = postHandlers.set;
+exports.removePostReaction = postHandlers.remove;
+
+/**
+ * Set / remove the current user's reaction on a reply
+ */
+exports.setReplyReaction = replyHandlers.set;
+exports.removeReplyReaction = replyHandlers.remove;
+
+/**
+ * Set / remove the current user's reaction on a nested reply
+ */
+exports.setNestedReaction = nestedHandlers.set;
+exports.removeNestedReaction = nestedHandlers.remove;
@@ -1,25 +1,27 @@
+const mongoose = require('mongoose');
 const Reply = require('../models/Reply');
 const Post = require('../models/Post');
+const Mention = require('../models/Mention');
 const { validationResult } = require('express-validator');
 const userClient = require('../services/userClient');
+const replyCounter = require('../services/replyCounter');
+const reactionService = require('../services/reactionService');
+const replyRemoval = require('../services/replyRemoval');
+const contentScreening = require('../services/contentScreening');
+const contentHold = require('../services/contentHold');
+const mentionService = require('../services/mentionService');
+const quoteService = require('../services/quoteService');
+const eventOutbox = require('../services/eventOutbox');
+const subscriptionService = require('../services/subscriptionService');
+const liveEvents = require('../services/liveEvents');
 const logger = require('../utils/logger');
+const markdown = require('../utils/markdown');
+const { hasRole } = require('../middleware/authorize');
+const { collectNestedIds, collectNestedUserIds, locateNestedReply } = require('../utils/nestedReplies');
+const { decodeCursor, findPage, wantsCursor } = require('../utils/cursorPagination');
 
-/**
- * Recursively count all nested replies
- */
-const countNestedReplies = (replies) => {
-  if (!replies || !Array.isArray(replies)) return 0;
-  let count = 0;
-  replies.forEach(reply => {
-    if (reply.isActive !== false) {
-      count += 1;
-      if (reply.replies && Array.isArray(reply.replies)) {
-        count += countNestedReplies(reply.replies);
-      }
-    }
-  });
-  return count;
-};
+// How long after posting the author may still edit a reply
+const EDIT_WINDOW = (parseInt(process.env.REPLY_EDIT_WINDOW_MINUTES) || 30) * 60 * 1000;
 
 /**
  * Recursively find a reply by ID in nested structure
@@ -37,6 +39,150 @@ const findReplyById = (reply, targetId) => {
   return null;
 };
 
+/**
+ * Resolve a positional targetPath to the array holding the target and its index
+ */
+const resolveTargetPath = (root, targetPath) => {
+  let current = root;
+  for (let i = 0; i < targetPath.length - 1; i++) {
+    const index = targetPath[i];
+    if (current.replies && current.replies[index]) {
+      current = current.replies[index];
+    } else {
+      return null;
+    }
+  }
+
+  const targetIndex = targetPath[targetPath.length - 1];
+  if (!current.replies || !current.replies[targetIndex]) {
+    return null;
+  }
+
+  return { container: current, index: targetIndex };
+};
+
+/**
+ * Check whether a reply is still inside the edit grace window
+ */
+const isWithinEditWindow = (dateCreated) => {
+  return Date.now() - new Date(dateCreated).getTime() <= EDIT_WINDOW;
+};
+
+/**
+ * Refuse a reply to a locked post, passing on the moderator's reason
+ */
+const sendLocked = (res, post) => res.status(403).json({
+  error: 'This post is locked and not accepting replies',
+  reason: post.lockReason || null
+});
+
+/**
+ * Record the current version of a reply in its history and apply the edit
+ */
+const applyReplyEdit = (reply, { comment, format, attachments }) => {
+  if (!reply.editHistory) {
+    reply.editHistory = [];
+  }
+  reply.editHistory.push({
+    comment: reply.comment,
+    format: reply.format || 'plain',
+    attachments: reply.attachments || [],
+    dateEdited: new Date()
+  });
+
+  if (comment !== undefined) reply.comment = comment;
+  if (format !== undefined) reply.format = format;
+  if (attachments !== undefined) reply.attachments = attachments;
+  // Nested replies are not saved through the model, so render here
+  reply.commentHtml = markdown.render(reply.comment, reply.format);
+  reply.dateModified = new Date();
+};
+
+/**
+ * Load the top-level reply and locate the nested reply a request targets,
+ * either by nestedId or (legacy) by parentReplyId + targetPath
+ */
+const loadNestedTarget = async (req) => {
+  const { nestedId, parentReplyId } = req.params;
+
+  if (nestedId) {
+    if (!mongoose.isValidObjectId(nestedId)) {
+      return { status: 404, error: 'Target reply not found' };
+    }
+    const parentReply = await Reply.findOne({ nestedIds: nestedId });
+    const target = parentReply && locateNestedReply(parentReply, nestedId);
+    if (!target) {
+      return { status: 404, error: 'Target reply not found' };
+    }
+    return { parentReply, target };
+  }
+
+  const { targetPath } = req.body;
+  if (!targetPath || !Array.isArray(targetPath) || targetPath.length === 0) {
+    return { status: 400, error: 'Invalid target path' };
+  }
+
+  const parentReply = await Reply.findById(parentReplyId);
+  if (!parentReply) {
+    return { status: 404, error: 'Parent reply not found' };
+  }
+
+  const target = resolveTargetPath(parentReply, targetPath);
+  if (!target) {
+    return { status: 404, error: 'Target reply not found' };
+  }
+  return { parentReply, target };
+};
+
+/**
+ * Run content screening on a submitted comment
+ * Returns { rejected: rulesHit } or { comment, held: rulesHit|null }; on edits a
+ * hold is a rejection, since the reply is already visible
+ */
+const screenComment = (comment, { allowHold = true } = {}) => {
+  const screening = contentScreening.screen({ comment });
+  const rulesHit = contentScreening.describe(screening);
+
+  if (screening.action === 'reject' || (screening.action === 'hold' && !allowHold)) {
+    return { rejected: rulesHit };
+  }
+  return { comment: screening.fields.comment, held: screening.action === 'hold' ? rulesHit : null };
+};
+
+/**
+ * Resolve the quote (body quoteId) and @mentions of a new reply on post
+ * Returns { quote, mentions }, or { status, error } when the quote cannot be used
+ */
+const resolveReferences = async (req, post, comment) => {
+  let quote = null;
+  if (req.body.quoteId) {
+    quote = await quoteService.resolveQuote(post, req.body.quoteId);
+    if (!quote) {
+      return { status: 400, error: 'Quoted content not found' };
+    }
+  }
+
+  const mentions = await mentionService.resolveMentions(comment, req.user.userId);
+  return { quote, mentions };
+};
+
+/**
+ * Build a new nested reply with its own stable ID
+ */
+const buildSubReply = (userId, comment, format, attachments, { quote = null, mentions = [] } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  comment,
+  format,
+  commentHtml: markdown.render(comment, format),
+  attachments: attachments || [],
+  quote,
+  mentions,
+  isActive: true,
+  dateCreated: new Date(),
+  replies: [] // Initialize empty replies array for further nesting
+});
+
 /**
  * Get replies for a post
  */
@@ -53,88 +199,114 @@ exports.getRepliesByPost = async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    const [replies, topLevelCount] = await Promise.all([
-      Reply.find({ postId, isActive: true })
-        .sort({ dateCreated: -1 })
-        .skip(skip)
-        .limit(limit),
-      Reply.countDocuments({ postId, isActive: true })
-    ]);
+    const query = { postId, isActive: true };
+
+    let replies, topLevelCount, pagination;
+    if (wantsCursor(req.query)) {
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'dateCreated') : null;
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
 
-    // Calculate total count including nested replies
-    let totalNestedCount = 0;
-    const allReplies = await Reply.find({ postId, isActive: true });
-    for (const reply of allReplies) {
-      totalNestedCount += countNestedReplies(reply.replies);
+      let result;
+      [result, topLevelCount] = await Promise.all([
+        findPage(Reply, query, { field: 'dateCreated', order: -1, limit, cursor }),
+        Reply.countDocuments(query)
+      ]);
+      replies = result.docs;
+      pagination = { nextCursor: result.nextCursor, prevCursor: result.prevCursor };
+    } else {
+      [replies, topLevelCount] = await Promise.all([
+        Reply.find(query)
+          .sort({ dateCreated: -1 })
+          .skip(skip)
+          .limit(limit),
+        Reply.countDocuments(query)
+      ]);
     }
-    const total = topLevelCount + totalNestedCount;
+
+    // Total including nested replies comes from the post's stored counter
+    const total = post.replyCount || 0;
     const topLevelTotal = topLevelCount;
 
-    // Fetch user info for each reply
-    const repliesWithUsers = await Promise.all(
-      replies.map(async (reply) => {
-        const user = await userClient.getUserById(reply.userId);
-        
-        // Recursively fetch user info for nested replies
-        const processNestedReplies = async (nestedReplies) => {
-          if (!nestedReplies || !Array.isArray(nestedReplies)) return [];
-          return Promise.all(
-            nestedReplies.filter(r => r.isActive !== false).map(async (subReply) => {
-              const subUser = await userClient.getUserById(subReply.userId);
-              // Recursively process nested replies
-              const processedNested = await processNestedReplies(subReply.replies || []);
-              
-              // Handle both Mongoose documents and plain objects
-              let subReplyData;
-              if (subReply.toObject && typeof subReply.toObject === 'function') {
-                subReplyData = subReply.toObject();
-              } else if (typeof subReply === 'object' && subReply !== null) {
-                subReplyData = { ...subReply };
-              } else {
-                subReplyData = {};
-              }
-              
-              // Ensure dateCreated is properly formatted
-              if (subReplyData.dateCreated) {
-                if (subReplyData.dateCreated instanceof Date) {
-                  // Already a Date object, keep it
-                } else if (typeof subReplyData.dateCreated === 'string') {
-                  // Convert string to Date
-                  subReplyData.dateCreated = new Date(subReplyData.dateCreated);
-                } else if (subReplyData.dateCreated.$date) {
-                  // MongoDB extended JSON format
-                  subReplyData.dateCreated = new Date(subReplyData.dateCreated.$date);
-                }
-              }
-              
-              return {
-                ...subReplyData,
-                replies: processedNested,
-                user: subUser ? {
-                  userId: subUser.user_id,
-                  firstName: subUser.first_name,
-                  lastName: subUser.last_name,
-                  profileImageUrl: subUser.profile_image_url
-                } : null
-              };
-            })
-          );
-        };
-        
-        const subRepliesWithUsers = await processNestedReplies(reply.replies || []);
+    // Fetch user info and the viewer's reactions for every reply in the page,
+    // nested ones included, in one lookup each; reading moves the viewer's read marker
+    const viewerId = req.user.userId;
+    const [users, myReactions] = await Promise.all([
+      userClient.getUsersByIds(
+        replies.flatMap(reply => [reply.userId, ...collectNestedUserIds(reply.replies)])
+      ),
+      reactionService.getUserReactions(
+        viewerId,
+        replies.flatMap(reply => [reply._id, ...collectNestedIds(reply.replies)])
+      ),
+      subscriptionService.markRead(viewerId, post)
+    ]);
+
+    // Recursively attach user info to nested replies
+    const processNestedReplies = (nestedReplies) => {
+      if (!nestedReplies || !Array.isArray(nestedReplies)) return [];
+      return nestedReplies.filter(r => r.isActive !== false).map((subReply) => {
+        // Recursively process nested replies
+        const processedNested = processNestedReplies(subReply.replies || []);
+
+        // Handle both Mongoose documents and plain objects
+        let subReplyData;
+        if (subReply.toObject && typeof subReply.toObject === 'function') {
+          subReplyData = subReply.toObject();
+        } else if (typeof subReply === 'object' && subReply !== null) {
+          subReplyData = { ...subReply };
+        } else {
+          subReplyData = {};
+        }
+
+        // Exposed as a reactions summary instead
+        const { reactionCounts } = subReplyData;
+        delete subReplyData.reactionCounts;
+
+        // Ensure dateCreated is properly formatted
+        if (subReplyData.dateCreated) {
+          if (subReplyData.dateCreated instanceof Date) {
+            // Already a Date object, keep it
+          } else if (typeof subReplyData.dateCreated === 'string') {
+            // Convert string to Date
+            subReplyData.dateCreated = new Date(subReplyData.dateCreated);
+          } else if (subReplyData.dateCreated.$date) {
+            // MongoDB extended JSON format
+            subReplyData.dateCreated = new Date(subReplyData.dateCreated.$date);
+          }
+        }
 
         return {
-          ...reply.toJSON(),
-          replies: subRepliesWithUsers,
-          user: user ? {
-            userId: user.user_id,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            profileImageUrl: user.profile_image_url
-          } : null
+          ...subReplyData,
+          commentHtml: markdown.htmlFor(subReplyData.comment, subReplyData.format, subReplyData.commentHtml),
+          nestedId: subReplyData._id,
+          isEdited: !!subReplyData.dateModified,
+          replies: processedNested,
+          reactions: reactionService.summarize(reactionCounts, myReactions.get(String(subReplyData._id))),
+          user: userClient.formatUser(users.get(subReply.userId))
         };
-      })
-    );
+      });
+    };
+
+    const repliesWithUsers = replies.map(reply => ({
+      ...reply.toJSON(),
+      isEdited: !!reply.dateModified,
+      replies: processNestedReplies(reply.replies || []),
+      reactions: reactionService.summarize(reply.reactionCounts, myReactions.get(String(reply._id))),
+      user: userClient.formatUser(users.get(reply.userId))
+    }));
+
+    // Cursor mode has no page numbers
+    if (pagination) {
+      return res.json({
+        replies: repliesWithUsers,
+        total,
+        topLevelTotal,
+        limit,
+        ...pagination
+      });
+    }
 
     res.json({
       replies: repliesWithUsers,
@@ -150,6 +322,66 @@ exports.getRepliesByPost = async (req, res, next) => {
   }
 };
 
+/**
+ * Replies and nested replies that mention the caller, newest first
+ * Mentions in content that is no longer visible are left out, so a page may
+ * hold fewer than limit entries
+ */
+exports.getMyMentions = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'dateCreated') : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const result = await findPage(Mention, { userId: req.user.userId }, { field: 'dateCreated', order: -1, limit, cursor });
+    const mentions = result.docs;
+
+    const [replies, posts] = await Promise.all([
+      Reply.find({ _id: { $in: mentions.map(mention => mention.replyId) } }),
+      Post.find({ _id: { $in: mentions.map(mention => mention.postId) } }).select('title status')
+    ]);
+    const repliesById = new Map(replies.map(reply => [String(reply._id), reply]));
+    const postsById = new Map(posts.map(post => [String(post._id), post]));
+
+    const visible = mentions.map((mention) => {
+      const post = postsById.get(String(mention.postId));
+      const reply = repliesById.get(String(mention.replyId));
+      if (!post || post.status !== 'published' || !reply || !reply.isActive) return null;
+
+      let source = reply;
+      if (mention.nestedId) {
+        const location = locateNestedReply(reply, mention.nestedId);
+        source = location && location.container.replies[location.index];
+        if (!source || source.isActive === false) return null;
+      }
+      return { mention, post, source };
+    }).filter(Boolean);
+
+    const users = await userClient.getUsersByIds(visible.map(({ mention }) => mention.authorId));
+
+    res.json({
+      mentions: visible.map(({ mention, post, source }) => ({
+        mentionId: mention._id,
+        postId: mention.postId,
+        postTitle: post.title,
+        replyId: mention.replyId,
+        nestedId: mention.nestedId,
+        comment: source.comment,
+        quote: source.quote || null,
+        dateCreated: mention.dateCreated,
+        user: userClient.formatUser(users.get(mention.authorId))
+      })),
+      limit,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create a reply to a post
  */
@@ -161,8 +393,14 @@ exports.createReply = async (req, res, next) => {
     }
 
     const { postId } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
-    const { comment, attachments } = req.body;
+    const userId = req.user.userId;
+    const { format = 'plain', attachments } = req.body;
+
+    const screened = screenComment(req.body.comment);
+    if (screened.rejected) {
+      return res.status(400).json({ error: 'Content rejected', rules: screened.rejected });
+    }
+    const { comment, held } = screened;
 
     // Check if post exists
     const post = await Post.findById(postId);
@@ -179,33 +417,55 @@ exports.createReply = async (req, res, next) => {
       return res.status(403).json({ error: 'This post is archived and not accepting replies' });
     }
 
+    if (post.isLocked) {
+      return sendLocked(res, post);
+    }
+
+    const references = await resolveReferences(req, post, comment);
+    if (references.error) {
+      return res.status(references.status).json({ error: references.error });
+    }
+
     const reply = new Reply({
       userId,
       postId,
       comment,
-      attachments: attachments || []
+      format,
+      attachments: attachments || [],
+      quote: references.quote,
+      mentions: references.mentions
     });
+    if (held) {
+      contentHold.markHeld(reply);
+    }
 
-    await reply.save();
+    // Save the reply and update the post reply count together; held replies do not count yet
+    await replyCounter.runInTransaction(async (session) => {
+      await reply.save({ session });
+      if (held) {
+        await contentHold.recordHold({ targetType: 'reply', targetId: reply._id, postId }, held, session);
+      } else {
+        await replyCounter.adjustReplyCount(postId, 1, session);
+        await eventOutbox.emit('reply.created', eventOutbox.replyEvent(post, reply), session);
+      }
+      await subscriptionService.autoSubscribe(userId, post._id, (post.replySequence || 0) + (held ? 0 : 1), session);
+      await mentionService.recordMentions({ authorId: userId, postId, replyId: reply._id }, references.mentions, session);
+    });
 
-    // Update post reply count
-    await Post.findByIdAndUpdate(postId, { $inc: { replyCount: 1 } });
+    if (!held) {
+      await liveEvents.replyAdded(reply);
+    }
 
-    logger.info(`Reply created: ${reply._id} on post ${postId} by user ${userId}`);
+    logger.info(`Reply created${held ? ' and held for review' : ''}: ${reply._id} on post ${postId} by user ${userId}`);
 
     // Get user info
     const user = await userClient.getUserById(userId);
 
     res.status(201).json({
-      message: 'Reply created successfully',
+      message: held ? 'Reply created and held for review' : 'Reply created successfully',
       reply: {
         ...reply.toJSON(),
-        user: user ? {
-          userId: user.user_id,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          profileImageUrl: user.profile_image_url
-        } : null
+        user: userClient.formatUser(user)
       }
     });
   } catch (error) {
@@ -253,8 +513,14 @@ exports.createSubReply = async (req, res, next) => {
     }
 
     const { replyId } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
-    const { comment, attachments, postId, parentReplyId, targetPath } = req.body;
+    const userId = req.user.userId;
+    const { format = 'plain', attachments, postId, parentReplyId, targetPath } = req.body;
+
+    const screened = screenComment(req.body.comment);
+    if (screened.rejected) {
+      return res.status(400).json({ error: 'Content rejected', rules: screened.rejected });
+    }
+    const { comment, held } = screened;
 
     // Find the top-level reply that contains the target
     let topLevelReply = null;
@@ -267,6 +533,11 @@ exports.createSubReply = async (req, res, next) => {
       topLevelReply = await Reply.findById(replyId);
     }
 
+    // replyId may be the ID of a nested reply
+    if (!topLevelReply && mongoose.isValidObjectId(replyId)) {
+      topLevelReply = await Reply.findOne({ nestedIds: replyId });
+    }
+
     // If still not found and postId is provided, search all replies
     if (!topLevelReply && postId) {
       const allReplies = await Reply.find({ postId, isActive: true });
@@ -285,12 +556,16 @@ exports.createSubReply = async (req, res, next) => {
       }
     }
 
-    if (!topLevelReply) {
+    // Deleted (or held) replies take no sub-replies, like createNestedSubReply
+    if (!topLevelReply || !topLevelReply.isActive) {
       return res.status(404).json({ error: 'Reply not found' });
     }
 
-    // Get postId from the reply if not provided
-    const actualPostId = postId || topLevelReply.postId;
+    // The post always comes from the parent reply; a supplied postId must agree with it
+    const actualPostId = topLevelReply.postId;
+    if (postId && String(postId) !== String(actualPostId)) {
+      return res.status(400).json({ error: 'postId does not match the reply' });
+    }
 
     // Check if parent post is accessible
     const post = await Post.findById(actualPostId);
@@ -298,15 +573,21 @@ exports.createSubReply = async (req, res, next) => {
       return res.status(403).json({ error: 'Cannot reply to this post' });
     }
 
+    if (post.isLocked) {
+      return sendLocked(res, post);
+    }
+
+    const references = await resolveReferences(req, post, comment);
+    if (references.error) {
+      return res.status(references.status).json({ error: references.error });
+    }
+
     // Create new sub-reply
-    const newSubReply = {
-      userId,
-      comment,
-      attachments: attachments || [],
-      isActive: true,
-      dateCreated: new Date(),
-      replies: [] // Initialize empty replies array for further nesting
-    };
+    const newSubReply = buildSubReply(userId, comment, format, attachments, references);
+    if (held) {
+      contentHold.markHeld(newSubReply);
+    }
+    const countBefore = replyCounter.countReplyTree(topLevelReply);
 
     // If targetPath is provided, use it to navigate to the target
     if (targetPath && Array.isArray(targetPath) && targetPath.length > 0) {
@@ -319,6 +600,9 @@ exports.createSubReply = async (req, res, next) => {
           return res.status(404).json({ error: 'Invalid target path' });
         }
       }
+      if (current.isActive === false) {
+        return res.status(404).json({ error: 'Reply not found' });
+      }
       if (!current.replies) {
         current.replies = [];
       }
@@ -333,6 +617,10 @@ exports.createSubReply = async (req, res, next) => {
         topLevelReply.replies.push(newSubReply);
       } else {
         // Otherwise, search recursively in nested replies
+        const target = findReplyById(topLevelReply, replyId);
+        if (target && target.isActive === false) {
+          return res.status(404).json({ error: 'Reply not found' });
+        }
         const added = findAndAddSubReply(topLevelReply, replyId, newSubReply);
         if (!added) {
           return res.status(404).json({ error: 'Target reply not found in nested structure' });
@@ -340,16 +628,37 @@ exports.createSubReply = async (req, res, next) => {
       }
     }
 
+    topLevelReply.nestedIds.push(newSubReply._id);
     topLevelReply.markModified('replies');
-    await topLevelReply.save();
 
     // Update post reply count (includes nested replies)
-    await Post.findByIdAndUpdate(actualPostId, { $inc: { replyCount: 1 } });
+    const delta = replyCounter.countReplyTree(topLevelReply) - countBefore;
+    await replyCounter.runInTransaction(async (session) => {
+      await topLevelReply.save({ session });
+      await replyCounter.adjustReplyCount(post._id, delta, session);
+      if (held) {
+        await contentHold.recordHold({ targetType: 'nested', targetId: newSubReply._id, postId: post._id }, held, session);
+      } else {
+        await eventOutbox.emit('subreply.created', eventOutbox.subReplyEvent(post, topLevelReply, newSubReply), session);
+      }
+      await subscriptionService.autoSubscribe(userId, post._id, (post.replySequence || 0) + delta, session);
+      await mentionService.recordMentions({
+        authorId: userId,
+        postId: post._id,
+        replyId: topLevelReply._id,
+        nestedId: newSubReply._id
+      }, references.mentions, session);
+    });
+
+    if (!held) {
+      await liveEvents.subReplyAdded(topLevelReply, newSubReply);
+    }
 
-    logger.info(`Sub-reply created on reply ${replyId} by user ${userId}`);
+    logger.info(`Sub-reply created${held ? ' and held for review' : ''} on reply ${replyId} by user ${userId}`);
 
     res.status(201).json({
-      message: 'Sub-reply created successfully',
+      message: held ? 'Sub-reply created and held for review' : 'Sub-reply created successfully',
+      nestedId: newSubReply._id,
       reply: topLevelReply.toJSON()
     });
   } catch (error) {
@@ -358,69 +667,300 @@ exports.createSubReply = async (req, res, next) => {
 };
 
 /**
- * Delete a nested reply (soft delete)
+ * Create a sub-reply to a nested reply addressed by its ID
  */
-exports.deleteNestedReply = async (req, res, next) => {
+exports.createNestedSubReply = async (req, res, next) => {
   try {
-    const { parentReplyId } = req.params;
-    const { targetPath } = req.body;
-    const userId = parseInt(req.headers['x-user-id']);
-    const userType = req.headers['x-user-type'];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { nestedId } = req.params;
+    const userId = req.user.userId;
+    const { format = 'plain', attachments } = req.body;
 
-    if (!targetPath || !Array.isArray(targetPath) || targetPath.length === 0) {
-      return res.status(400).json({ error: 'Invalid target path' });
+    const screened = screenComment(req.body.comment);
+    if (screened.rejected) {
+      return res.status(400).json({ error: 'Content rejected', rules: screened.rejected });
     }
+    const { comment, held } = screened;
 
-    // Find the parent reply
-    const parentReply = await Reply.findById(parentReplyId);
-    if (!parentReply) {
-      return res.status(404).json({ error: 'Parent reply not found' });
+    const loaded = await loadNestedTarget(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
     }
 
-    // Get the parent post
+    const { parentReply, target } = loaded;
+    const targetReply = target.container.replies[target.index];
+
+    if (!parentReply.isActive || targetReply.isActive === false) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    // Check if parent post is accessible
     const post = await Post.findById(parentReply.postId);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    if (!post || post.status !== 'published' || post.isArchived) {
+      return res.status(403).json({ error: 'Cannot reply to this post' });
     }
 
-    // Navigate to the target nested reply using the path
-    let current = parentReply;
-    for (let i = 0; i < targetPath.length - 1; i++) {
-      const index = targetPath[i];
-      if (current.replies && current.replies[index]) {
-        current = current.replies[index];
+    if (post.isLocked) {
+      return sendLocked(res, post);
+    }
+
+    const references = await resolveReferences(req, post, comment);
+    if (references.error) {
+      return res.status(references.status).json({ error: references.error });
+    }
+
+    const newSubReply = buildSubReply(userId, comment, format, attachments, references);
+    if (held) {
+      contentHold.markHeld(newSubReply);
+    }
+    const countBefore = replyCounter.countReplyTree(parentReply);
+    if (!targetReply.replies) {
+      targetReply.replies = [];
+    }
+    targetReply.replies.push(newSubReply);
+
+    parentReply.nestedIds.push(newSubReply._id);
+    parentReply.markModified('replies');
+
+    // Update post reply count (includes nested replies)
+    const delta = replyCounter.countReplyTree(parentReply) - countBefore;
+    await replyCounter.runInTransaction(async (session) => {
+      await parentReply.save({ session });
+      await replyCounter.adjustReplyCount(post._id, delta, session);
+      if (held) {
+        await contentHold.recordHold({ targetType: 'nested', targetId: newSubReply._id, postId: post._id }, held, session);
       } else {
-        return res.status(404).json({ error: 'Target reply not found' });
+        await eventOutbox.emit('subreply.created', eventOutbox.subReplyEvent(post, parentReply, newSubReply), session);
       }
+      await subscriptionService.autoSubscribe(userId, post._id, (post.replySequence || 0) + delta, session);
+      await mentionService.recordMentions({
+        authorId: userId,
+        postId: post._id,
+        replyId: parentReply._id,
+        nestedId: newSubReply._id
+      }, references.mentions, session);
+    });
+
+    if (!held) {
+      await liveEvents.subReplyAdded(parentReply, newSubReply);
+    }
+
+    logger.info(`Sub-reply created${held ? ' and held for review' : ''} on nested reply ${nestedId} by user ${userId}`);
+
+    res.status(201).json({
+      message: held ? 'Sub-reply created and held for review' : 'Sub-reply created successfully',
+      nestedId: newSubReply._id,
+      reply: parentReply.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a reply (author only, within the edit window)
+ */
+exports.updateReply = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { comment, format, attachments } = req.body;
+
+    if (comment === undefined && format === undefined && attachments === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const reply = await Reply.findById(id);
+    if (!reply || !reply.isActive) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    if (reply.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!isWithinEditWindow(reply.dateCreated)) {
+      return res.status(403).json({ error: 'Edit window has expired' });
+    }
+
+    const post = await Post.findById(reply.postId);
+    if (!post || post.status !== 'published' || post.isArchived) {
+      return res.status(403).json({ error: 'Cannot edit replies on this post' });
+    }
+
+    const screened = screenComment(comment, { allowHold: false });
+    if (screened.rejected) {
+      return res.status(400).json({ error: 'Content rejected', rules: screened.rejected });
+    }
+
+    const previousMentions = (reply.mentions || []).map(Number);
+    const mentions = screened.comment === undefined
+      ? previousMentions
+      : await mentionService.resolveMentions(screened.comment, userId);
+
+    applyReplyEdit(reply, { comment: screened.comment, format, attachments });
+    reply.mentions = mentions;
+
+    await replyCounter.runInTransaction(async (session) => {
+      await reply.save({ session });
+      await mentionService.updateMentions(
+        { authorId: userId, postId: reply.postId, replyId: reply._id },
+        previousMentions,
+        mentions,
+        session
+      );
+    });
+
+    logger.info(`Reply updated: ${id} by user ${userId}`);
+
+    res.json({
+      message: 'Reply updated successfully',
+      reply: reply.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a nested reply (author only, within the edit window)
+ * Addressed by /nested/:nestedId or by /:parentReplyId/nested with a targetPath
+ */
+exports.updateNestedReply = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Get the target nested reply
-    const targetIndex = targetPath[targetPath.length - 1];
-    if (!current.replies || !current.replies[targetIndex]) {
+    const { comment, format, attachments } = req.body;
+    const userId = req.user.userId;
+
+    if (comment === undefined && format === undefined && attachments === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const loaded = await loadNestedTarget(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { parentReply, target } = loaded;
+    if (!parentReply.isActive) {
+      return res.status(404).json({ error: 'Parent reply not found' });
+    }
+
+    const targetReply = target.container.replies[target.index];
+    if (targetReply.isActive === false) {
       return res.status(404).json({ error: 'Target reply not found' });
     }
 
-    const targetReply = current.replies[targetIndex];
+    if (targetReply.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!isWithinEditWindow(targetReply.dateCreated)) {
+      return res.status(403).json({ error: 'Edit window has expired' });
+    }
+
+    const post = await Post.findById(parentReply.postId);
+    if (!post || post.status !== 'published' || post.isArchived) {
+      return res.status(403).json({ error: 'Cannot edit replies on this post' });
+    }
+
+    const screened = screenComment(comment, { allowHold: false });
+    if (screened.rejected) {
+      return res.status(400).json({ error: 'Content rejected', rules: screened.rejected });
+    }
+
+    const previousMentions = (targetReply.mentions || []).map(Number);
+    const mentions = screened.comment === undefined
+      ? previousMentions
+      : await mentionService.resolveMentions(screened.comment, userId);
+
+    applyReplyEdit(targetReply, { comment: screened.comment, format, attachments });
+    targetReply.mentions = mentions;
+
+    parentReply.markModified('replies');
+    await replyCounter.runInTransaction(async (session) => {
+      await parentReply.save({ session });
+      // Legacy nested replies without an ID keep their mentions on the reply only
+      if (targetReply._id) {
+        await mentionService.updateMentions(
+          { authorId: userId, postId: parentReply.postId, replyId: parentReply._id, nestedId: targetReply._id },
+          previousMentions,
+          mentions,
+          session
+        );
+      }
+    });
+
+    logger.info(`Nested reply ${targetReply._id || req.body.targetPath.join('.')} updated by user ${userId}`);
+
+    res.json({
+      message: 'Reply updated successfully',
+      reply: parentReply.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a nested reply (soft delete)
+ * Addressed by /nested/:nestedId or by /:parentReplyId/nested with a targetPath
+ */
+exports.deleteNestedReply = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+
+    const loaded = await loadNestedTarget(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { parentReply, target } = loaded;
+
+    // Get the parent post
+    const post = await Post.findById(parentReply.postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const targetReply = target.container.replies[target.index];
 
     // Check permissions: reply owner, post owner, or admin can delete
     const isReplyOwner = targetReply.userId === userId;
     const isPostOwner = post.userId === userId;
-    const isAdmin = ['admin', 'super_admin'].includes(userType);
+    const isAdmin = hasRole(req, 'admin');
 
     if (!isReplyOwner && !isPostOwner && !isAdmin) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Soft delete the nested reply
-    current.replies[targetIndex].isActive = false;
-
-    parentReply.markModified('replies');
-    await parentReply.save();
+    // Already deleted replies no longer count, so there is nothing to do
+    if (targetReply.isActive === false) {
+      return res.status(404).json({ error: 'Target reply not found' });
+    }
 
-    // Update post reply count
-    await Post.findByIdAndUpdate(post._id, { $inc: { replyCount: -1 } });
+    // Soft delete the nested reply; its subtree stops counting with it
+    await replyRemoval.removeNestedReply(parentReply, targetReply, req.user, req.body && req.body.reason);
 
-    logger.info(`Nested reply deleted at path ${targetPath.join('.')} by user ${userId}`);
+    logger.info(`Nested reply ${targetReply._id || req.body.targetPath.join('.')} deleted by user ${userId}`);
 
     res.json({ message: 'Reply deleted' });
   } catch (error) {
@@ -433,9 +973,13 @@ exports.deleteNestedReply = async (req, res, next) => {
  */
 exports.deleteReply = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const userId = parseInt(req.headers['x-user-id']);
-    const userType = req.headers['x-user-type'];
+    const userId = req.user.userId;
 
     const reply = await Reply.findById(id);
     if (!reply) {
@@ -448,31 +992,18 @@ exports.deleteReply = async (req, res, next) => {
     // Check permissions: reply owner, post owner, or admin can delete
     const isReplyOwner = reply.userId === userId;
     const isPostOwner = post && post.userId === userId;
-    const isAdmin = ['admin', 'super_admin'].includes(userType);
+    const isAdmin = hasRole(req, 'admin');
 
     if (!isReplyOwner && !isPostOwner && !isAdmin) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    reply.isActive = false;
-    await reply.save();
+    if (!reply.isActive) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
 
-    // Update post reply count (need to count nested replies too)
-    const countNested = (replies) => {
-      if (!replies || !Array.isArray(replies)) return 0;
-      let count = 0;
-      replies.forEach(r => {
-        if (r.isActive !== false) {
-          count += 1;
-          if (r.replies && Array.isArray(r.replies)) {
-            count += countNested(r.replies);
-          }
-        }
-      });
-      return count;
-    };
-    const nestedCount = countNested(reply.replies);
-    await Post.findByIdAndUpdate(reply.postId, { $inc: { replyCount: -(1 + nestedCount) } });
+    // Soft delete; the post reply count drops by the reply and its nested replies
+    await replyRemoval.removeReply(reply, req.user, req.body && req.body.reason);
 
     logger.info(`Reply deleted: ${id} by user ${userId}`);
 
@@ -481,3 +1012,72 @@ exports.deleteReply = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Approve a reply held by content screening (Admin only)
+ */
+exports.approveReply = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const reply = await Reply.findById(id);
+    if (!reply) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    if (!reply.heldForReview) {
+      return res.status(409).json({ error: 'Reply is not held for review' });
+    }
+
+    await contentHold.approveReply(reply, req.user, req.body && req.body.reason);
+
+    logger.info(`Reply approved: ${id} by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Reply approved',
+      reply: reply.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a nested reply held by content screening (Admin only)
+ */
+exports.approveNestedReply = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadNestedTarget(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { parentReply, target } = loaded;
+    const targetReply = target.container.replies[target.index];
+
+    if (!targetReply.heldForReview) {
+      return res.status(409).json({ error: 'Reply is not held for review' });
+    }
+
+    await contentHold.approveNestedReply(parentReply, targetReply, req.user, req.body && req.body.reason);
+
+    logger.info(`Nested reply approved: ${targetReply._id} by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Reply approved',
+      reply: parentReply.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Reply = require('../models/Reply');
+const Report = require('../models/Report');
+const { validationResult } = require('express-validator');
+const postStatus = require('../services/postStatus');
+const replyRemoval = require('../services/replyRemoval');
+const logger = require('../utils/logger');
+const { locateNestedReply } = require('../utils/nestedReplies');
+
+/**
+ * Store a report unless the reporter already has an open one for the target
+ * target: { targetType, targetId, postId, parentReplyId?, ownerId }
+ */
+const submitReport = async (req, res, target) => {
+  const reporterId = req.user.userId;
+
+  if (target.ownerId === reporterId) {
+    return res.status(400).json({ error: 'You cannot report your own content' });
+  }
+
+  try {
+    const report = await Report.create({
+      targetType: target.targetType,
+      targetId: target.targetId,
+      postId: target.postId,
+      parentReplyId: target.parentReplyId || null,
+      reporterId,
+      reason: req.body.reason,
+      details: req.body.details || null
+    });
+
+    logger.info(`Report ${report._id}: ${target.targetType} ${target.targetId} reported by user ${reporterId} (${req.body.reason})`);
+
+    res.status(201).json({
+      message: 'Report submitted',
+      report: report.toJSON()
+    });
+  } catch (error) {
+    // Unique open report per (target, reporter)
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You have already reported this' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the reply or nested reply a report is about
+ * Returns { reply, parentReply? } or null when missing or deleted
+ */
+const findReportedReply = async (id) => {
+  const reply = await Reply.findById(id);
+  if (reply) {
+    return reply.isActive ? { reply } : null;
+  }
+
+  if (!mongoose.isValidObjectId(id)) return null;
+  const parentReply = await Reply.findOne({ nestedIds: id });
+  if (!parentReply || !parentReply.isActive) return null;
+
+  const location = locateNestedReply(parentReply, id);
+  const nested = location && location.container.replies[location.index];
+  if (!nested || nested.isActive === false) return null;
+
+  return { reply: nested, parentReply };
+};
+
+/**
+ * Close every open report on a target
+ * resolution is a fixed value (the action or 'dismissed'); the admin's note is kept apart
+ */
+const closeReports = (targetId, status, resolution, adminId, note = null) => Report.updateMany(
+  { targetId, status: 'open' },
+  { $set: { status, resolution, resolutionNote: note, resolvedBy: adminId, dateResolved: new Date() } }
+);
+
+/**
+ * Report a published post
+ */
+exports.reportPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    await submitReport(req, res, {
+      targetType: 'post',
+      targetId: post._id,
+      postId: post._id,
+      ownerId: post.userId
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report a reply or nested reply (addressed by reply ID or nested reply ID)
+ */
+exports.reportReply = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await findReportedReply(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    const { reply, parentReply } = found;
+    const postId = parentReply ? parentReply.postId : reply.postId;
+
+    const post = await Post.findById(postId);
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    await submitReport(req, res, {
+      targetType: parentReply ? 'nested' : 'reply',
+      targetId: reply._id,
+      postId,
+      parentReplyId: parentReply ? parentReply._id : null,
+      ownerId: reply.userId
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Moderation queue: reported targets, most reported first (Admin only)
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const match = { status: req.query.status || 'open' };
+    if (req.query.targetType) {
+      match.targetType = req.query.targetType;
+    }
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$targetId',
+          targetType: { $first: '$targetType' },
+          postId: { $first: '$postId' },
+          parentReplyId: { $first: '$parentReplyId' },
+          reportCount: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          firstReported: { $min: '$dateCreated' },
+          lastReported: { $max: '$dateCreated' }
+        }
+      },
+      { $sort: { reportCount: -1, lastReported: -1, _id: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const items = result.items.map(({ _id, reasons, ...item }) => ({
+      targetId: _id,
+      ...item,
+      // Count per reason category
+      reasons: reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {})
+    }));
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      items,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Individual reports on one target, newest first (Admin only)
+ */
+exports.getTargetReports = async (req, res, next) => {
+  try {
+    const reports = await Report.find({ targetId: req.params.targetId }).sort({ dateCreated: -1 });
+
+    res.json({ reports });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve all open reports on a target (Admin only)
+ * action: 'none', 'ban' (posts) or 'delete' (replies and nested replies)
+ */
+exports.resolveReports = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetId } = req.params;
+    const action = req.body.action || 'none';
+
+    const reports = await Report.find({ targetId, status: 'open' });
+    if (reports.length === 0) {
+      return res.status(404).json({ error: 'No open reports for this target' });
+    }
+
+    const { targetType, postId, parentReplyId } = reports[0];
+    const reasons = [...new Set(reports.map(report => report.reason))].join(', ');
+    const logReason = req.body.note || `Reported: ${reasons}`;
+
+    if (action === 'ban') {
+      if (targetType !== 'post') {
+        return res.status(400).json({ error: 'Only posts can be banned' });
+      }
+
+      const post = await Post.findById(postId);
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      const transition = await postStatus.changeStatus(post, 'ban', req.user, logReason);
+      if (transition.error) {
+        return res.status(transition.status).json({ error: transition.error });
+      }
+    }
+
+    if (action === 'delete') {
+      if (targetType === 'post') {
+        return res.status(400).json({ error: 'Reported posts are banned, not deleted' });
+      }
+
+      const found = await findReportedReply(targetId);
+      if (!found) {
+        return res.status(409).json({ error: 'Reply is already deleted' });
+      }
+
+      if (found.parentReply) {
+        await replyRemoval.removeNestedReply(found.parentReply, found.reply, req.user, logReason);
+      } else {
+        await replyRemoval.removeReply(found.reply, req.user, logReason);
+      }
+    }
+
+    await closeReports(targetId, 'resolved', action, req.user.userId, req.body.note || null);
+
+    logger.info(`Reports on ${targetType} ${targetId} resolved (${action}) by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Reports resolved',
+      targetId,
+      targetType,
+      postId,
+      parentReplyId,
+      action,
+      reportCount: reports.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dismiss all open reports on a target without acting on it (Admin only)
+ */
+exports.dismissReports = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetId } = req.params;
+
+    const result = await closeReports(targetId, 'dismissed', 'dismissed', req.user.userId, req.body.note || null);
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'No open reports for this target' });
+    }
+
+    logger.info(`Reports on ${targetId} dismissed by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Reports dismissed',
+      targetId,
+      reportCount: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
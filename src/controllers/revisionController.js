@@ -0,0 +1,159 @@
+const { validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const revisionService = require('../services/revisionService');
+const replyCounter = require('../services/replyCounter');
+const moderationLog = require('../services/moderationLog');
+const { diffLines } = require('../utils/lineDiff');
+const logger = require('../utils/logger');
+const { hasRole } = require('../middleware/authorize');
+
+/**
+ * Load a post and check that the requester may see its history
+ * Published posts are visible to everyone, others only to the owner or an admin
+ */
+const findViewablePost = async (req, res) => {
+  const userId = req.user.userId;
+
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  const isOwner = post.userId === userId;
+  const isAdmin = hasRole(req, 'admin');
+
+  if (post.status !== 'published' && !isOwner && !isAdmin) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  return post;
+};
+
+/**
+ * Get the edit history of a post
+ */
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const post = await findViewablePost(req, res);
+    if (!post) return;
+
+    const revisions = await PostRevision.find({ postId: post._id })
+      .select('revision editedBy title dateCreated')
+      .sort({ revision: -1 });
+
+    res.json({
+      currentRevision: post.revision || 1,
+      revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single revision with a line diff against the current version
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    const rev = parseInt(req.params.rev);
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: 'Invalid revision' });
+    }
+
+    const post = await findViewablePost(req, res);
+    if (!post) return;
+
+    const revision = await PostRevision.findOne({ postId: post._id, revision: rev });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      revision: revision.toJSON(),
+      currentRevision: post.revision || 1,
+      diff: {
+        title: diffLines(revision.title, post.title),
+        content: diffLines(revision.content, post.content)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Roll a post back to a previous revision (owner or admin)
+ */
+exports.rollbackRevision = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const rev = parseInt(req.params.rev);
+    const userId = req.user.userId;
+
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: 'Invalid revision' });
+    }
+
+    const post = await Post.findById(id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const isOwner = post.userId === userId;
+    const isAdmin = hasRole(req, 'admin');
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Owners cannot edit banned or deleted posts, so they cannot roll them back either
+    if (['banned', 'deleted'].includes(post.status) && !isAdmin) {
+      return res.status(403).json({ error: 'Cannot update this post' });
+    }
+
+    const revision = await PostRevision.findOne({ postId: post._id, revision: rev });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const previousRevision = post.revision || 1;
+    const snapshot = revisionService.rollbackPost(post, revision, userId);
+
+    await replyCounter.runInTransaction(async (session) => {
+      await revisionService.saveRevision(snapshot, session);
+      await post.save({ session });
+      // Owners editing their own history need no log; an admin rolling back someone else's post does
+      if (!isOwner) {
+        await moderationLog.record(req.user, {
+          action: 'rollback',
+          targetType: 'post',
+          targetId: post._id,
+          postId: post._id,
+          previousState: { revision: previousRevision },
+          newState: { revision: post.revision, restoredRevision: rev },
+          reason: req.body && req.body.reason
+        }, session);
+      }
+    });
+
+    logger.info(`Post ${id} rolled back to revision ${rev} by user ${userId}`);
+
+    res.json({
+      message: 'Post rolled back',
+      post: post.toJSON()
+    });
+  } catch (error) {
+    if (revisionService.isRevisionConflict(error)) {
+      return res.status(409).json({ error: 'Post was edited concurrently, reload it and try again' });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,147 @@
+const Post = require('../models/Post');
+const liveEvents = require('../services/liveEvents');
+const logger = require('../utils/logger');
+const postLifecycle = require('../utils/postLifecycle');
+const { getRequester } = require('../middleware/authorize');
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25 * 1000;
+// How long clients wait before reconnecting
+const RETRY_DELAY = 3000;
+
+// Events sent on a post's stream
+const POST_STREAM_EVENTS = ['reply.created', 'subreply.created', 'reply.deleted', 'post.status'];
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn the response into a Server-Sent Events stream of bus events
+ * handle(event, stream) decides per event: stream.send(event) forwards it,
+ * stream.end(reason) closes the stream. Events after the client's
+ * Last-Event-ID are replayed first; when that ID is no longer retained the
+ * client gets a 'reset' event and should reload its state.
+ */
+async function openStream(req, res, handle) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const stream = {
+    send: event => writeEvent(res, event),
+    end: (reason) => {
+      writeEvent(res, { type: 'end', data: { reason } });
+      close();
+      res.end();
+    }
+  };
+
+  const deliver = (event) => {
+    if (!closed) handle(event, stream);
+  };
+
+  // Subscribe before replaying so nothing published meanwhile is lost
+  const pending = [];
+  let replaying = true;
+  unsubscribe = liveEvents.subscribe((event) => {
+    if (replaying) {
+      pending.push(event);
+    } else {
+      deliver(event);
+    }
+  });
+  req.on('close', close);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const replayed = new Set();
+  if (lastEventId) {
+    let missed = null;
+    try {
+      missed = await liveEvents.since(String(lastEventId));
+    } catch (error) {
+      logger.warn(`Could not replay live events after ${lastEventId}: ${error.message}`);
+    }
+    if (missed) {
+      missed.forEach((event) => {
+        replayed.add(event.id);
+        deliver(event);
+      });
+    } else if (!closed) {
+      writeEvent(res, { type: 'reset', data: {} });
+    }
+  }
+
+  replaying = false;
+  pending.filter(event => !replayed.has(event.id)).forEach(deliver);
+
+  if (!closed) {
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  }
+}
+
+/**
+ * Stream live updates on a post: new and deleted replies and status changes
+ * Follows getPostById visibility; the stream ends once the post is no longer
+ * visible to the subscriber
+ */
+exports.streamPost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const requester = getRequester(req);
+    const denied = postLifecycle.checkVisibility(post, requester);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const postId = String(post._id);
+    logger.info(`Post stream opened: ${postId} by user ${requester.userId}`);
+
+    await openStream(req, res, (event, stream) => {
+      if (event.postId !== postId || !POST_STREAM_EVENTS.includes(event.type)) return;
+
+      if (event.type === 'post.status') {
+        const lost = postLifecycle.checkVisibility({ userId: post.userId, status: event.data.to }, requester);
+        if (lost) {
+          return stream.end(lost.error);
+        }
+      }
+      stream.send(event);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream newly published posts
+ */
+exports.streamPublishedPosts = async (req, res, next) => {
+  try {
+    await openStream(req, res, (event, stream) => {
+      if (event.type === 'post.published') stream.send(event);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -6,18 +6,40 @@ const mongoose = require('mongoose');
 
 const postRoutes = require('./routes/postRoutes');
 const replyRoutes = require('./routes/replyRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
 const errorHandler = require('./middleware/errorHandler');
+const { createAuthenticate } = require('./middleware/authenticate');
+const publishScheduler = require('./services/publishScheduler');
+const webhookDispatcher = require('./services/webhookDispatcher');
+const lockSweeper = require('./services/lockSweeper');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 5002;
 
+// Client IPs (for per-IP rate limits) come from X-Forwarded-For when behind the gateway:
+// 'true', a number of proxy hops, or a list of trusted addresses
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  if (TRUST_PROXY === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+  }
+}
+
 // Middleware
 app.use(cors());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Verified caller identity (req.user) on every route outside PUBLIC_ROUTES
+app.use(createAuthenticate());
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'post-reply-service' });
@@ -26,6 +48,10 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/posts', postRoutes);
 app.use('/replies', replyRoutes);
+app.use('/moderation', moderationRoutes);
+app.use('/reports', reportRoutes);
+app.use('/events', eventRoutes);
+app.use('/categories', categoryRoutes);
 
 // Error handler
 app.use(errorHandler);
@@ -36,6 +62,15 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/post_d
 mongoose.connect(MONGODB_URI)
   .then(() => {
     logger.info('Connected to MongoDB');
+    if (process.env.PUBLISH_SCHEDULER_ENABLED !== 'false') {
+      publishScheduler.start();
+    }
+    if (process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false') {
+      webhookDispatcher.start();
+    }
+    if (process.env.LOCK_SWEEPER_ENABLED !== 'false') {
+      lockSweeper.start();
+    }
     app.listen(PORT, () => {
       logger.info(`Post & Reply service running on port ${PORT}`);
     });
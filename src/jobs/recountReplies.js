@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const replyCounter = require('../services/replyCounter');
+const logger = require('../utils/logger');
+
+/**
+ * Bulk job: recompute every post's stored reply count and repair drift
+ */
+async function recountReplies() {
+  const { scanned, repaired } = await replyCounter.recountAllPosts();
+  logger.info(`Reply recount: scanned ${scanned} posts, repaired ${repaired}`);
+  return { scanned, repaired };
+}
+
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/post_db';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => recountReplies())
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      logger.error('Reply recount failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = recountReplies;
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const rankingService = require('../services/rankingService');
+const logger = require('../utils/logger');
+
+/**
+ * Bulk job: recompute hot and top scores for every post
+ */
+async function refreshRankings() {
+  const { scanned } = await rankingService.refreshAllScores();
+  logger.info(`Ranking refresh: rescored ${scanned} posts`);
+  return { scanned };
+}
+
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/post_db';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => refreshRankings())
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      logger.error('Ranking refresh failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = refreshRankings;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { createAuthenticate } = require('../authenticate');
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+const signHs256 = (claims, secret = SECRET) => {
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp: inAnHour(), ...claims })}`;
+  return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+};
+
+const run = (middleware, { path = '/posts', headers = {} } = {}) => {
+  const req = { path, method: 'GET', headers };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('authenticate', () => {
+  describe('jwt mode', () => {
+    const authenticate = createAuthenticate({ mode: 'jwt', secret: SECRET, publicRoutes: ['/health'] });
+
+    test('populates req.user from a valid HS256 token', () => {
+      const token = signHs256({ userId: 7, userType: 'admin', email: 'a@b.c' });
+      const { req, next } = run(authenticate, { headers: { authorization: `Bearer ${token}` } });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ userId: 7, role: 'admin', email: 'a@b.c' });
+    });
+
+    test('accepts RS256 tokens with the configured public key', () => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const input = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ sub: '8', exp: inAnHour() })}`;
+      const signature = crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url');
+      const rsAuthenticate = createAuthenticate({
+        mode: 'jwt',
+        secret: undefined,
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+      });
+
+      const { req, next } = run(rsAuthenticate, { headers: { authorization: `Bearer ${input}.${signature}` } });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ userId: 8, role: 'user', email: null });
+    });
+
+    test('returns 401 without a token', () => {
+      const { res, next } = run(authenticate);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Authentication required' });
+    });
+
+    test.each([
+      ['a wrong signature', signHs256({ userId: 7 }, 'other-secret')],
+      ['an expired token', signHs256({ userId: 7, exp: Math.floor(Date.now() / 1000) - 3600 })],
+      ['a token without an expiry', signHs256({ userId: 7, exp: undefined })],
+      ['an unsigned token', `${encode({ alg: 'none' })}.${encode({ userId: 7 })}.`],
+      ['a token without a user ID', signHs256({ userType: 'admin' })]
+    ])('rejects %s', (_, token) => {
+      const { res, next } = run(authenticate, { headers: { authorization: `Bearer ${token}` } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid credentials' });
+    });
+
+    test('lets allowlisted routes through without identity', () => {
+      const { req, next } = run(authenticate, { path: '/health' });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeUndefined();
+    });
+  });
+
+  describe('hmac mode', () => {
+    const authenticate = createAuthenticate({ mode: 'hmac', hmacSecret: SECRET, maxSkewSeconds: 300 });
+
+    const signedHeaders = (userId, userType, timestamp = Math.floor(Date.now() / 1000)) => ({
+      'x-user-id': String(userId),
+      'x-user-type': userType,
+      'x-auth-timestamp': String(timestamp),
+      'x-auth-signature': crypto.createHmac('sha256', SECRET).update(`${userId}.${userType}.${timestamp}`).digest('hex')
+    });
+
+    test('accepts correctly signed identity headers', () => {
+      const { req, next } = run(authenticate, { headers: signedHeaders(4, 'moderator') });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ userId: 4, role: 'moderator', email: null });
+    });
+
+    test('rejects tampered headers', () => {
+      const headers = { ...signedHeaders(4, 'user'), 'x-user-type': 'admin' };
+      const { res } = run(authenticate, { headers });
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid credentials' });
+    });
+
+    test('rejects stale signatures', () => {
+      const headers = signedHeaders(4, 'user', Math.floor(Date.now() / 1000) - 3600);
+      const { res } = run(authenticate, { headers });
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  test('refuses to start in jwt mode without a key', () => {
+    expect(() => createAuthenticate({ mode: 'jwt', secret: undefined, publicKey: undefined }))
+      .toThrow('JWT_SECRET or JWT_PUBLIC_KEY is required when AUTH_MODE=jwt');
+  });
+});
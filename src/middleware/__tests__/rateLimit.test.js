@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+const rateLimiter = require('../../services/rateLimiter');
+const { rateLimit, parseLimit } = require('../rateLimit');
+
+jest.mock('../../services/rateLimiter', () => ({
+  consume: jest.fn().mockResolvedValue({ allowed: true, retryAfter: 0 }),
+  fingerprint: jest.requireActual('../../services/rateLimiter').fingerprint,
+  markSubmission: jest.fn().mockResolvedValue({ duplicate: false }),
+  releaseSubmission: jest.fn().mockResolvedValue()
+}));
+
+const LIMITS = { userLimit: '5/60', ipLimit: '20/60', exemptRole: 'admin', duplicateWindowSeconds: 60, enabled: true };
+
+const run = async (middleware, { role = 'user', body = { comment: 'Hello there' } } = {}) => {
+  const req = { ip: '10.0.0.1', body, user: { userId: 7, role } };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.set = jest.fn();
+  res.status = jest.fn().mockImplementation((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('rateLimit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('takes a token from the IP and the user bucket', async () => {
+    const { next } = await run(rateLimit('reply', LIMITS));
+
+    expect(rateLimiter.consume).toHaveBeenCalledWith('bucket:reply:ip:10.0.0.1', { capacity: 20, perSeconds: 60 });
+    expect(rateLimiter.consume).toHaveBeenCalledWith('bucket:reply:user:7', { capacity: 5, perSeconds: 60 });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('answers 429 with Retry-After when a bucket is empty', async () => {
+    rateLimiter.consume
+      .mockResolvedValueOnce({ allowed: true, retryAfter: 0 })
+      .mockResolvedValueOnce({ allowed: false, retryAfter: 12 });
+
+    const { res, next } = await run(rateLimit('post', LIMITS));
+
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '12');
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Too many requests', retryAfter: 12 });
+    expect(next).not.toHaveBeenCalled();
+    expect(rateLimiter.markSubmission).not.toHaveBeenCalled();
+  });
+
+  test('refuses the same text again within the duplicate window', async () => {
+    rateLimiter.markSubmission.mockResolvedValueOnce({ duplicate: true, retryAfter: 40 });
+
+    const { res, next } = await run(rateLimit('reply', LIMITS), { body: { comment: '  Hello   THERE ' } });
+
+    expect(rateLimiter.markSubmission).toHaveBeenCalledWith(rateLimiter.fingerprint('reply', 7, 'hello there'), 60);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Duplicate content', retryAfter: 40 });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('forgets a submission that failed so it can be retried', async () => {
+    const { res } = await run(rateLimit('reply', LIMITS));
+
+    res.statusCode = 404;
+    res.emit('finish');
+
+    expect(rateLimiter.releaseSubmission).toHaveBeenCalledWith(rateLimiter.fingerprint('reply', 7, 'Hello there'));
+  });
+
+  test('keeps successful submissions for duplicate detection', async () => {
+    const { res } = await run(rateLimit('reply', LIMITS));
+
+    res.statusCode = 201;
+    res.emit('finish');
+
+    expect(rateLimiter.releaseSubmission).not.toHaveBeenCalled();
+  });
+
+  test('exempts admins and above', async () => {
+    const { next } = await run(rateLimit('post', LIMITS), { role: 'super_admin' });
+
+    expect(next).toHaveBeenCalled();
+    expect(rateLimiter.consume).not.toHaveBeenCalled();
+  });
+
+  test('limits can be switched off one by one', async () => {
+    await run(rateLimit('post', { ...LIMITS, ipLimit: 'off', duplicateWindowSeconds: 0 }));
+
+    expect(rateLimiter.consume).toHaveBeenCalledTimes(1);
+    expect(rateLimiter.markSubmission).not.toHaveBeenCalled();
+  });
+
+  test('parseLimit reads <burst>/<seconds>', () => {
+    expect(parseLimit('10/30')).toEqual({ capacity: 10, perSeconds: 30 });
+    expect(parseLimit('off')).toBeNull();
+    expect(() => parseLimit('10 per minute')).toThrow('Invalid rate limit');
+    expect(() => rateLimit('vote')).toThrow('Unknown rate limited action');
+  });
+});
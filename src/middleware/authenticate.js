@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { verifyJwt } = require('../utils/jwt');
+const { ROLES } = require('../utils/roles');
+const logger = require('../utils/logger');
+
+const AUTH_MODES = ['jwt', 'hmac', 'headers'];
+
+/**
+ * Settings read from the environment
+ */
+const configFromEnv = () => ({
+  mode: process.env.AUTH_MODE || 'jwt',
+  secret: process.env.JWT_SECRET,
+  // PEM; escaped newlines are allowed so the key fits in one .env line
+  publicKey: process.env.JWT_PUBLIC_KEY ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : undefined,
+  issuer: process.env.JWT_ISSUER,
+  audience: process.env.JWT_AUDIENCE,
+  hmacSecret: process.env.GATEWAY_HMAC_SECRET,
+  maxSkewSeconds: parseInt(process.env.GATEWAY_HMAC_MAX_SKEW_SECONDS) || 300,
+  publicRoutes: (process.env.PUBLIC_ROUTES || '/health').split(',').map(route => route.trim()).filter(Boolean)
+});
+
+/**
+ * Build the identity attached as req.user
+ * Returns null when the user ID is not a valid integer
+ */
+const toUser = (userId, role, email) => {
+  const id = Number(userId);
+  if (!Number.isInteger(id)) return null;
+  return {
+    userId: id,
+    role: ROLES.includes(role) ? role : 'user',
+    email: email || null
+  };
+};
+
+/**
+ * Whether a path matches the allowlist ('/health' exactly, '/docs/*' as a prefix)
+ */
+const isPublicRoute = (publicRoutes, path) => publicRoutes.some(route => (
+  route.endsWith('/*') ? path.startsWith(route.slice(0, -1)) : path === route
+));
+
+/**
+ * Identity from "Authorization: Bearer <jwt>"
+ * Claims: userId (or sub), userType, email
+ */
+const fromJwt = (req, config) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return undefined;
+
+  const claims = verifyJwt(token, {
+    secret: config.secret,
+    publicKey: config.publicKey,
+    issuer: config.issuer,
+    audience: config.audience,
+    clockTolerance: 30
+  });
+  return toUser(claims.userId !== undefined ? claims.userId : claims.sub, claims.userType, claims.email);
+};
+
+/**
+ * Identity from gateway headers signed with a shared secret:
+ * x-auth-signature = hex HMAC-SHA256 of "<x-user-id>.<x-user-type>.<x-auth-timestamp>"
+ */
+const fromHmac = (req, config) => {
+  const userId = req.headers['x-user-id'];
+  const userType = req.headers['x-user-type'] || '';
+  const timestamp = req.headers['x-auth-timestamp'];
+  const signature = req.headers['x-auth-signature'];
+  if (!userId && !signature) return undefined;
+  if (!userId || !timestamp || !signature) return null;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= config.maxSkewSeconds)) return null;
+
+  const expected = crypto.createHmac('sha256', config.hmacSecret)
+    .update(`${userId}.${userType}.${timestamp}`)
+    .digest('hex');
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return null;
+  }
+
+  return toUser(userId, userType);
+};
+
+/**
+ * Unverified gateway headers (local development only)
+ */
+const fromHeaders = (req) => {
+  if (!req.headers['x-user-id']) return undefined;
+  return toUser(req.headers['x-user-id'], req.headers['x-user-type']);
+};
+
+/**
+ * Create the authentication middleware
+ * Sets req.user = { userId, role, email } or answers 401; public routes pass through
+ */
+const createAuthenticate = (overrides = {}) => {
+  const config = { ...configFromEnv(), ...overrides };
+
+  if (!AUTH_MODES.includes(config.mode)) {
+    throw new Error(`Unknown AUTH_MODE: ${config.mode}`);
+  }
+  if (config.mode === 'jwt' && !config.secret && !config.publicKey) {
+    throw new Error('JWT_SECRET or JWT_PUBLIC_KEY is required when AUTH_MODE=jwt');
+  }
+  if (config.mode === 'hmac' && !config.hmacSecret) {
+    throw new Error('GATEWAY_HMAC_SECRET is required when AUTH_MODE=hmac');
+  }
+  if (config.mode === 'headers') {
+    logger.warn('AUTH_MODE=headers trusts x-user-id/x-user-type without verification');
+  }
+
+  const resolve = { jwt: fromJwt, hmac: fromHmac, headers: fromHeaders }[config.mode];
+
+  return (req, res, next) => {
+    if (isPublicRoute(config.publicRoutes, req.path)) {
+      return next();
+    }
+
+    let user;
+    try {
+      user = resolve(req, config);
+    } catch (error) {
+      logger.warn(`Rejected credentials for ${req.method} ${req.path}: ${error.message}`);
+      user = null;
+    }
+
+    if (user === undefined) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (user === null) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    req.user = user;
+    next();
+  };
+};
+
+module.exports = {
+  createAuthenticate
+};
@@ -0,0 +1,88 @@
+const Post = require('../models/Post');
+const Reply = require('../models/Reply');
+const { ROLES, roleAtLeast } = require('../utils/roles');
+
+// Returned by owner loaders when the resource does not exist (the handler answers 404)
+const NOT_FOUND = Symbol('not found');
+
+const ANONYMOUS = { userId: null, role: 'user' };
+
+/**
+ * Identity of the caller as verified by the authenticate middleware
+ * Returns { userId, role }; userId is null for anonymous requests
+ */
+const getRequester = (req) => req.user || ANONYMOUS;
+
+/**
+ * Whether the caller has at least the given role
+ */
+const hasRole = (req, role) => roleAtLeast(getRequester(req).role, role);
+
+/**
+ * Policy: the caller owns the resource whose owner ID the loader resolves
+ */
+const owner = (loadOwnerId) => async (req, requester) => {
+  const ownerId = await loadOwnerId(req);
+  if (ownerId === NOT_FOUND) return NOT_FOUND;
+  return ownerId === requester.userId;
+};
+
+const postOwner = owner(async (req) => {
+  const post = await Post.findById(req.params.id).select('userId').lean();
+  return post ? post.userId : NOT_FOUND;
+});
+
+const replyOwner = owner(async (req) => {
+  const reply = await Reply.findById(req.params.id).select('userId').lean();
+  return reply ? reply.userId : NOT_FOUND;
+});
+
+/**
+ * Route guard: requires an identified caller, then at least one of the policies
+ * Policies are role names ('moderator', 'admin', 'super_admin') or owner policies;
+ * with no policies any identified caller is allowed
+ */
+const authorize = (...policies) => {
+  policies.forEach(policy => {
+    if (typeof policy !== 'function' && !ROLES.includes(policy)) {
+      throw new Error(`Unknown authorization policy: ${policy}`);
+    }
+  });
+
+  return async (req, res, next) => {
+    try {
+      const requester = getRequester(req);
+      if (requester.userId === null) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      if (policies.length === 0) {
+        return next();
+      }
+
+      for (const policy of policies) {
+        const allowed = typeof policy === 'function'
+          ? await policy(req, requester)
+          : roleAtLeast(requester.role, policy);
+        // Missing resources are reported by the handler as 404
+        if (allowed === NOT_FOUND || allowed) {
+          return next();
+        }
+      }
+
+      return res.status(403).json({ error: 'Access denied' });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  authorize,
+  owner,
+  postOwner,
+  replyOwner,
+  getRequester,
+  hasRole,
+  NOT_FOUND
+};
@@ -0,0 +1,119 @@
+const rateLimiter = require('../services/rateLimiter');
+const { getRequester } = require('./authorize');
+const { ROLES, roleAtLeast } = require('../utils/roles');
+const logger = require('../utils/logger');
+
+// Token buckets per action: '<burst>/<seconds>' = burst requests, refilled over that many seconds
+const DEFAULT_LIMITS = {
+  post: { user: '5/60', ip: '20/60' },
+  reply: { user: '10/60', ip: '40/60' }
+};
+
+// Body fields fingerprinted for duplicate detection
+const CONTENT_FIELDS = {
+  post: ['title', 'content'],
+  reply: ['comment']
+};
+
+/**
+ * Parse '<burst>/<seconds>' into { capacity, perSeconds }; 'off' disables the limit
+ */
+const parseLimit = (value) => {
+  if (value === 'off') return null;
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit: ${value} (expected <burst>/<seconds> or off)`);
+  }
+  return { capacity: Number(match[1]), perSeconds: Number(match[2]) };
+};
+
+/**
+ * Settings for an action read from the environment
+ */
+const configFromEnv = (action) => {
+  const prefix = `RATE_LIMIT_${action.toUpperCase()}`;
+  const window = parseInt(process.env.DUPLICATE_WINDOW_SECONDS);
+  return {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    userLimit: process.env[`${prefix}_USER`] || DEFAULT_LIMITS[action].user,
+    ipLimit: process.env[`${prefix}_IP`] || DEFAULT_LIMITS[action].ip,
+    exemptRole: process.env.RATE_LIMIT_EXEMPT_ROLE || 'admin',
+    duplicateWindowSeconds: Number.isNaN(window) ? 60 : window
+  };
+};
+
+const tooManyRequests = (res, error, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+/**
+ * Route guard limiting how often a caller may create content ('post' or 'reply')
+ * Applies a per-user and a per-IP token bucket, then refuses the same text
+ * from the same user again within the duplicate window; both answer 429 with
+ * Retry-After. Callers with at least the exempt role are not limited.
+ * Goes after authorize(), which identifies the caller
+ */
+const rateLimit = (action, overrides = {}) => {
+  if (!DEFAULT_LIMITS[action]) {
+    throw new Error(`Unknown rate limited action: ${action}`);
+  }
+
+  const config = { ...configFromEnv(action), ...overrides };
+  if (!ROLES.includes(config.exemptRole)) {
+    throw new Error(`Unknown RATE_LIMIT_EXEMPT_ROLE: ${config.exemptRole}`);
+  }
+  const buckets = [
+    ['ip', parseLimit(config.ipLimit)],
+    ['user', parseLimit(config.userLimit)]
+  ].filter(([, limit]) => limit);
+
+  return async (req, res, next) => {
+    try {
+      const requester = getRequester(req);
+      if (!config.enabled || roleAtLeast(requester.role, config.exemptRole)) {
+        return next();
+      }
+
+      for (const [scope, limit] of buckets) {
+        const subject = scope === 'ip' ? req.ip : requester.userId;
+        const { allowed, retryAfter } = await rateLimiter.consume(`bucket:${action}:${scope}:${subject}`, limit);
+        if (!allowed) {
+          logger.warn(`Rate limit (${action}, ${scope}) hit by user ${requester.userId} from ${req.ip}`);
+          return tooManyRequests(res, 'Too many requests', retryAfter);
+        }
+      }
+
+      const text = CONTENT_FIELDS[action]
+        .map(field => req.body && req.body[field])
+        .filter(value => typeof value === 'string')
+        .join('\n');
+
+      if (config.duplicateWindowSeconds > 0 && text.trim()) {
+        const key = rateLimiter.fingerprint(action, requester.userId, text);
+        const { duplicate, retryAfter } = await rateLimiter.markSubmission(key, config.duplicateWindowSeconds);
+        if (duplicate) {
+          return tooManyRequests(res, 'Duplicate content', retryAfter);
+        }
+
+        // A submission that failed (validation, missing post, ...) may be sent again
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            rateLimiter.releaseSubmission(key).catch(error => {
+              logger.warn(`Could not release submission ${key}: ${error.message}`);
+            });
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  parseLimit
+};
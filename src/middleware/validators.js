@@ -1,4 +1,42 @@
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { REACTION_TYPES } = require('../utils/reactionTypes');
+const { MODERATION_ACTIONS } = require('../utils/moderationActions');
+const { REPORT_REASONS } = require('../utils/reportReasons');
+const { EVENT_TYPES, DELIVERY_STATUSES } = require('../utils/eventTypes');
+const { FORMATS } = require('../utils/markdown');
+const { MAX_TAGS, MAX_TAG_LENGTH, isValidTag, normalizeTags } = require('../utils/tags');
+const { PIN_SCOPES } = require('../utils/pins');
+
+// publishAt must be a future ISO 8601 date (null clears a schedule on update)
+const publishAtRule = () => body('publishAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('publishAt must be an ISO 8601 date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('publishAt must be in the future');
+
+// How content or a comment is written
+const formatRule = () => body('format')
+  .optional()
+  .isIn(FORMATS)
+  .withMessage(`Format must be one of: ${FORMATS.join(', ')}`);
+
+// Up to MAX_TAGS tags, normalized ('#Node JS' -> 'node-js') before they are checked
+const tagsRule = () => body('tags')
+  .optional()
+  .isArray({ max: MAX_TAGS })
+  .withMessage(`Tags must be an array of at most ${MAX_TAGS} tags`)
+  .bail()
+  .customSanitizer(normalizeTags)
+  .custom(tags => tags.every(isValidTag))
+  .withMessage(`Tags may only contain letters, digits and dashes (at most ${MAX_TAG_LENGTH} characters)`);
+
+// Category ID; null files the post under no category (existence is checked by the handler)
+const categoryRule = () => body('category')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('category must be a category ID');
 
 const validatePost = [
   body('title')
@@ -10,7 +48,12 @@ const validatePost = [
   body('content')
     .trim()
     .notEmpty()
-    .withMessage('Content is required'),
+    .withMessage('Content is required')
+    .isLength({ max: 50000 })
+    .withMessage('Content must not exceed 50000 characters'),
+  formatRule(),
+  tagsRule(),
+  categoryRule(),
   body('status')
     .optional()
     .isIn(['unpublished', 'published'])
@@ -22,7 +65,8 @@ const validatePost = [
   body('attachments')
     .optional()
     .isArray()
-    .withMessage('Attachments must be an array')
+    .withMessage('Attachments must be an array'),
+  publishAtRule()
 ];
 
 const validatePostUpdate = [
@@ -35,7 +79,12 @@ const validatePostUpdate = [
     .optional()
     .trim()
     .notEmpty()
-    .withMessage('Content cannot be empty'),
+    .withMessage('Content cannot be empty')
+    .isLength({ max: 50000 })
+    .withMessage('Content must not exceed 50000 characters'),
+  formatRule(),
+  tagsRule(),
+  categoryRule(),
   body('images')
     .optional()
     .isArray()
@@ -43,7 +92,8 @@ const validatePostUpdate = [
   body('attachments')
     .optional()
     .isArray()
-    .withMessage('Attachments must be an array')
+    .withMessage('Attachments must be an array'),
+  publishAtRule()
 ];
 
 const validateReply = [
@@ -52,11 +102,217 @@ const validateReply = [
     .notEmpty()
     .withMessage('Comment is required')
     .isLength({ max: 5000 })
-    .withMessage('Comment must not exceed 5000 characters')
+    .withMessage('Comment must not exceed 5000 characters'),
+  formatRule(),
+  // Post, reply or nested reply (of the same post) to quote
+  body('quoteId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('quoteId must be a post or reply ID')
+];
+
+const validateReplyUpdate = [
+  body('comment')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Comment cannot be empty')
+    .isLength({ max: 5000 })
+    .withMessage('Comment must not exceed 5000 characters'),
+  formatRule(),
+  body('attachments')
+    .optional()
+    .isArray()
+    .withMessage('Attachments must be an array')
+];
+
+const validateReaction = [
+  body('type')
+    .isIn(REACTION_TYPES)
+    .withMessage(`Reaction type must be one of: ${REACTION_TYPES.join(', ')}`)
+];
+
+const validateSearch = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ max: 200 })
+    .withMessage('Search query must not exceed 200 characters')
+];
+
+// Optional reason recorded in the moderation log
+const validateModerationReason = [
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+const validatePin = [
+  body('scope')
+    .optional()
+    .isIn(PIN_SCOPES)
+    .withMessage(`scope must be one of: ${PIN_SCOPES.join(', ')}`),
+  body('until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('until must be an ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('until must be in the future'),
+  ...validateModerationReason
+];
+
+const validateModerationQuery = [
+  query('actorId')
+    .optional()
+    .isInt()
+    .withMessage('actorId must be an integer'),
+  query('action')
+    .optional()
+    .isIn(MODERATION_ACTIONS)
+    .withMessage(`action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+  query('targetType')
+    .optional()
+    .isIn(['post', 'reply', 'nested'])
+    .withMessage('targetType must be post, reply or nested'),
+  query(['targetId', 'postId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+const validateReport = [
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Details must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must not exceed 1000 characters')
+];
+
+const validateReportQueue = [
+  query('status')
+    .optional()
+    .isIn(['open', 'resolved', 'dismissed'])
+    .withMessage('status must be open, resolved or dismissed'),
+  query('targetType')
+    .optional()
+    .isIn(['post', 'reply', 'nested'])
+    .withMessage('targetType must be post, reply or nested')
+];
+
+// Resolve or dismiss the open reports on a target
+const validateReportResolution = [
+  param('targetId')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('action')
+    .optional()
+    .isIn(['none', 'ban', 'delete'])
+    .withMessage('action must be none, ban or delete'),
+  body('note')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+];
+
+// Webhook outbox listing filters
+const validateDeliveryQuery = [
+  query('status')
+    .optional()
+    .isIn(DELIVERY_STATUSES)
+    .withMessage(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('type')
+    .optional()
+    .isIn(EVENT_TYPES)
+    .withMessage(`type must be one of: ${EVENT_TYPES.join(', ')}`),
+  query('eventId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid event ID'),
+  query('endpoint')
+    .optional()
+    .isString()
+];
+
+// Bulk replay of failed deliveries
+const validateDeliveryReplay = [
+  body('type')
+    .optional()
+    .isIn(EVENT_TYPES)
+    .withMessage(`type must be one of: ${EVENT_TYPES.join(', ')}`),
+  body('eventId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid event ID'),
+  body('endpoint')
+    .optional()
+    .isString()
+    .withMessage('endpoint must be a string')
+];
+
+const validateCategory = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Name must not exceed 50 characters'),
+  body('slug')
+    .optional()
+    .isString()
+    .withMessage('slug must be a string')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('slug cannot be empty'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+];
+
+const validateCategoryUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...validateCategory.slice(1)
 ];
 
 module.exports = {
   validatePost,
   validatePostUpdate,
-  validateReply
+  validateReply,
+  validateReplyUpdate,
+  validateReaction,
+  validateSearch,
+  validateModerationReason,
+  validatePin,
+  validateModerationQuery,
+  validateReport,
+  validateReportQueue,
+  validateReportResolution,
+  validateDeliveryQuery,
+  validateDeliveryReplay,
+  validateCategory,
+  validateCategoryUpdate
 };
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Reply = require('../models/Reply');
+const { assignNestedIds, collectNestedIds } = require('../utils/nestedReplies');
+const logger = require('../utils/logger');
+
+/**
+ * One-time migration: give every nested reply a stable _id and
+ * rebuild the nestedIds lookup array on each top-level reply
+ */
+async function backfillNestedReplyIds() {
+  let scanned = 0;
+  let updated = 0;
+  let assigned = 0;
+
+  const cursor = Reply.find({ 'replies.0': { $exists: true } }).lean().cursor();
+
+  for await (const reply of cursor) {
+    scanned += 1;
+
+    const newIds = assignNestedIds(reply.replies);
+    const nestedIds = collectNestedIds(reply.replies);
+    const existing = (reply.nestedIds || []).map(id => id.toString()).sort();
+    const expected = nestedIds.map(id => id.toString()).sort();
+
+    if (newIds === 0 && JSON.stringify(existing) === JSON.stringify(expected)) {
+      continue;
+    }
+
+    // Write through the driver so nested Mixed replies are stored untouched
+    await Reply.collection.updateOne(
+      { _id: reply._id },
+      { $set: { replies: reply.replies, nestedIds } }
+    );
+
+    updated += 1;
+    assigned += newIds;
+  }
+
+  logger.info(`Nested reply ID backfill: scanned ${scanned}, updated ${updated}, assigned ${assigned} IDs`);
+  return { scanned, updated, assigned };
+}
+
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/post_db';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => backfillNestedReplyIds())
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      logger.error('Nested reply ID backfill failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillNestedReplyIds;
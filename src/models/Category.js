@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Admin-managed category a post can be filed under
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Used in ?category= filters and URLs
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  },
+  dateModified: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.categoryId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A user mentioned with @username in a reply or nested reply
+const mentionSchema = new mongoose.Schema({
+  // Mentioned user
+  userId: {
+    type: Number,
+    required: true
+  },
+  // Author of the reply
+  authorId: {
+    type: Number,
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Top-level reply (the one holding the nested reply for nested mentions)
+  replyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    required: true
+  },
+  // Nested reply, or null for a mention in a top-level reply
+  nestedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.mentionId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+mentionSchema.index({ userId: 1, dateCreated: -1, _id: -1 });
+mentionSchema.index({ replyId: 1, nestedId: 1 });
+
+const Mention = mongoose.model('Mention', mentionSchema);
+
+module.exports = Mention;
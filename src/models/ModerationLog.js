@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { MODERATION_ACTIONS } = require('../utils/moderationActions');
+
+// Append-only record of a state change on a post, reply or nested reply
+const moderationLogSchema = new mongoose.Schema({
+  actorId: {
+    type: Number,
+    required: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'reply', 'nested'],
+    required: true
+  },
+  // Post _id, reply _id or nested reply _id
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Post the target belongs to (the post itself for post actions)
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // State fields before and after, e.g. { status: 'published' } -> { status: 'banned' }
+  previousState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.entryId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Entries are never changed or removed once written
+const rejectWrite = function(next) {
+  next(new Error('Moderation log entries are append-only'));
+};
+moderationLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectWrite(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => moderationLogSchema.pre(operation, rejectWrite));
+
+// Indexes
+moderationLogSchema.index({ dateCreated: -1, _id: -1 });
+moderationLogSchema.index({ actorId: 1, dateCreated: -1 });
+moderationLogSchema.index({ targetId: 1, dateCreated: -1 });
+moderationLogSchema.index({ postId: 1, dateCreated: 1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+module.exports = ModerationLog;
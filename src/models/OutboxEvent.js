@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES, DELIVERY_STATUSES } = require('../utils/eventTypes');
+
+// One domain event waiting for (or done with) delivery to one webhook endpoint
+// Written in the same transaction as the change it describes
+const outboxEventSchema = new mongoose.Schema({
+  // Shared by the deliveries of the same event to different endpoints
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Endpoint URL; its secret stays in the configuration
+  endpoint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A delivery left 'delivering' past this time (crashed dispatcher) is picked up again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastStatusCode: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  dateDelivered: {
+    type: Date,
+    default: null
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.deliveryId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Dispatcher: due pending deliveries and stale claims
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEventSchema.index({ status: 1, lockedUntil: 1 });
+// Admin listing, newest first
+outboxEventSchema.index({ dateCreated: -1, _id: -1 });
+outboxEventSchema.index({ eventId: 1 });
+
+const OutboxEvent = mongoose.model('OutboxEvent', outboxEventSchema);
+
+module.exports = OutboxEvent;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { computeScores } = require('../utils/ranking');
+const markdown = require('../utils/markdown');
+const { PIN_SCOPES } = require('../utils/pins');
 
 const postSchema = new mongoose.Schema({
   userId: {
@@ -16,16 +19,86 @@ const postSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // How content is written; contentHtml is its sanitized rendering, refreshed on save
+  format: {
+    type: String,
+    enum: markdown.FORMATS,
+    default: 'plain'
+  },
+  contentHtml: {
+    type: String,
+    default: null
+  },
+  // Admin-managed category (optional) and free-form tags, normalized by the validators
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  tags: [{
+    type: String
+  }],
   isArchived: {
     type: Boolean,
     default: false
   },
+  // Set by admins: pinned posts head the feed until pinnedUntil (null = no expiry)
+  pinScope: {
+    type: String,
+    enum: [...PIN_SCOPES, null],
+    default: null
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  pinnedUntil: {
+    type: Date,
+    default: null
+  },
+  // Featured posts are listed by GET /posts/featured
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  featuredAt: {
+    type: Date,
+    default: null
+  },
+  // Locked posts take no new replies; set by moderators or the lock sweeper (lockedBy 0)
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  lockReason: {
+    type: String,
+    default: null
+  },
+  lockedBy: {
+    type: Number,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // Restarts the lock sweeper's inactivity clock
+  unlockedAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['unpublished', 'published', 'hidden', 'banned', 'deleted'],
     default: 'unpublished',
     index: true
   },
+  // Status before a ban or delete, restored by unban / recover
+  previousStatus: {
+    type: String,
+    enum: ['unpublished', 'published', 'hidden', null],
+    default: null
+  },
   dateCreated: {
     type: Date,
     default: Date.now,
@@ -35,6 +108,11 @@ const postSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Last time the post went live (created as published, or any transition to published)
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   images: [{
     type: String
   }],
@@ -44,6 +122,45 @@ const postSchema = new mongoose.Schema({
   replyCount: {
     type: Number,
     default: 0
+  },
+  // Replies ever added, never decremented; unread counts compare read markers against it
+  replySequence: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
+  // Drafts with a publishAt are published by the scheduler once it passes
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // Set when content screening holds the post; cleared when an admin approves it
+  heldForReview: {
+    type: Boolean,
+    default: false
+  },
+  // Per-type reaction totals, maintained by the reaction service
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Ranking scores for sortBy=top / sortBy=hot, kept in sync by the ranking service
+  engagementScore: {
+    type: Number,
+    default: 0
+  },
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  // Incremented on every edit; older versions live in PostRevision
+  revision: {
+    type: Number,
+    default: 1
   }
 }, {
   timestamps: false,
@@ -53,14 +170,52 @@ const postSchema = new mongoose.Schema({
       ret.postId = ret._id;
       delete ret._id;
       delete ret.__v;
+      // Exposed as a reactions summary by the controllers
+      delete ret.reactionCounts;
+      // Internal ranking values
+      delete ret.engagementScore;
+      delete ret.hotScore;
+      if (ret.content !== undefined) {
+        ret.contentHtml = markdown.htmlFor(ret.content, ret.format, ret.contentHtml);
+      }
       return ret;
     }
   }
 });
 
+// Posts are scored from when they went live, on creation and whenever they go live again
+postSchema.pre('save', function(next) {
+  if (this.isNew && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = this.dateCreated;
+  }
+  if (this.isNew || this.isModified('publishedAt')) {
+    Object.assign(this, computeScores(this));
+  }
+  if (this.isNew || this.isModified('content') || this.isModified('format') || this.contentHtml === null) {
+    this.contentHtml = markdown.render(this.content, this.format);
+  }
+  next();
+});
+
 // Indexes for efficient querying
 postSchema.index({ status: 1, dateCreated: -1 });
+postSchema.index({ status: 1, replyCount: -1, dateCreated: -1 });
+// Keyset (cursor) pagination sorts on (field, _id)
+postSchema.index({ status: 1, dateCreated: -1, _id: -1 });
+postSchema.index({ status: 1, dateModified: -1, _id: -1 });
+postSchema.index({ status: 1, replyCount: -1, _id: -1 });
+postSchema.index({ status: 1, hotScore: -1, _id: -1 });
+postSchema.index({ status: 1, engagementScore: -1, _id: -1 });
 postSchema.index({ userId: 1, status: 1 });
+postSchema.index({ status: 1, publishAt: 1 });
+// ?category= and ?tags= feed filters (multikey on tags)
+postSchema.index({ status: 1, category: 1, dateCreated: -1, _id: -1 });
+postSchema.index({ status: 1, category: 1, hotScore: -1, _id: -1 });
+postSchema.index({ status: 1, tags: 1, dateCreated: -1, _id: -1 });
+postSchema.index({ category: 1 });
+postSchema.index({ status: 1, pinScope: 1, pinnedAt: -1 });
+postSchema.index({ status: 1, featured: 1, featuredAt: -1, _id: -1 });
+postSchema.index({ status: 1, isLocked: 1, lastReplyAt: 1 });
 postSchema.index({ title: 'text', content: 'text' });
 
 const Post = mongoose.model('Post', postSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a post body before it was edited or rolled back
+const postRevisionSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // User who made the edit that replaced this version
+  editedBy: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    default: 'plain'
+  },
+  images: [{
+    type: String
+  }],
+  attachments: [{
+    type: String
+  }],
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.revisionId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+postRevisionSchema.index({ postId: 1, revision: -1 }, { unique: true });
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+module.exports = PostRevision;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Shared rate limiting state: token buckets ('bucket:...') and recent
+// submission fingerprints ('dup:...'), kept in MongoDB so every instance sees them
+const rateLimitSchema = new mongoose.Schema({
+  // e.g. 'bucket:post:user:42', 'bucket:reply:ip:10.0.0.1', 'dup:42:<sha256>'
+  _id: {
+    type: String
+  },
+  // Tokens left in a bucket (fractional while refilling)
+  tokens: {
+    type: Number
+  },
+  // When the bucket was last refilled
+  updatedAt: {
+    type: Date
+  },
+  // After this the entry no longer matters (a bucket would be full again)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+// MongoDB removes entries once they expire
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../utils/reactionTypes');
+
+// One user's reaction to a post, reply or nested reply
+const reactionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'reply', 'nested'],
+    required: true
+  },
+  // Post _id, reply _id or nested reply _id
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.reactionId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A user has at most one reaction per target
+reactionSchema.index({ targetId: 1, userId: 1 }, { unique: true });
+reactionSchema.index({ userId: 1, targetId: 1 });
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+module.exports = Reaction;
@@ -1,7 +1,56 @@
 const mongoose = require('mongoose');
+const markdown = require('../utils/markdown');
+
+// Previous version of a reply, recorded on every edit
+const editHistorySchema = new mongoose.Schema({
+  comment: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: markdown.FORMATS,
+    default: 'plain'
+  },
+  attachments: [{
+    type: String
+  }],
+  dateEdited: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Quoted post or reply, captured when the quoting reply is written
+const quoteSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'reply', 'nested'],
+    required: true
+  },
+  // Post _id, reply _id or nested reply _id
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author of the quoted content
+  userId: {
+    type: Number,
+    required: true
+  },
+  excerpt: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
 
 // Sub-reply schema (for bonus feature) - supports nested replies recursively
+// _id has no default so legacy sub-replies are not given a fresh ID on every load;
+// IDs are assigned when a sub-reply is created (or by the backfill migration)
 const subReplySchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   userId: {
     type: Number,
     required: true
@@ -10,17 +59,50 @@ const subReplySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // How comment is written; commentHtml is its sanitized rendering
+  format: {
+    type: String,
+    enum: markdown.FORMATS,
+    default: 'plain'
+  },
+  commentHtml: {
+    type: String,
+    default: null
+  },
   attachments: [{
     type: String
   }],
+  quote: {
+    type: quoteSchema,
+    default: null
+  },
+  // IDs of the users mentioned with @username
+  mentions: [{
+    type: Number
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Held by content screening (inactive until an admin approves it)
+  heldForReview: {
+    type: Boolean,
+    default: false
+  },
   dateCreated: {
     type: Date,
     default: Date.now
   },
+  dateModified: {
+    type: Date,
+    default: null
+  },
+  editHistory: [editHistorySchema],
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
   // Support nested replies recursively - reference itself
   replies: [{
     type: mongoose.Schema.Types.Mixed
@@ -43,20 +125,58 @@ const replySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // How comment is written; commentHtml is its sanitized rendering
+  format: {
+    type: String,
+    enum: markdown.FORMATS,
+    default: 'plain'
+  },
+  commentHtml: {
+    type: String,
+    default: null
+  },
   attachments: [{
     type: String
   }],
+  quote: {
+    type: quoteSchema,
+    default: null
+  },
+  // IDs of the users mentioned with @username
+  mentions: [{
+    type: Number
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Held by content screening (inactive until an admin approves it)
+  heldForReview: {
+    type: Boolean,
+    default: false
+  },
   dateCreated: {
     type: Date,
     default: Date.now,
     index: true
   },
+  dateModified: {
+    type: Date,
+    default: null
+  },
+  editHistory: [editHistorySchema],
+  // Per-type reaction totals, maintained by the reaction service
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
   // Bonus: Nested replies
-  replies: [subReplySchema]
+  replies: [subReplySchema],
+  // IDs of every nested reply in the tree, for lookups by nested ID
+  nestedIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
 }, {
   timestamps: false,
   toJSON: {
@@ -65,14 +185,29 @@ const replySchema = new mongoose.Schema({
       ret.replyId = ret._id;
       delete ret._id;
       delete ret.__v;
+      // Exposed as a reactions summary by the controllers
+      delete ret.reactionCounts;
+      if (ret.comment !== undefined) {
+        ret.commentHtml = markdown.htmlFor(ret.comment, ret.format, ret.commentHtml);
+      }
       return ret;
     }
   }
 });
 
+// Nested replies are rendered when written (see the reply controller)
+replySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('comment') || this.isModified('format') || this.commentHtml === null) {
+    this.commentHtml = markdown.render(this.comment, this.format);
+  }
+  next();
+});
+
 // Indexes
 replySchema.index({ postId: 1, dateCreated: -1 });
 replySchema.index({ postId: 1, isActive: 1 });
+replySchema.index({ postId: 1, isActive: 1, dateCreated: -1, _id: -1 });
+replySchema.index({ nestedIds: 1 });
 
 const Reply = mongoose.model('Reply', replySchema);
 
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS } = require('../utils/reportReasons');
+
+// One user's report of a post, reply or nested reply
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'reply', 'nested'],
+    required: true
+  },
+  // Post _id, reply _id or nested reply _id
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Top-level reply holding a nested reply
+  parentReplyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reporterId: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    default: null,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Set when an admin closes the report
+  resolvedBy: {
+    type: Number,
+    default: null
+  },
+  // Action taken ('none', 'ban', 'delete') or 'dismissed'
+  resolution: {
+    type: String,
+    default: null
+  },
+  // The admin's free-text note on closing, if any
+  resolutionNote: {
+    type: String,
+    default: null
+  },
+  dateResolved: {
+    type: Date,
+    default: null
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.reportId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A user has at most one open report per target
+reportSchema.index(
+  { targetId: 1, reporterId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+// Moderation queue: open reports grouped by target
+reportSchema.index({ status: 1, targetId: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Time-limited lock so only one service instance runs a periodic task at a time
+const schedulerLeaseSchema = new mongoose.Schema({
+  // Task name, e.g. 'publish-scheduled-posts'
+  _id: {
+    type: String
+  },
+  // Instance currently holding the lease
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+const SchedulerLease = mongoose.model('SchedulerLease', schedulerLeaseSchema);
+
+module.exports = SchedulerLease;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// How long live events stay available for Last-Event-ID resumption (MongoDB bus)
+const RETENTION_SECONDS = parseInt(process.env.STREAM_RETENTION_SECONDS) || 60 * 60;
+
+// A live update fanned out to the SSE streams of every instance
+const streamEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  postId: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+streamEventSchema.index({ dateCreated: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const StreamEvent = mongoose.model('StreamEvent', streamEventSchema);
+
+module.exports = StreamEvent;
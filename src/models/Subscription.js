@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A user following a post, with how far they have read its replies
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // False once the user unsubscribes; authoring or replying does not re-subscribe them
+  subscribed: {
+    type: Boolean,
+    default: true
+  },
+  // Post.replySequence when the user last read the post
+  lastReadSequence: {
+    type: Number,
+    default: 0
+  },
+  lastReadAt: {
+    type: Date,
+    default: null
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.subscriptionId = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+subscriptionSchema.index({ userId: 1, postId: 1 }, { unique: true });
+// Subscribed feed of a user
+subscriptionSchema.index({ userId: 1, subscribed: 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const express = require('express');
+const Post = require('../../models/Post');
+const replyCounter = require('../../services/replyCounter');
+
+jest.mock('../../models/Post', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../services/moderationLog', () => ({
+  record: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../services/replyCounter', () => ({
+  runInTransaction: jest.fn().mockImplementation(work => work(null)),
+  recountPost: jest.fn().mockResolvedValue({ postId: 'p1', previous: 1, replyCount: 1 })
+}));
+
+const postRoutes = require('../postRoutes');
+const reportRoutes = require('../reportRoutes');
+const eventRoutes = require('../eventRoutes');
+const categoryRoutes = require('../categoryRoutes');
+const errorHandler = require('../../middleware/errorHandler');
+const { createAuthenticate } = require('../../middleware/authenticate');
+
+const SECRET = 'test-secret';
+
+const signToken = (claims) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${input}.${crypto.createHmac('sha256', SECRET).update(input).digest('base64url')}`;
+};
+
+// Bearer token for a user ID and role
+const as = (userId, userType = 'user') => ({ authorization: `Bearer ${signToken({ userId, userType, exp: Math.floor(Date.now() / 1000) + 3600 })}` });
+
+// findById result usable both awaited directly and as .select().lean()
+const asQuery = (doc) => {
+  const query = Promise.resolve(doc);
+  query.select = () => query;
+  query.lean = () => query;
+  return query;
+};
+
+describe('route authorization', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use(createAuthenticate({ mode: 'jwt', secret: SECRET }));
+    app.use('/posts', postRoutes);
+    app.use('/reports', reportRoutes);
+    app.use('/events', eventRoutes);
+    app.use('/categories', categoryRoutes);
+    app.use(errorHandler);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const request = (method, path, headers = {}, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  test('anonymous callers get 401', async () => {
+    const res = await request('PUT', '/posts/p1/ban');
+
+    expect(res.status).toBe(401);
+    expect(await res.json()).toEqual({ error: 'Authentication required' });
+    expect(Post.findById).not.toHaveBeenCalled();
+  });
+
+  test('raw identity headers are not trusted', async () => {
+    const res = await request('PUT', '/posts/p1/ban', { 'x-user-id': '1', 'x-user-type': 'admin' });
+
+    expect(res.status).toBe(401);
+    expect(Post.findById).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['PUT', '/posts/p1/ban'],
+    ['PUT', '/posts/p1/unban'],
+    ['PUT', '/posts/p1/recover'],
+    ['GET', '/posts/banned'],
+    ['GET', '/posts/deleted'],
+    ['POST', '/posts/p1/recount'],
+    ['GET', '/reports/queue'],
+    ['POST', '/reports/targets/507f1f77bcf86cd799439011/resolve'],
+    ['GET', '/events/deliveries'],
+    ['POST', '/events/deliveries/507f1f77bcf86cd799439011/replay'],
+    ['PUT', '/posts/p1/pin'],
+    ['PUT', '/posts/p1/feature'],
+    ['PUT', '/posts/p1/lock'],
+    ['DELETE', '/posts/p1/lock'],
+    ['POST', '/categories'],
+    ['PUT', '/categories/help'],
+    ['DELETE', '/categories/help']
+  ])('regular users cannot %s %s', async (method, path) => {
+    const res = await request(method, path, as(2));
+
+    expect(res.status).toBe(403);
+    expect(await res.json()).toEqual({ error: 'Access denied' });
+    expect(Post.findById).not.toHaveBeenCalled();
+    expect(replyCounter.recountPost).not.toHaveBeenCalled();
+  });
+
+  test('moderators cannot recover posts', async () => {
+    const res = await request('PUT', '/posts/p1/recover', as(3, 'moderator'));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('moderators can lock a post', async () => {
+    const post = { status: 'published', isLocked: false, save: jest.fn(), toJSON: () => ({ postId: 'p1', isLocked: true }) };
+    Post.findById.mockReturnValue(asQuery(post));
+
+    const res = await request('PUT', '/posts/p1/lock', as(3, 'moderator'));
+
+    expect(res.status).toBe(200);
+    expect(post).toEqual(expect.objectContaining({ isLocked: true, lockedBy: 3 }));
+  });
+
+  test('admins can ban a published post', async () => {
+    const post = { status: 'published', save: jest.fn(), toJSON: () => ({ postId: 'p1', status: 'banned' }) };
+    Post.findById.mockReturnValue(asQuery(post));
+
+    const res = await request('PUT', '/posts/p1/ban', as(1, 'admin'));
+
+    expect(res.status).toBe(200);
+    expect(post.status).toBe('banned');
+    expect(post.save).toHaveBeenCalled();
+  });
+
+  test('super admins satisfy admin policies', async () => {
+    const res = await request('POST', '/posts/p1/recount', as(1, 'super_admin'));
+
+    expect(res.status).toBe(200);
+    expect(replyCounter.recountPost).toHaveBeenCalledWith('p1');
+  });
+
+  test('only the owner may change a post\'s status', async () => {
+    Post.findById.mockReturnValue(asQuery({ userId: 5 }));
+
+    const res = await request('PUT', '/posts/p1/status', as(6, 'admin'), { status: 'hidden' });
+
+    expect(res.status).toBe(403);
+    expect(await res.json()).toEqual({ error: 'Access denied' });
+  });
+
+  test('owner policies leave missing posts to the handler', async () => {
+    Post.findById.mockReturnValue(asQuery(null));
+
+    const res = await request('DELETE', '/posts/p1', as(6));
+
+    expect(res.status).toBe(404);
+    expect(await res.json()).toEqual({ error: 'Post not found' });
+  });
+});
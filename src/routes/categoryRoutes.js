@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { validateCategory, validateCategoryUpdate } = require('../middleware/validators');
+const { authorize } = require('../middleware/authorize');
+
+// Anyone can list categories; only admins manage them
+router.get('/', categoryController.getCategories);
+router.get('/:id', categoryController.getCategory);
+router.post('/', authorize('admin'), validateCategory, categoryController.createCategory);
+router.put('/:id', authorize('admin'), validateCategoryUpdate, categoryController.updateCategory);
+router.delete('/:id', authorize('admin'), categoryController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { validateDeliveryQuery, validateDeliveryReplay } = require('../middleware/validators');
+const { authorize } = require('../middleware/authorize');
+
+// Webhook outbox (entries are written by the post and reply handlers)
+router.get('/deliveries', authorize('admin'), validateDeliveryQuery, eventController.getDeliveries);
+router.post('/deliveries/replay', authorize('admin'), validateDeliveryReplay, eventController.replayFailedDeliveries);
+router.get('/deliveries/:id', authorize('admin'), eventController.getDelivery);
+router.post('/deliveries/:id/replay', authorize('admin'), eventController.replayDelivery);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderationController');
+const { validateModerationQuery } = require('../middleware/validators');
+const { authorize } = require('../middleware/authorize');
+
+// Moderation log (append-only; written by the post and reply handlers)
+router.get('/logs', authorize('admin'), validateModerationQuery, moderationController.getLogs);
+router.get('/posts/:postId/timeline', authorize('admin'), moderationController.getPostTimeline);
+
+module.exports = router;
@@ -1,33 +1,89 @@
 const express = require('express');
 const router = express.Router();
 const postController = require('../controllers/postController');
-const { validatePost, validatePostUpdate } = require('../middleware/validators');
+const revisionController = require('../controllers/revisionController');
+const reactionController = require('../controllers/reactionController');
+const reportController = require('../controllers/reportController');
+const streamController = require('../controllers/streamController');
+const {
+  validatePost,
+  validatePostUpdate,
+  validateReaction,
+  validateSearch,
+  validateModerationReason,
+  validatePin,
+  validateReport
+} = require('../middleware/validators');
+const { authorize, postOwner } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Public routes (still require auth from gateway)
 router.get('/', postController.getPublishedPosts);
-router.get('/drafts', postController.getUserDrafts);
-router.get('/hidden', postController.getUserHidden);
-router.get('/banned', postController.getBannedPosts);
-router.get('/deleted', postController.getDeletedPosts);
+router.get('/search', validateSearch, postController.searchPosts);
+router.get('/drafts', authorize(), postController.getUserDrafts);
+router.get('/scheduled', authorize(), postController.getScheduledPosts);
+router.get('/hidden', authorize(), postController.getUserHidden);
+router.get('/subscribed', authorize(), postController.getSubscribedPosts);
+router.get('/banned', authorize('admin'), postController.getBannedPosts);
+router.get('/deleted', authorize('admin'), postController.getDeletedPosts);
+router.get('/featured', postController.getFeaturedPosts);
+router.get('/tags/popular', postController.getPopularTags);
+router.get('/stream', streamController.streamPublishedPosts);
 router.get('/:id', postController.getPostById);
 
 // User's top posts
 router.get('/user/:userId/top', postController.getUserTopPosts);
 
 // Create post
-router.post('/', validatePost, postController.createPost);
+router.post('/', authorize(), rateLimit('post'), validatePost, postController.createPost);
 
 // Update post
-router.put('/:id', validatePostUpdate, postController.updatePost);
+router.put('/:id', authorize(postOwner), validatePostUpdate, postController.updatePost);
+
+// Revision history
+router.get('/:id/revisions', revisionController.getRevisions);
+router.get('/:id/revisions/:rev', revisionController.getRevision);
+router.post('/:id/revisions/:rev/rollback', authorize(postOwner, 'admin'), validateModerationReason, revisionController.rollbackRevision);
+
+// Reactions (one per user; PUT sets or replaces, DELETE removes)
+router.put('/:id/reactions', authorize(), validateReaction, reactionController.setPostReaction);
+router.delete('/:id/reactions', authorize(), reactionController.removePostReaction);
+
+// Live updates (Server-Sent Events)
+router.get('/:id/stream', streamController.streamPost);
+
+// Follow a post (authors and repliers are subscribed automatically)
+router.post('/:id/subscribe', authorize(), postController.subscribePost);
+router.delete('/:id/subscribe', authorize(), postController.unsubscribePost);
+
+// Report a post to the moderation queue
+router.post('/:id/report', authorize(), validateReport, reportController.reportPost);
 
 // Status changes
-router.put('/:id/status', postController.updatePostStatus);
-router.put('/:id/archive', postController.toggleArchive);
-router.put('/:id/ban', postController.banPost);
-router.put('/:id/unban', postController.unbanPost);
-router.put('/:id/recover', postController.recoverPost);
+router.put('/:id/status', authorize(postOwner), validateModerationReason, postController.updatePostStatus);
+router.put('/:id/archive', authorize(postOwner), validateModerationReason, postController.toggleArchive);
+router.put('/:id/ban', authorize('admin'), validateModerationReason, postController.banPost);
+router.put('/:id/approve', authorize('admin'), validateModerationReason, postController.approvePost);
+router.put('/:id/unban', authorize('admin'), validateModerationReason, postController.unbanPost);
+router.put('/:id/recover', authorize('admin'), validateModerationReason, postController.recoverPost);
+
+// Pinned and featured posts (Admin only)
+router.put('/:id/pin', authorize('admin'), validatePin, postController.pinPost);
+router.delete('/:id/pin', authorize('admin'), validateModerationReason, postController.unpinPost);
+router.put('/:id/feature', authorize('admin'), validateModerationReason, postController.featurePost);
+router.delete('/:id/feature', authorize('admin'), validateModerationReason, postController.unfeaturePost);
+
+// Locked posts take no new replies (Moderator and above)
+router.put('/:id/lock', authorize('moderator'), validateModerationReason, postController.lockPost);
+router.delete('/:id/lock', authorize('moderator'), validateModerationReason, postController.unlockPost);
+
+// Cancel scheduled publishing
+router.delete('/:id/schedule', authorize(postOwner), postController.cancelSchedule);
+
+// Reply counter repair
+router.post('/:id/recount', authorize('admin'), postController.recountReplies);
 
 // Delete post
-router.delete('/:id', postController.deletePost);
+router.delete('/:id', authorize(postOwner), validateModerationReason, postController.deletePost);
 
 module.exports = router;
@@ -1,21 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const replyController = require('../controllers/replyController');
-const { validateReply } = require('../middleware/validators');
+const reactionController = require('../controllers/reactionController');
+const reportController = require('../controllers/reportController');
+const {
+  validateReply,
+  validateReplyUpdate,
+  validateReaction,
+  validateModerationReason,
+  validateReport
+} = require('../middleware/validators');
+const { authorize, replyOwner } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Replies mentioning the caller
+router.get('/mentions/me', authorize(), replyController.getMyMentions);
 
 // Get replies for a post
 router.get('/post/:postId', replyController.getRepliesByPost);
 
 // Create reply
-router.post('/post/:postId', validateReply, replyController.createReply);
+router.post('/post/:postId', authorize(), rateLimit('reply'), validateReply, replyController.createReply);
 
 // Create sub-reply (Bonus)
-router.post('/:replyId/sub', validateReply, replyController.createSubReply);
+router.post('/:replyId/sub', authorize(), rateLimit('reply'), validateReply, replyController.createSubReply);
+
+// Nested replies addressed by their stable ID
+router.post('/nested/:nestedId/sub', authorize(), rateLimit('reply'), validateReply, replyController.createNestedSubReply);
+router.put('/nested/:nestedId', authorize(), validateReplyUpdate, replyController.updateNestedReply);
+router.delete('/nested/:nestedId', authorize(), validateModerationReason, replyController.deleteNestedReply);
+router.put('/nested/:nestedId/approve', authorize('admin'), validateModerationReason, replyController.approveNestedReply);
+
+// Reactions (one per user; PUT sets or replaces, DELETE removes)
+router.put('/nested/:nestedId/reactions', authorize(), validateReaction, reactionController.setNestedReaction);
+router.delete('/nested/:nestedId/reactions', authorize(), reactionController.removeNestedReaction);
+router.put('/:id/reactions', authorize(), validateReaction, reactionController.setReplyReaction);
+router.delete('/:id/reactions', authorize(), reactionController.removeReplyReaction);
+
+// Report a reply or nested reply (either ID) to the moderation queue
+router.post('/:id/report', authorize(), validateReport, reportController.reportReply);
+
+// Update nested reply (legacy, by targetPath)
+router.put('/:parentReplyId/nested', authorize(), validateReplyUpdate, replyController.updateNestedReply);
+
+// Approve a reply held by content screening
+router.put('/:id/approve', authorize('admin'), validateModerationReason, replyController.approveReply);
+
+// Update reply
+router.put('/:id', authorize(replyOwner), validateReplyUpdate, replyController.updateReply);
 
-// Delete nested reply
-router.delete('/:parentReplyId/nested', replyController.deleteNestedReply);
+// Delete nested reply (legacy, by targetPath)
+router.delete('/:parentReplyId/nested', authorize(), validateModerationReason, replyController.deleteNestedReply);
 
-// Delete reply
-router.delete('/:id', replyController.deleteReply);
+// Delete reply (author, post owner or admin; checked in the handler)
+router.delete('/:id', authorize(), validateModerationReason, replyController.deleteReply);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { validateReportQueue, validateReportResolution } = require('../middleware/validators');
+const { authorize } = require('../middleware/authorize');
+
+// Moderation queue (reports are filed via POST /posts/:id/report and /replies/:id/report)
+router.get('/queue', authorize('admin'), validateReportQueue, reportController.getQueue);
+router.get('/targets/:targetId', authorize('admin'), reportController.getTargetReports);
+router.post('/targets/:targetId/resolve', authorize('admin'), validateReportResolution, reportController.resolveReports);
+router.post('/targets/:targetId/dismiss', authorize('admin'), validateReportResolution, reportController.dismissReports);
+
+module.exports = router;
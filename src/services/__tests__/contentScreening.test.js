@@ -0,0 +1,84 @@
+const contentScreening = require('../contentScreening');
+
+describe('contentScreening', () => {
+  beforeEach(() => {
+    contentScreening.configure(contentScreening.createRules({ bannedWords: ['darn', 'heck'] }));
+  });
+
+  afterAll(() => {
+    contentScreening.configure(null);
+  });
+
+  test('allows ordinary content unchanged', () => {
+    const result = contentScreening.screen({ title: 'Hello', content: 'Visit https://example.com for details.' });
+
+    expect(result).toEqual({ action: 'allow', fields: { title: 'Hello', content: 'Visit https://example.com for details.' }, violations: [] });
+  });
+
+  test('masks banned words as whole words only', () => {
+    const result = contentScreening.screen({ comment: 'Darn, heckling is fine but heck no.' });
+
+    expect(result.action).toBe('mask');
+    expect(result.fields.comment).toBe('****, heckling is fine but **** no.');
+  });
+
+  test('holds link spam and repeated text', () => {
+    const links = contentScreening.screen({ content: 'http://a.io http://b.io www.c.io https://d.io' });
+    const repeated = contentScreening.screen({ content: 'click here click here click here click here click here' });
+    const stretched = contentScreening.screen({ content: 'hello!!!!!!!!!!!!!!!!' });
+
+    expect(links.action).toBe('hold');
+    expect(contentScreening.describe(links)).toEqual(['excessive_links']);
+    expect(contentScreening.describe(repeated)).toEqual(['repeated_text']);
+    expect(stretched.action).toBe('hold');
+  });
+
+  test('allows markdown rules, tables and code with long character runs', () => {
+    const table = [
+      'Results',
+      '===============',
+      '',
+      '| Name                 | Score |',
+      '|----------------------|------:|',
+      '| alpha                |     1 |',
+      '',
+      '```',
+      '// ==================',
+      '```'
+    ].join('\n');
+
+    expect(contentScreening.screen({ content: table }).action).toBe('allow');
+    expect(contentScreening.screen({ content: `${table}\nwhat??????????????????` }).action).toBe('hold');
+  });
+
+  test('rejects all-caps text long enough to judge', () => {
+    expect(contentScreening.screen({ content: 'READ THIS RIGHT NOW PLEASE' }).action).toBe('reject');
+    expect(contentScreening.screen({ content: 'OK THANKS' }).action).toBe('allow');
+  });
+
+  test('the strictest violated policy wins and masking still applies', () => {
+    const result = contentScreening.screen({ title: 'darn', content: 'WHAT THE DARN IS GOING ON HERE' });
+
+    expect(result.action).toBe('reject');
+    expect(result.fields.title).toBe('****');
+    expect(result.violations).toEqual([
+      { rule: 'banned_words', field: 'title', policy: 'mask' },
+      { rule: 'banned_words', field: 'content', policy: 'mask' },
+      { rule: 'all_caps', field: 'content', policy: 'reject' }
+    ]);
+    expect(contentScreening.describe(result)).toEqual(['all_caps']);
+  });
+
+  test('rules can be switched off or replaced by custom ones', () => {
+    contentScreening.configure(contentScreening.createRules({ capsPolicy: 'off' }));
+    contentScreening.addRule({ name: 'no_crypto', policy: 'hold', check: text => /crypto/i.test(text) });
+
+    expect(contentScreening.screen({ content: 'READ THIS RIGHT NOW PLEASE' }).action).toBe('allow');
+    expect(contentScreening.screen({ content: 'Free crypto' }).action).toBe('hold');
+  });
+
+  test('refuses policies a rule cannot apply', () => {
+    expect(() => contentScreening.createRules({ linksPolicy: 'mask' })).toThrow('cannot mask');
+    expect(() => contentScreening.createRules({ capsPolicy: 'ban' })).toThrow('Unknown screening policy');
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../models/OutboxEvent', () => ({
+  insertMany: jest.fn().mockResolvedValue([]),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 })
+}));
+
+const OutboxEvent = require('../../models/OutboxEvent');
+const eventOutbox = require('../eventOutbox');
+
+describe('eventOutbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventOutbox.configure([
+      { url: 'https://a.example.com/hook', secret: 'a' },
+      { url: 'https://b.example.com/hook', secret: 'b', events: ['post.banned'] }
+    ]);
+  });
+
+  afterAll(() => {
+    eventOutbox.configure(null);
+  });
+
+  test('queues one entry per subscribed endpoint in the caller\'s session', async () => {
+    const session = { id: 's1' };
+
+    await eventOutbox.emit('reply.created', { postId: 'p1' }, session);
+
+    const [docs, options] = OutboxEvent.insertMany.mock.calls[0];
+    expect(docs).toEqual([expect.objectContaining({
+      type: 'reply.created',
+      endpoint: 'https://a.example.com/hook',
+      payload: { postId: 'p1' },
+      eventId: expect.any(String)
+    })]);
+    expect(options).toEqual({ session });
+  });
+
+  test('writes nothing without subscribers', async () => {
+    eventOutbox.configure([]);
+
+    await eventOutbox.emit('post.deleted', { postId: 'p1' });
+
+    expect(OutboxEvent.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('refuses broken endpoint configuration', () => {
+    expect(() => eventOutbox.configure([{ url: 'ftp://x', secret: 'a' }])).toThrow('Invalid webhook endpoint URL');
+    expect(() => eventOutbox.configure([{ url: 'https://x.example.com' }])).toThrow('has no secret');
+    expect(() => eventOutbox.configure([{ url: 'https://x.example.com', secret: 'a', events: ['post.liked'] }]))
+      .toThrow('Unknown webhook event type');
+  });
+
+  test('tells the post author and the parent reply author about a sub-reply, but not its writer', () => {
+    const subReply = { _id: 'n2', userId: 7, comment: 'Me too' };
+    const topLevelReply = { _id: 'r1', userId: 5, replies: [{ _id: 'n1', userId: 6, replies: [subReply] }] };
+
+    const data = eventOutbox.subReplyEvent({ _id: 'p1', userId: 7 }, topLevelReply, subReply);
+
+    expect(data).toEqual(expect.objectContaining({
+      replyId: 'r1',
+      nestedId: 'n2',
+      parentId: 'n1',
+      parentAuthorId: 6,
+      postAuthorId: 7,
+      notify: [6]
+    }));
+  });
+
+  test('replays only failed deliveries', async () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    await eventOutbox.replay('d1', now);
+
+    expect(OutboxEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'd1', status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, lockedUntil: null }, $inc: { replayCount: 1 } },
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../../models/SchedulerLease', () => ({
+  findOneAndUpdate: jest.fn()
+}));
+
+const SchedulerLease = require('../../models/SchedulerLease');
+const leasedTask = require('../leasedTask');
+
+describe('leasedTask', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('acquireLease returns false while another instance holds the lease', async () => {
+    SchedulerLease.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+    await expect(leasedTask.acquireLease('task', 'me', 1000)).resolves.toBe(false);
+  });
+
+  test('acquireLease takes an expired or own lease', async () => {
+    SchedulerLease.findOneAndUpdate.mockResolvedValue({ _id: 'task', owner: 'me' });
+
+    await expect(leasedTask.acquireLease('task', 'me', 1000)).resolves.toBe(true);
+    const [filter, , options] = SchedulerLease.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'task', $or: [{ owner: 'me' }, { expiresAt: { $lte: expect.any(Date) } }] });
+    expect(options).toEqual(expect.objectContaining({ upsert: true }));
+  });
+
+  test('runOnce runs the task under a lease held for two intervals', async () => {
+    SchedulerLease.findOneAndUpdate.mockResolvedValue({});
+    const run = jest.fn().mockResolvedValue(['done']);
+    const task = leasedTask.createLeasedTask({ name: 'task', label: 'Task', interval: 1000, run });
+
+    const before = Date.now();
+    await expect(task.runOnce()).resolves.toEqual(['done']);
+
+    const [, update] = SchedulerLease.findOneAndUpdate.mock.calls[0];
+    expect(update.$set.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('runOnce returns idle when the task fails', async () => {
+    SchedulerLease.findOneAndUpdate.mockResolvedValue({});
+    const run = jest.fn().mockRejectedValue(new Error('boom'));
+    const task = leasedTask.createLeasedTask({ name: 'task', label: 'Task', interval: 1000, run, idle: null });
+
+    await expect(task.runOnce()).resolves.toBeNull();
+  });
+});
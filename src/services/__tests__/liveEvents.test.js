@@ -0,0 +1,79 @@
+const liveEvents = require('../liveEvents');
+
+describe('liveEvents', () => {
+  describe('memory bus', () => {
+    test('delivers events to every subscriber until it unsubscribes', async () => {
+      const bus = liveEvents.createMemoryBus();
+      const first = jest.fn();
+      const second = jest.fn();
+      const unsubscribe = bus.subscribe(first);
+      bus.subscribe(second);
+
+      await bus.publish({ type: 'reply.created', postId: 'p1', data: { replyId: 'r1' } });
+      unsubscribe();
+      await bus.publish({ type: 'reply.deleted', postId: 'p1', data: { replyId: 'r1' } });
+
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(first).toHaveBeenCalledWith(expect.objectContaining({ type: 'reply.created', postId: 'p1', id: expect.any(String) }));
+      expect(second).toHaveBeenCalledTimes(2);
+    });
+
+    test('a failing listener does not stop the others', async () => {
+      const bus = liveEvents.createMemoryBus();
+      const listener = jest.fn();
+      bus.subscribe(() => { throw new Error('closed'); });
+      bus.subscribe(listener);
+
+      await bus.publish({ type: 'post.status', postId: 'p1', data: {} });
+
+      expect(listener).toHaveBeenCalled();
+    });
+
+    test('replays the events after a known ID, null once it has been evicted', async () => {
+      const bus = liveEvents.createMemoryBus({ bufferSize: 2 });
+      const ids = [];
+      bus.subscribe(event => ids.push(event.id));
+
+      await bus.publish({ type: 'reply.created', postId: 'p1', data: { n: 1 } });
+      await bus.publish({ type: 'reply.created', postId: 'p1', data: { n: 2 } });
+      expect((await bus.since(ids[0])).map(event => event.data.n)).toEqual([2]);
+
+      await bus.publish({ type: 'reply.created', postId: 'p1', data: { n: 3 } });
+      expect(await bus.since(ids[0])).toBeNull();
+      expect(await bus.since('unknown')).toBeNull();
+      expect(await bus.since(ids[2])).toEqual([]);
+    });
+  });
+
+  describe('publishing', () => {
+    let bus;
+
+    beforeEach(() => {
+      bus = { publish: jest.fn().mockResolvedValue(), subscribe: jest.fn(), since: jest.fn() };
+      liveEvents.configure(bus);
+    });
+
+    afterAll(() => {
+      liveEvents.configure(null);
+    });
+
+    test('a newly published post also goes to the global stream', async () => {
+      await liveEvents.postStatusChanged({ _id: 'p1', userId: 2, title: 'Hello' }, 'unpublished', 'published');
+
+      expect(bus.publish).toHaveBeenCalledWith({ type: 'post.status', postId: 'p1', data: { postId: 'p1', from: 'unpublished', to: 'published' } });
+      expect(bus.publish).toHaveBeenCalledWith({ type: 'post.published', postId: 'p1', data: { postId: 'p1', userId: 2, title: 'Hello' } });
+    });
+
+    test('other status changes stay on the post stream', async () => {
+      await liveEvents.postStatusChanged({ _id: 'p1', userId: 2, title: 'Hello' }, 'published', 'banned');
+
+      expect(bus.publish).toHaveBeenCalledTimes(1);
+    });
+
+    test('bus failures are logged, not thrown', async () => {
+      bus.publish.mockRejectedValue(new Error('down'));
+
+      await expect(liveEvents.replyRemoved('p1', 'r1', 'n1')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../../models/Post', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../services/replyCounter', () => ({
+  runInTransaction: jest.fn().mockImplementation(work => work(null))
+}));
+jest.mock('../../services/moderationLog', () => ({
+  record: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../models/SchedulerLease', () => ({
+  findOneAndUpdate: jest.fn()
+}));
+
+const Post = require('../../models/Post');
+const moderationLog = require('../../services/moderationLog');
+const lockSweeper = require('../lockSweeper');
+
+const findResult = (posts) => ({ select: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue(posts) }) });
+
+describe('lockSweeper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('locks published posts without activity since the cutoff', async () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const cutoff = new Date('2026-05-02T00:00:00Z');
+    Post.find.mockReturnValueOnce(findResult([{ _id: 'p1' }, { _id: 'p2' }]));
+    Post.findOneAndUpdate.mockImplementation(async ({ _id }) => (_id === 'p1' ? { _id } : null));
+
+    const locked = await lockSweeper.lockInactivePosts(now, 30);
+
+    expect(locked).toEqual(['p1']);
+    const [filter] = Post.find.mock.calls[0];
+    expect(filter).toEqual({
+      status: 'published',
+      isLocked: { $ne: true },
+      $and: [
+        { $or: [{ publishedAt: { $lte: cutoff } }, { publishedAt: null, dateCreated: { $lte: cutoff } }] },
+        { $or: [{ lastReplyAt: null }, { lastReplyAt: { $lte: cutoff } }] },
+        { $or: [{ unlockedAt: null }, { unlockedAt: { $lte: cutoff } }] }
+      ]
+    });
+    expect(Post.findOneAndUpdate).toHaveBeenCalledWith(
+      { ...filter, _id: 'p1' },
+      { $set: { isLocked: true, lockReason: 'Locked automatically after 30 days without activity', lockedBy: 0, lockedAt: now } },
+      { new: true, session: null }
+    );
+    // The post that gained a reply in the meantime is left alone and unlogged
+    expect(moderationLog.record).toHaveBeenCalledTimes(1);
+    expect(moderationLog.record).toHaveBeenCalledWith(
+      { userId: 0, role: 'system' },
+      expect.objectContaining({ action: 'lock', targetId: 'p1', newState: { isLocked: true } }),
+      null
+    );
+  });
+
+  test('does nothing when automatic locking is off', async () => {
+    await expect(lockSweeper.lockInactivePosts(new Date(), 0)).resolves.toEqual([]);
+    expect(Post.find).not.toHaveBeenCalled();
+  });
+});
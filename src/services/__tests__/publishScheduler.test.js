@@ -0,0 +1,63 @@
+jest.mock('../../models/Post', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../models/SchedulerLease', () => ({
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../services/replyCounter', () => ({
+  runInTransaction: jest.fn().mockImplementation(work => work(null))
+}));
+jest.mock('../../services/rankingService', () => ({
+  refreshPostScores: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../services/eventOutbox', () => ({
+  emit: jest.fn().mockResolvedValue(),
+  postEvent: jest.requireActual('../../services/eventOutbox').postEvent
+}));
+
+const Post = require('../../models/Post');
+const SchedulerLease = require('../../models/SchedulerLease');
+const eventOutbox = require('../../services/eventOutbox');
+const rankingService = require('../../services/rankingService');
+const publishScheduler = require('../publishScheduler');
+
+const findResult = (posts) => ({ select: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue(posts) }) });
+
+describe('publishScheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('publishDuePosts publishes due drafts and clears their schedule', async () => {
+    const now = new Date();
+    Post.find.mockReturnValueOnce(findResult([{ _id: 'p1' }, { _id: 'p2' }]));
+    Post.findOneAndUpdate.mockImplementation(async ({ _id }) => ({ _id, userId: 1, title: 'T', status: 'published' }));
+
+    const published = await publishScheduler.publishDuePosts(now);
+
+    expect(published).toEqual(['p1', 'p2']);
+    expect(Post.findOneAndUpdate).toHaveBeenCalledWith(
+      { status: 'unpublished', heldForReview: { $ne: true }, publishAt: { $ne: null, $lte: now }, _id: 'p1' },
+      { $set: { status: 'published', publishAt: null, publishedAt: now, dateModified: now } },
+      { new: true, session: null }
+    );
+    expect(eventOutbox.emit).toHaveBeenCalledWith('post.published', expect.objectContaining({ postId: 'p2', actorId: 0 }), null);
+    expect(rankingService.refreshPostScores).toHaveBeenCalledWith('p1', null);
+  });
+
+  test('publishDuePosts skips a post cancelled in the meantime', async () => {
+    Post.find.mockReturnValueOnce(findResult([{ _id: 'p1' }]));
+    Post.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(publishScheduler.publishDuePosts()).resolves.toEqual([]);
+    expect(eventOutbox.emit).not.toHaveBeenCalled();
+  });
+
+  test('runOnce does nothing without the lease', async () => {
+    SchedulerLease.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+    await expect(publishScheduler.runOnce()).resolves.toEqual([]);
+    expect(Post.find).not.toHaveBeenCalled();
+  });
+});
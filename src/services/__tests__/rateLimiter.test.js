@@ -0,0 +1,89 @@
+const RateLimit = require('../../models/RateLimit');
+const rateLimiter = require('../rateLimiter');
+
+jest.mock('../../models/RateLimit', () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  findById: jest.fn(),
+  deleteOne: jest.fn().mockResolvedValue({})
+}));
+
+// Query result usable with .lean()
+const asQuery = (doc) => ({ lean: () => Promise.resolve(doc) });
+
+const LIMIT = { capacity: 5, perSeconds: 60 };
+const now = new Date('2026-03-01T12:00:00Z');
+
+describe('rateLimiter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('consume', () => {
+    test('a new bucket starts full', async () => {
+      RateLimit.findOneAndUpdate.mockReturnValue(asQuery(null));
+
+      const result = await rateLimiter.consume('bucket:post:user:1', LIMIT, now);
+
+      expect(result).toEqual({ allowed: true, retryAfter: 0 });
+      const [filter, pipeline, options] = RateLimit.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'bucket:post:user:1' });
+      expect(pipeline[0].$set).toEqual(expect.objectContaining({
+        updatedAt: now,
+        expiresAt: new Date(now.getTime() + 60 * 1000)
+      }));
+      expect(options).toEqual({ upsert: true, new: false });
+    });
+
+    test('refuses until the bucket has refilled a whole token', async () => {
+      // 0.5 tokens 3 seconds ago, refilling at 1 token per 12 seconds -> 0.75 now
+      RateLimit.findOneAndUpdate.mockReturnValue(asQuery({ tokens: 0.5, updatedAt: new Date(now.getTime() - 3000) }));
+
+      const result = await rateLimiter.consume('bucket:post:user:1', LIMIT, now);
+
+      expect(result).toEqual({ allowed: false, retryAfter: 3 });
+    });
+
+    test('refills up to capacity', async () => {
+      RateLimit.findOneAndUpdate.mockReturnValue(asQuery({ tokens: 0, updatedAt: new Date(now.getTime() - 3600 * 1000) }));
+
+      expect(await rateLimiter.consume('bucket:post:user:1', LIMIT, now)).toEqual({ allowed: true, retryAfter: 0 });
+    });
+
+    test('retries once when a concurrent upsert created the bucket', async () => {
+      RateLimit.findOneAndUpdate
+        .mockReturnValueOnce({ lean: () => Promise.reject(Object.assign(new Error('dup'), { code: 11000 })) })
+        .mockReturnValueOnce(asQuery({ tokens: 4, updatedAt: now }));
+
+      expect(await rateLimiter.consume('bucket:post:user:1', LIMIT, now)).toEqual({ allowed: true, retryAfter: 0 });
+      expect(RateLimit.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('markSubmission', () => {
+    test('records a first submission', async () => {
+      const result = await rateLimiter.markSubmission('dup:reply:1:abc', 60, now);
+
+      expect(result).toEqual({ duplicate: false });
+      expect(RateLimit.updateOne).toHaveBeenCalledWith(
+        { _id: 'dup:reply:1:abc', expiresAt: { $lte: now } },
+        { $set: { expiresAt: new Date(now.getTime() + 60 * 1000) } },
+        { upsert: true }
+      );
+    });
+
+    test('reports a live duplicate with the time left in its window', async () => {
+      RateLimit.updateOne.mockRejectedValueOnce(Object.assign(new Error('dup'), { code: 11000 }));
+      RateLimit.findById.mockReturnValue(asQuery({ expiresAt: new Date(now.getTime() + 41500) }));
+
+      const result = await rateLimiter.markSubmission('dup:reply:1:abc', 60, now);
+
+      expect(result).toEqual({ duplicate: true, retryAfter: 42 });
+    });
+  });
+
+  test('fingerprint ignores case and spacing', () => {
+    expect(rateLimiter.fingerprint('post', 1, 'Buy  NOW\n')).toBe(rateLimiter.fingerprint('post', 1, 'buy now'));
+    expect(rateLimiter.fingerprint('post', 1, 'buy now')).not.toBe(rateLimiter.fingerprint('post', 2, 'buy now'));
+  });
+});
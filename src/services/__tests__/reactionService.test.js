@@ -0,0 +1,96 @@
+jest.mock('../../models/Post', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../../models/Reply', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../../models/Reaction', () => {
+  const query = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+  return {
+    __query: query,
+    findOne: jest.fn(),
+    findOneAndDelete: jest.fn(),
+    create: jest.fn().mockResolvedValue([]),
+    find: jest.fn()
+  };
+});
+jest.mock('../replyCounter', () => ({
+  runInTransaction: jest.fn().mockImplementation(work => work(null))
+}));
+jest.mock('../rankingService', () => ({
+  refreshPostScores: jest.fn().mockResolvedValue(null)
+}));
+
+const Post = require('../../models/Post');
+const Reaction = require('../../models/Reaction');
+const reactionService = require('../reactionService');
+const rankingService = require('../rankingService');
+
+const postTarget = () => ({
+  targetType: 'post',
+  targetId: 'p1',
+  postId: 'p1',
+  doc: { reactionCounts: new Map([['like', 2]]) }
+});
+
+describe('reactionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('adds a new reaction and increments its count', async () => {
+    Reaction.findOne.mockReturnValue(Reaction.__query(null));
+    Post.findOneAndUpdate.mockResolvedValue({ reactionCounts: new Map([['like', 3]]) });
+
+    const result = await reactionService.setReaction(postTarget(), 7, 'like');
+
+    expect(Reaction.create).toHaveBeenCalledWith([expect.objectContaining({ targetId: 'p1', userId: 7, type: 'like' })], { session: null });
+    expect(Post.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'p1' }, { $inc: { 'reactionCounts.like': 1 } }, expect.any(Object));
+    expect(result).toEqual({ reactionCounts: { like: 3 }, myReaction: 'like' });
+    expect(rankingService.refreshPostScores).toHaveBeenCalledWith('p1', null);
+  });
+
+  test('setting the same reaction again is a no-op', async () => {
+    Reaction.findOne.mockReturnValue(Reaction.__query({ type: 'like' }));
+
+    const result = await reactionService.setReaction(postTarget(), 7, 'like');
+
+    expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(result).toEqual({ reactionCounts: { like: 2 }, myReaction: 'like' });
+  });
+
+  test('switching reaction moves the count', async () => {
+    const existing = { type: 'like', save: jest.fn() };
+    Reaction.findOne.mockReturnValue(Reaction.__query(existing));
+    Post.findOneAndUpdate.mockResolvedValue({ reactionCounts: new Map([['like', 1], ['heart', 1]]) });
+
+    await reactionService.setReaction(postTarget(), 7, 'heart');
+
+    expect(existing.type).toBe('heart');
+    expect(existing.save).toHaveBeenCalled();
+    expect(Post.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'p1' },
+      { $inc: { 'reactionCounts.heart': 1, 'reactionCounts.like': -1 } },
+      expect.any(Object)
+    );
+  });
+
+  test('removing updates nested reply counts in the parent document', async () => {
+    Reaction.findOneAndDelete.mockResolvedValue({ type: 'upvote' });
+    const nestedReply = { reactionCounts: { upvote: 1, like: 1 } };
+    const parentReply = { markModified: jest.fn(), save: jest.fn() };
+
+    const result = await reactionService.removeReaction(
+      { targetType: 'nested', targetId: 'n1', postId: 'p1', parentReply, nestedReply },
+      7
+    );
+
+    expect(parentReply.markModified).toHaveBeenCalledWith('replies');
+    expect(parentReply.save).toHaveBeenCalled();
+    expect(result).toEqual({ reactionCounts: { like: 1 }, myReaction: null });
+  });
+
+  test('summarize drops empty counts and totals the rest', () => {
+    expect(reactionService.summarize(new Map([['like', 2], ['sad', 0], ['heart', 1]]), 'like')).toEqual({
+      counts: { like: 2, heart: 1 },
+      total: 3,
+      myReaction: 'like'
+    });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../models/Subscription', () => ({
+  updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+  findOneAndUpdate: jest.fn(),
+  aggregate: jest.fn()
+}));
+
+const Subscription = require('../../models/Subscription');
+const subscriptionService = require('../subscriptionService');
+
+describe('subscriptionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('auto-subscribing keeps an earlier unsubscribe and only moves the marker forward', async () => {
+    const session = { id: 's1' };
+
+    await subscriptionService.autoSubscribe(2, 'p1', 7, session);
+
+    const [filter, update, options] = Subscription.updateOne.mock.calls[0];
+    expect(filter).toEqual({ userId: 2, postId: 'p1' });
+    expect(update.$setOnInsert).toEqual(expect.objectContaining({ subscribed: true }));
+    expect(update.$set).not.toHaveProperty('subscribed');
+    expect(update.$max).toEqual({ lastReadSequence: 7 });
+    expect(options).toEqual({ upsert: true, session });
+  });
+
+  test('a new subscription starts with existing replies read', async () => {
+    await subscriptionService.subscribe(2, { _id: 'p1', replySequence: 12 });
+
+    const [, update, options] = Subscription.findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toEqual({ subscribed: true });
+    expect(update.$setOnInsert).toEqual(expect.objectContaining({ lastReadSequence: 12 }));
+    expect(options).toEqual({ upsert: true, new: true });
+  });
+
+  test('markRead never creates a subscription and never throws', async () => {
+    Subscription.updateOne.mockRejectedValueOnce(new Error('down'));
+
+    await expect(subscriptionService.markRead(2, { _id: 'p1', replySequence: 3 })).resolves.toBeUndefined();
+    expect(Subscription.updateOne.mock.calls[0][2]).toBeUndefined();
+  });
+
+  test('getFeed pages published posts and can keep only unread ones', async () => {
+    Subscription.aggregate.mockResolvedValue([{ items: [{ newReplies: 2 }], total: [{ count: 5 }] }]);
+
+    const feed = await subscriptionService.getFeed(2, { page: 2, limit: 1, unreadOnly: true });
+
+    expect(feed).toEqual({ items: [{ newReplies: 2 }], total: 5 });
+    const pipeline = Subscription.aggregate.mock.calls[0][0];
+    expect(pipeline).toContainEqual({ $match: { 'post.status': 'published' } });
+    expect(pipeline).toContainEqual({ $match: { newReplies: { $gt: 0 } } });
+    expect(pipeline[pipeline.length - 1].$facet.items).toEqual([{ $skip: 1 }, { $limit: 1 }]);
+  });
+});
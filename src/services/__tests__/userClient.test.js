@@ -0,0 +1,108 @@
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+const axios = require('axios');
+
+const user = (id) => ({ user_id: id, first_name: `F${id}`, last_name: `L${id}`, profile_image_url: null });
+const serverError = () => Object.assign(new Error('boom'), { response: { status: 500 } });
+
+// Fresh module per test so cache, breaker and batch support start clean
+const loadClient = () => {
+  let client;
+  jest.isolateModules(() => {
+    client = require('../userClient');
+  });
+  return client;
+};
+
+describe('userClient', () => {
+  beforeAll(() => {
+    process.env.USER_SERVICE_RETRY_DELAY_MS = '1';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('coalesces same-tick getUserById calls into one batch request', async () => {
+    const userClient = loadClient();
+    axios.post.mockResolvedValue({ data: [user(1), user(2)] });
+
+    const [a, b, c] = await Promise.all([
+      userClient.getUserById(1),
+      userClient.getUserById(2),
+      userClient.getUserById(1)
+    ]);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][1]).toEqual({ ids: [1, 2] });
+    expect(a.first_name).toBe('F1');
+    expect(b.first_name).toBe('F2');
+    expect(c).toBe(a);
+  });
+
+  test('serves cached users and shares in-flight lookups', async () => {
+    const userClient = loadClient();
+    axios.post.mockResolvedValue({ data: { users: [user(3)] } });
+
+    const [first, second] = await Promise.all([
+      userClient.getUsersByIds([3]),
+      userClient.getUsersByIds([3])
+    ]);
+    const third = await userClient.getUsersByIds([3]);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(first.get(3)).toEqual(user(3));
+    expect(second.get(3)).toEqual(user(3));
+    expect(third.get(3)).toEqual(user(3));
+  });
+
+  test('falls back to single lookups when the batch endpoint is missing', async () => {
+    const userClient = loadClient();
+    axios.post.mockRejectedValue(Object.assign(new Error('not found'), { response: { status: 404 } }));
+    axios.get.mockImplementation((url) => url.endsWith('/5')
+      ? Promise.resolve({ data: user(5) })
+      : Promise.reject(Object.assign(new Error('not found'), { response: { status: 404 } })));
+
+    const users = await userClient.getUsersByIds([5, 6]);
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(users.get(5)).toEqual(user(5));
+    expect(users.get(6)).toBeNull();
+  });
+
+  test('retries server errors with backoff', async () => {
+    const userClient = loadClient();
+    axios.post
+      .mockRejectedValueOnce(serverError())
+      .mockResolvedValueOnce({ data: [user(7)] });
+
+    const users = await userClient.getUsersByIds([7]);
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(users.get(7)).toEqual(user(7));
+  });
+
+  test('opens the circuit after repeated failures and stops calling the service', async () => {
+    const userClient = loadClient();
+    axios.post.mockRejectedValue(serverError());
+
+    for (let id = 10; id < 15; id++) {
+      expect((await userClient.getUsersByIds([id])).get(id)).toBeNull();
+    }
+    const callsBeforeOpen = axios.post.mock.calls.length;
+
+    const users = await userClient.getUsersByIds([20]);
+
+    expect(users.get(20)).toBeNull();
+    expect(axios.post).toHaveBeenCalledTimes(callsBeforeOpen);
+  });
+
+  test('formatUser maps the user service shape', () => {
+    const userClient = loadClient();
+    expect(userClient.formatUser(user(1))).toEqual({ userId: 1, firstName: 'F1', lastName: 'L1', profileImageUrl: null });
+    expect(userClient.formatUser(null)).toBeNull();
+  });
+});
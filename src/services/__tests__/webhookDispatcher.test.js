@@ -0,0 +1,112 @@
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+jest.mock('../../models/OutboxEvent', () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const OutboxEvent = require('../../models/OutboxEvent');
+const eventOutbox = require('../eventOutbox');
+const webhookDispatcher = require('../webhookDispatcher');
+
+const URL = 'https://hooks.example.com/forum';
+const now = new Date('2026-03-01T12:00:00Z');
+
+const claimed = (overrides = {}) => ({
+  _id: 'd1',
+  eventId: 'e1',
+  type: 'reply.created',
+  payload: { postId: 'p1', notify: [1] },
+  endpoint: URL,
+  attempts: 1,
+  dateCreated: now,
+  ...overrides
+});
+
+describe('webhookDispatcher', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventOutbox.configure([{ url: URL, secret: 'shh' }]);
+  });
+
+  afterAll(() => {
+    eventOutbox.configure(null);
+  });
+
+  test('signs the body with the endpoint secret and marks a 2xx as delivered', async () => {
+    axios.post.mockResolvedValue({ status: 204 });
+
+    await expect(webhookDispatcher.deliver(claimed(), now)).resolves.toBe(true);
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const expected = crypto.createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+    expect(url).toBe(URL);
+    expect(JSON.parse(body)).toEqual({ id: 'e1', type: 'reply.created', createdAt: now.toISOString(), data: { postId: 'p1', notify: [1] } });
+    expect(options.headers).toEqual(expect.objectContaining({
+      'X-Webhook-Event': 'reply.created',
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${expected}`
+    }));
+    expect(OutboxEvent.updateOne).toHaveBeenCalledWith(
+      { _id: 'd1', status: 'delivering' },
+      { $set: expect.objectContaining({ status: 'delivered', lastStatusCode: 204, dateDelivered: now }) }
+    );
+  });
+
+  test('schedules a retry with exponential backoff', async () => {
+    axios.post.mockResolvedValue({ status: 503 });
+
+    await expect(webhookDispatcher.deliver(claimed({ attempts: 3 }), now)).resolves.toBe(false);
+
+    expect(OutboxEvent.updateOne).toHaveBeenCalledWith(
+      { _id: 'd1', status: 'delivering' },
+      { $set: expect.objectContaining({
+        status: 'pending',
+        lastError: 'HTTP 503',
+        nextAttemptAt: new Date(now.getTime() + webhookDispatcher.retryDelay(3))
+      }) }
+    );
+    expect(webhookDispatcher.retryDelay(3)).toBe(webhookDispatcher.retryDelay(1) * 4);
+  });
+
+  test('gives up after the last attempt', async () => {
+    axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await webhookDispatcher.deliver(claimed({ attempts: 8 }), now);
+
+    expect(OutboxEvent.updateOne).toHaveBeenCalledWith(
+      { _id: 'd1', status: 'delivering' },
+      { $set: expect.objectContaining({ status: 'failed', lastError: 'connect ECONNREFUSED' }) }
+    );
+  });
+
+  test('fails deliveries to an endpoint that was removed', async () => {
+    await webhookDispatcher.deliver(claimed({ endpoint: 'https://old.example.com' }), now);
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(OutboxEvent.updateOne).toHaveBeenCalledWith(
+      { _id: 'd1', status: 'delivering' },
+      { $set: expect.objectContaining({ status: 'failed', lastError: 'Endpoint is no longer configured' }) }
+    );
+  });
+
+  test('claims due deliveries and stale claims until none are left', async () => {
+    OutboxEvent.findOneAndUpdate
+      .mockResolvedValueOnce(claimed())
+      .mockResolvedValueOnce(null);
+    axios.post.mockResolvedValue({ status: 200 });
+
+    await expect(webhookDispatcher.dispatchDue()).resolves.toEqual({ delivered: 1, failed: 0 });
+
+    const [filter, update] = OutboxEvent.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } },
+      { status: 'delivering', lockedUntil: { $lte: expect.any(Date) } }
+    ]);
+    expect(update.$inc).toEqual({ attempts: 1 });
+  });
+});
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+
+/**
+ * Find a category by its ID or slug
+ */
+function findByRef(ref) {
+  const value = String(ref).trim();
+  return Category.findOne(mongoose.isValidObjectId(value) ? { _id: value } : { slug: value.toLowerCase() });
+}
+
+/**
+ * Published posts per category ID
+ */
+async function getPostCounts() {
+  const rows = await Post.aggregate([
+    { $match: { status: 'published', category: { $ne: null } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.count]));
+}
+
+/**
+ * Most used tags on published posts, optionally within a category
+ */
+async function getPopularTags({ categoryId = null, limit = 20 } = {}) {
+  const match = { status: 'published', tags: { $ne: [] } };
+  if (categoryId) {
+    match.category = categoryId;
+  }
+
+  const rows = await Post.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(row => ({ tag: row._id, count: row.count }));
+}
+
+module.exports = {
+  findByRef,
+  getPostCounts,
+  getPopularTags
+};
@@ -0,0 +1,128 @@
+const Post = require('../models/Post');
+const replyCounter = require('./replyCounter');
+const moderationLog = require('./moderationLog');
+const postStatus = require('./postStatus');
+const eventOutbox = require('./eventOutbox');
+const liveEvents = require('./liveEvents');
+
+// Holds are made by the screening pipeline, not by a user
+const SYSTEM_ACTOR = { userId: 0, role: 'system' };
+
+const HELD_STATE = { isActive: false, heldForReview: true };
+
+const holdReason = (rulesHit) => `Content screening: ${rulesHit.join(', ')}`;
+
+/**
+ * Hold a new or edited post for review: it goes back to draft, loses any
+ * publishing schedule and stays there until an admin approves it
+ * beforeSave(session) is passed on to saveWithLog
+ */
+async function holdPost(post, rulesHit, beforeSave = null) {
+  const previousState = post.isNew ? null : { status: post.status };
+
+  post.status = 'unpublished';
+  post.publishAt = null;
+  post.heldForReview = true;
+
+  await postStatus.saveWithLog(post, SYSTEM_ACTOR, {
+    action: 'hold',
+    previousState,
+    newState: { status: 'unpublished', heldForReview: true },
+    reason: holdReason(rulesHit)
+  }, null, beforeSave);
+
+  if (previousState && previousState.status !== 'unpublished') {
+    await liveEvents.postStatusChanged(post, previousState.status, 'unpublished');
+  }
+}
+
+/**
+ * Mark a reply or nested reply as held (it does not count or show until approved)
+ */
+function markHeld(reply) {
+  Object.assign(reply, HELD_STATE);
+}
+
+/**
+ * Log a hold made while saving a reply, inside the caller's transaction
+ * entry: { targetType, targetId, postId }
+ */
+function recordHold(entry, rulesHit, session = null) {
+  return moderationLog.record(SYSTEM_ACTOR, {
+    action: 'hold',
+    ...entry,
+    newState: HELD_STATE,
+    reason: holdReason(rulesHit)
+  }, session);
+}
+
+/**
+ * Approve a held top-level reply; it and its nested replies start counting
+ * Its reply.created event goes out now rather than when it was written
+ */
+async function approveReply(reply, actor, reason = null) {
+  reply.isActive = true;
+  reply.heldForReview = false;
+  const added = replyCounter.countReplyTree(reply);
+  const post = await Post.findById(reply.postId);
+
+  await replyCounter.runInTransaction(async (session) => {
+    await reply.save({ session });
+    await replyCounter.adjustReplyCount(reply.postId, added, session);
+    await moderationLog.record(actor, {
+      action: 'approve',
+      targetType: 'reply',
+      targetId: reply._id,
+      postId: reply.postId,
+      previousState: HELD_STATE,
+      newState: { isActive: true, heldForReview: false },
+      reason
+    }, session);
+    if (post) {
+      await eventOutbox.emit('reply.created', eventOutbox.replyEvent(post, reply), session);
+    }
+  });
+
+  await liveEvents.replyAdded(reply);
+}
+
+/**
+ * Approve a held nested reply held in parentReply (its subreply.created event goes out now)
+ */
+async function approveNestedReply(parentReply, targetReply, actor, reason = null) {
+  const countBefore = replyCounter.countReplyTree(parentReply);
+  targetReply.isActive = true;
+  targetReply.heldForReview = false;
+  const delta = replyCounter.countReplyTree(parentReply) - countBefore;
+  const post = await Post.findById(parentReply.postId);
+
+  parentReply.markModified('replies');
+
+  await replyCounter.runInTransaction(async (session) => {
+    await parentReply.save({ session });
+    await replyCounter.adjustReplyCount(parentReply.postId, delta, session);
+    await moderationLog.record(actor, {
+      action: 'approve',
+      targetType: 'nested',
+      targetId: targetReply._id,
+      postId: parentReply.postId,
+      previousState: HELD_STATE,
+      newState: { isActive: true, heldForReview: false },
+      reason
+    }, session);
+    if (post) {
+      await eventOutbox.emit('subreply.created', eventOutbox.subReplyEvent(post, parentReply, targetReply), session);
+    }
+  });
+
+  await liveEvents.subReplyAdded(parentReply, targetReply);
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  holdPost,
+  markHeld,
+  recordHold,
+  approveReply,
+  approveNestedReply
+};
@@ -0,0 +1,117 @@
+const rules = require('../utils/screeningRules');
+
+/**
+ * Content screening pipeline run on post and reply submissions
+ *
+ * Every rule checks every text field. The result's action is the strictest
+ * policy among the violated rules: 'reject' (refuse the request), 'hold'
+ * (store the content but keep it out of view until an admin approves it),
+ * 'mask' (store it with the offending words starred out) or 'allow'.
+ */
+
+/**
+ * Settings read from the environment
+ */
+const configFromEnv = () => ({
+  bannedWords: (process.env.CONTENT_BANNED_WORDS || '').split(','),
+  bannedWordsPolicy: process.env.CONTENT_BANNED_WORDS_POLICY || 'mask',
+  maxLinks: parseInt(process.env.CONTENT_MAX_LINKS) || 3,
+  linksPolicy: process.env.CONTENT_LINKS_POLICY || 'hold',
+  maxRepeats: parseInt(process.env.CONTENT_MAX_REPEATS) || 5,
+  repeatPolicy: process.env.CONTENT_REPEAT_POLICY || 'hold',
+  capsRatio: parseFloat(process.env.CONTENT_CAPS_RATIO) || 0.8,
+  capsMinLetters: parseInt(process.env.CONTENT_CAPS_MIN_LETTERS) || 20,
+  capsPolicy: process.env.CONTENT_CAPS_POLICY || 'reject'
+});
+
+/**
+ * Check a rule's policy, throwing on configuration mistakes
+ */
+const checkRule = (rule) => {
+  if (!rules.POLICIES.includes(rule.policy)) {
+    throw new Error(`Unknown screening policy for ${rule.name}: ${rule.policy}`);
+  }
+  if (rule.policy === 'mask' && typeof rule.mask !== 'function') {
+    throw new Error(`Screening rule ${rule.name} cannot mask content`);
+  }
+  return rule;
+};
+
+/**
+ * Build the default rule list
+ */
+const createRules = (overrides = {}) => {
+  const config = { ...configFromEnv(), ...overrides };
+  return [
+    rules.bannedWords({ words: config.bannedWords, policy: config.bannedWordsPolicy }),
+    rules.excessiveLinks({ maxLinks: config.maxLinks, policy: config.linksPolicy }),
+    rules.repeatedText({ maxRepeats: config.maxRepeats, policy: config.repeatPolicy }),
+    rules.allCaps({ ratio: config.capsRatio, minLetters: config.capsMinLetters, policy: config.capsPolicy })
+  ].map(checkRule);
+};
+
+let pipeline = null;
+
+const getPipeline = () => {
+  if (!pipeline) {
+    pipeline = createRules();
+  }
+  return pipeline;
+};
+
+/**
+ * Replace the pipeline (rules built with createRules or custom ones); null restores the default
+ */
+function configure(customRules) {
+  pipeline = customRules ? customRules.map(checkRule) : null;
+}
+
+/**
+ * Append a custom rule to the pipeline
+ */
+function addRule(rule) {
+  getPipeline().push(checkRule(rule));
+}
+
+/**
+ * Screen the text fields of a submission, e.g. { title, content } or { comment }
+ * Returns { action, fields, violations: [{ rule, field, policy }] } where fields
+ * holds the (possibly masked) values to store
+ */
+function screen(fields) {
+  const result = { action: 'allow', fields: { ...fields }, violations: [] };
+  const rank = (policy) => rules.POLICIES.indexOf(policy);
+
+  for (const rule of getPipeline()) {
+    if (rule.policy === 'off') continue;
+
+    for (const [field, text] of Object.entries(result.fields)) {
+      if (typeof text !== 'string' || !text || !rule.check(text)) continue;
+
+      result.violations.push({ rule: rule.name, field, policy: rule.policy });
+      if (rule.policy === 'mask') {
+        result.fields[field] = rule.mask(text);
+      }
+      if (rank(rule.policy) > rank(result.action)) {
+        result.action = rule.policy;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Names of the rules that set the result's action, for responses and log entries
+ */
+const describe = (result) => [...new Set(
+  result.violations.filter(violation => violation.policy === result.action).map(violation => violation.rule)
+)];
+
+module.exports = {
+  createRules,
+  configure,
+  addRule,
+  screen,
+  describe
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const OutboxEvent = require('../models/OutboxEvent');
+const { EVENT_TYPES } = require('../utils/eventTypes');
+const { locateNestedReply } = require('../utils/nestedReplies');
+const { buildExcerpt } = require('./quoteService');
+
+/**
+ * Transactional outbox for domain events
+ *
+ * emit() stores one entry per subscribed webhook endpoint inside the caller's
+ * transaction, so an event exists exactly when the change it describes was
+ * committed and survives a crash before delivery. The webhook dispatcher
+ * delivers the entries afterwards.
+ */
+
+/**
+ * Endpoints read from WEBHOOK_ENDPOINTS, a JSON array of { url, secret, events }
+ * secret defaults to WEBHOOK_SECRET and events to every event type
+ */
+const configFromEnv = () => {
+  const raw = process.env.WEBHOOK_ENDPOINTS;
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid WEBHOOK_ENDPOINTS: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('Invalid WEBHOOK_ENDPOINTS: expected a JSON array');
+  }
+  return parsed.map(endpoint => ({ secret: process.env.WEBHOOK_SECRET, ...endpoint }));
+};
+
+/**
+ * Check an endpoint, throwing on configuration mistakes
+ */
+const checkEndpoint = (endpoint) => {
+  if (!endpoint || !/^https?:\/\//.test(endpoint.url || '')) {
+    throw new Error(`Invalid webhook endpoint URL: ${endpoint && endpoint.url}`);
+  }
+  if (!endpoint.secret) {
+    throw new Error(`Webhook endpoint ${endpoint.url} has no secret (set secret or WEBHOOK_SECRET)`);
+  }
+  const events = endpoint.events || EVENT_TYPES;
+  const unknown = events.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown webhook event type for ${endpoint.url}: ${unknown.join(', ')}`);
+  }
+  return { url: endpoint.url, secret: endpoint.secret, events };
+};
+
+let endpoints = null;
+
+/**
+ * Configured webhook endpoints
+ */
+const getEndpoints = () => {
+  if (!endpoints) {
+    endpoints = configFromEnv().map(checkEndpoint);
+  }
+  return endpoints;
+};
+
+/**
+ * Replace the endpoint list; null restores the one from the environment
+ */
+function configure(customEndpoints) {
+  endpoints = customEndpoints ? customEndpoints.map(checkEndpoint) : null;
+}
+
+/**
+ * Endpoint configured for a URL, or null once it has been removed
+ */
+function findEndpoint(url) {
+  return getEndpoints().find(endpoint => endpoint.url === url) || null;
+}
+
+/**
+ * Queue an event for every endpoint subscribed to its type
+ * Pass the session of the transaction making the change
+ */
+async function emit(type, data, session = null) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const targets = getEndpoints().filter(endpoint => endpoint.events.includes(type));
+  if (targets.length === 0) return;
+
+  const eventId = crypto.randomUUID();
+  const now = new Date();
+  await OutboxEvent.insertMany(targets.map(endpoint => ({
+    eventId,
+    type,
+    payload: data,
+    endpoint: endpoint.url,
+    nextAttemptAt: now,
+    dateCreated: now
+  })), { session });
+}
+
+// Users to tell about new content: the authors it answers, never its own author
+const recipients = (authorId, ...userIds) => [...new Set(userIds.filter(id => id != null && id !== authorId))];
+
+/**
+ * Data of post.published, post.banned and post.deleted
+ */
+const postEvent = (post, actor) => ({
+  postId: post._id,
+  userId: post.userId,
+  title: post.title,
+  status: post.status,
+  actorId: actor.userId
+});
+
+/**
+ * Data of reply.created
+ */
+const replyEvent = (post, reply) => ({
+  postId: post._id,
+  postAuthorId: post.userId,
+  replyId: reply._id,
+  userId: reply.userId,
+  excerpt: buildExcerpt(reply.comment),
+  notify: recipients(reply.userId, post.userId)
+});
+
+/**
+ * Data of subreply.created for subReply, already added under topLevelReply
+ */
+const subReplyEvent = (post, topLevelReply, subReply) => {
+  const location = locateNestedReply(topLevelReply, subReply._id);
+  const parent = location ? location.container : topLevelReply;
+  return {
+    postId: post._id,
+    postAuthorId: post.userId,
+    replyId: topLevelReply._id,
+    nestedId: subReply._id,
+    parentId: parent._id,
+    parentAuthorId: parent.userId,
+    userId: subReply.userId,
+    excerpt: buildExcerpt(subReply.comment),
+    notify: recipients(subReply.userId, post.userId, parent.userId)
+  };
+};
+
+/**
+ * Build the query for GET /events/deliveries filters
+ * filters: { status, type, eventId, endpoint }
+ */
+function buildQuery(filters) {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.type) query.type = filters.type;
+  if (filters.eventId) query.eventId = filters.eventId;
+  if (filters.endpoint) query.endpoint = filters.endpoint;
+  return query;
+}
+
+const replayUpdate = (now) => ({
+  $set: { status: 'pending', attempts: 0, nextAttemptAt: now, lockedUntil: null },
+  $inc: { replayCount: 1 }
+});
+
+/**
+ * Queue a failed delivery again with a fresh set of attempts
+ * Returns the delivery, or null when it does not exist or has not failed
+ */
+async function replay(id, now = new Date()) {
+  return OutboxEvent.findOneAndUpdate({ _id: id, status: 'failed' }, replayUpdate(now), { new: true });
+}
+
+/**
+ * Queue every failed delivery matching filters again; returns how many
+ */
+async function replayFailed(filters = {}, now = new Date()) {
+  const result = await OutboxEvent.updateMany({ ...buildQuery(filters), status: 'failed' }, replayUpdate(now));
+  return result.modifiedCount;
+}
+
+module.exports = {
+  getEndpoints,
+  configure,
+  findEndpoint,
+  emit,
+  postEvent,
+  replyEvent,
+  subReplyEvent,
+  buildQuery,
+  replay,
+  replayFailed
+};
@@ -0,0 +1,76 @@
+const os = require('os');
+const crypto = require('crypto');
+const SchedulerLease = require('../models/SchedulerLease');
+const logger = require('../utils/logger');
+
+// Identifies this instance as a lease owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Take or renew the named lease; false when another instance holds it
+ */
+async function acquireLease(name, owner, ttl) {
+  const now = new Date();
+  try {
+    await SchedulerLease.findOneAndUpdate(
+      { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttl) } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with a live lease held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Periodic in-process task that only the instance holding its lease runs
+ * options: { name (lease name), label (for logs), interval (ms), run, idle }
+ * runOnce resolves to run()'s result, or to idle when it was skipped or failed
+ */
+function createLeasedTask({ name, label, interval, run, idle = [] }) {
+  // Held a little longer than one interval so a slow run keeps its lease
+  const ttl = interval * 2;
+  let timer = null;
+  let running = false;
+
+  async function runOnce() {
+    if (running) return idle;
+    running = true;
+    try {
+      if (!await acquireLease(name, instanceId, ttl)) {
+        return idle;
+      }
+      return await run();
+    } catch (error) {
+      logger.error(`${label} failed: ${error.message}`);
+      return idle;
+    } finally {
+      running = false;
+    }
+  }
+
+  // detail is prepended to the interval in the start log line
+  function start(detail = null) {
+    if (timer) return;
+    timer = setInterval(runOnce, interval);
+    timer.unref();
+    logger.info(`${label} started (${detail ? `${detail}, ` : ''}every ${interval}ms)`);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = {
+  acquireLease,
+  createLeasedTask
+};
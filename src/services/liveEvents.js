@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const StreamEvent = require('../models/StreamEvent');
+const logger = require('../utils/logger');
+const { locateNestedReply } = require('../utils/nestedReplies');
+
+/**
+ * Live event bus behind the SSE streams
+ *
+ * A bus hands events published on any instance to the listeners on every
+ * instance and keeps recent events so a reconnecting client can resume after
+ * its Last-Event-ID. The in-memory bus (default) only reaches the instance it
+ * runs in; the MongoDB bus stores events in a collection and fans them out
+ * with a change stream (needs a replica set). Anything with the same methods
+ * can be plugged in with configure():
+ *
+ *   publish({ type, postId, data })  stores and delivers an event
+ *   subscribe(listener)              listener({ id, type, postId, data }); returns an unsubscribe function
+ *   since(lastEventId)               events after lastEventId, or null when it is no longer retained
+ */
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 1000;
+const REOPEN_DELAY = 1000;
+
+/**
+ * Call every listener, so one failing stream cannot starve the others
+ */
+const dispatch = (listeners, event) => {
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.warn(`Live event listener failed on ${event.type}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Bus for a single instance, keeping the last bufferSize events
+ */
+function createMemoryBus({ bufferSize = BUFFER_SIZE } = {}) {
+  const listeners = new Set();
+  const buffer = [];
+  // IDs from before a restart must not match new events
+  const bootId = crypto.randomBytes(4).toString('hex');
+  let sequence = 0;
+
+  return {
+    async publish(event) {
+      sequence += 1;
+      const stored = { ...event, id: `${bootId}-${sequence}` };
+      buffer.push(stored);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+      dispatch(listeners, stored);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    async since(lastEventId) {
+      const index = buffer.findIndex(event => event.id === lastEventId);
+      return index === -1 ? null : buffer.slice(index + 1);
+    }
+  };
+}
+
+/**
+ * Bus shared by every instance through the streamevents collection
+ * Events are IDed by their ObjectId; at most limit missed events are replayed
+ */
+function createMongoBus({ limit = BUFFER_SIZE } = {}) {
+  const listeners = new Set();
+  let changeStream = null;
+
+  const toEvent = (doc) => ({ id: String(doc._id), type: doc.type, postId: doc.postId, data: doc.data });
+
+  const open = () => {
+    changeStream = StreamEvent.watch([{ $match: { operationType: 'insert' } }]);
+    changeStream.on('change', change => dispatch(listeners, toEvent(change.fullDocument)));
+    changeStream.on('error', (error) => {
+      logger.error(`Live event change stream failed: ${error.message}`);
+      changeStream = null;
+      if (listeners.size > 0) {
+        setTimeout(() => {
+          if (!changeStream && listeners.size > 0) open();
+        }, REOPEN_DELAY).unref();
+      }
+    });
+  };
+
+  return {
+    async publish(event) {
+      await StreamEvent.create({ type: event.type, postId: event.postId, data: event.data });
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!changeStream) open();
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && changeStream) {
+          changeStream.close().catch(() => {});
+          changeStream = null;
+        }
+      };
+    },
+
+    async since(lastEventId) {
+      if (!mongoose.isValidObjectId(lastEventId) || !await StreamEvent.exists({ _id: lastEventId })) {
+        return null;
+      }
+      const docs = await StreamEvent.find({ _id: { $gt: lastEventId } }).sort({ _id: 1 }).limit(limit).lean();
+      return docs.map(toEvent);
+    }
+  };
+}
+
+const createBus = (kind) => {
+  if (kind === 'memory') return createMemoryBus();
+  if (kind === 'mongodb') return createMongoBus();
+  throw new Error(`Unknown STREAM_BUS: ${kind} (expected memory or mongodb)`);
+};
+
+let bus = null;
+
+const getBus = () => {
+  if (!bus) {
+    bus = createBus(process.env.STREAM_BUS || 'memory');
+  }
+  return bus;
+};
+
+/**
+ * Replace the bus; null restores the one selected by STREAM_BUS
+ */
+function configure(customBus) {
+  bus = customBus;
+}
+
+/**
+ * Publish an event for a post's stream
+ * Called after the change is committed; failures are logged, not thrown
+ */
+async function publish(type, postId, data) {
+  try {
+    await getBus().publish({ type, postId: String(postId), data });
+  } catch (error) {
+    logger.warn(`Could not publish live event ${type} for post ${postId}: ${error.message}`);
+  }
+}
+
+const subscribe = (listener) => getBus().subscribe(listener);
+
+const since = (lastEventId) => getBus().since(lastEventId);
+
+/**
+ * A post's status changed; a newly published post also goes to the global stream
+ * from is null for a post created published
+ */
+async function postStatusChanged(post, from, to) {
+  await publish('post.status', post._id, { postId: post._id, from, to });
+  if (to === 'published' && from !== 'published') {
+    await publish('post.published', post._id, { postId: post._id, userId: post.userId, title: post.title });
+  }
+}
+
+const replyData = (reply) => ({
+  userId: reply.userId,
+  comment: reply.comment,
+  attachments: reply.attachments || [],
+  quote: reply.quote || null,
+  dateCreated: reply.dateCreated
+});
+
+/**
+ * A top-level reply became visible
+ */
+const replyAdded = (reply) => publish('reply.created', reply.postId, {
+  postId: reply.postId,
+  replyId: reply._id,
+  ...replyData(reply)
+});
+
+/**
+ * A nested reply under topLevelReply became visible
+ */
+const subReplyAdded = (topLevelReply, subReply) => {
+  const location = locateNestedReply(topLevelReply, subReply._id);
+  return publish('subreply.created', topLevelReply.postId, {
+    postId: topLevelReply.postId,
+    replyId: topLevelReply._id,
+    nestedId: subReply._id,
+    parentId: location ? location.container._id : topLevelReply._id,
+    ...replyData(subReply)
+  });
+};
+
+/**
+ * A reply or nested reply (nestedId) was deleted
+ */
+const replyRemoved = (postId, replyId, nestedId = null) => publish('reply.deleted', postId, { postId, replyId, nestedId });
+
+module.exports = {
+  createMemoryBus,
+  createMongoBus,
+  configure,
+  publish,
+  subscribe,
+  since,
+  postStatusChanged,
+  replyAdded,
+  subReplyAdded,
+  replyRemoved
+};
@@ -0,0 +1,101 @@
+const Post = require('../models/Post');
+const replyCounter = require('./replyCounter');
+const moderationLog = require('./moderationLog');
+const { createLeasedTask } = require('./leasedTask');
+const logger = require('../utils/logger');
+
+const LEASE_NAME = 'lock-inactive-posts';
+// Unset or 0 turns automatic locking off
+const AUTO_LOCK_AFTER_DAYS = parseFloat(process.env.AUTO_LOCK_AFTER_DAYS) || 0;
+const INTERVAL = parseInt(process.env.LOCK_SWEEPER_INTERVAL_MS) || 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Automatic locks are made by the service, not by a moderator
+const SWEEPER_ACTOR = { userId: 0, role: 'system' };
+
+/**
+ * Published, unlocked posts with no reply, publishing or unlock after cutoff
+ */
+const inactiveSince = cutoff => ({
+  status: 'published',
+  isLocked: { $ne: true },
+  $and: [
+    // Posts from before publishedAt was recorded fall back to their creation time
+    { $or: [{ publishedAt: { $lte: cutoff } }, { publishedAt: null, dateCreated: { $lte: cutoff } }] },
+    { $or: [{ lastReplyAt: null }, { lastReplyAt: { $lte: cutoff } }] },
+    // A moderator's unlock gives the post a fresh period
+    { $or: [{ unlockedAt: null }, { unlockedAt: { $lte: cutoff } }] }
+  ]
+});
+
+/**
+ * Lock every post that has been inactive for the given number of days
+ * Returns the IDs of the posts that were locked
+ */
+async function lockInactivePosts(now = new Date(), days = AUTO_LOCK_AFTER_DAYS) {
+  if (!days) return [];
+
+  const stale = inactiveSince(new Date(now.getTime() - days * DAY));
+  const reason = `Locked automatically after ${days} days without activity`;
+  const locked = [];
+
+  for (;;) {
+    const posts = await Post.find(stale).select('_id').limit(BATCH_SIZE);
+    if (posts.length === 0) break;
+
+    for (const { _id } of posts) {
+      // Re-check the conditions so a reply or manual lock in between wins
+      const post = await replyCounter.runInTransaction(async (session) => {
+        const updated = await Post.findOneAndUpdate(
+          { ...stale, _id },
+          { $set: { isLocked: true, lockReason: reason, lockedBy: SWEEPER_ACTOR.userId, lockedAt: now } },
+          { new: true, session }
+        );
+        if (updated) {
+          await moderationLog.record(SWEEPER_ACTOR, {
+            action: 'lock',
+            targetType: 'post',
+            targetId: updated._id,
+            postId: updated._id,
+            previousState: { isLocked: false },
+            newState: { isLocked: true },
+            reason
+          }, session);
+        }
+        return updated;
+      });
+      if (post) {
+        locked.push(post._id);
+      }
+    }
+
+    if (posts.length < BATCH_SIZE) break;
+  }
+
+  locked.forEach(id => logger.info(`Inactive post locked: ${id}`));
+  return locked;
+}
+
+// One tick locks inactive posts if this instance holds the lease
+const task = createLeasedTask({
+  name: LEASE_NAME,
+  label: 'Lock sweeper',
+  interval: INTERVAL,
+  run: () => lockInactivePosts()
+});
+
+/**
+ * Start the in-process sweeper (does nothing unless AUTO_LOCK_AFTER_DAYS is set)
+ */
+function start() {
+  if (!AUTO_LOCK_AFTER_DAYS) return;
+  task.start(`after ${AUTO_LOCK_AFTER_DAYS} days`);
+}
+
+module.exports = {
+  lockInactivePosts,
+  runOnce: task.runOnce,
+  start,
+  stop: task.stop
+};
@@ -0,0 +1,59 @@
+const Mention = require('../models/Mention');
+const userClient = require('./userClient');
+const { extractMentions } = require('../utils/mentions');
+
+/**
+ * IDs of the users a text mentions with @username, resolved through the User Service
+ * Unknown usernames and the author mentioning themselves are ignored
+ */
+async function resolveMentions(text, authorId) {
+  const names = extractMentions(text);
+  if (names.length === 0) return [];
+
+  const users = await userClient.getUsersByUsernames(names);
+  const ids = names
+    .map(name => users.get(name))
+    .filter(Boolean)
+    .map(user => Number(user.user_id));
+  return [...new Set(ids)].filter(id => id !== authorId);
+}
+
+/**
+ * Record mentions of userIds in a reply or nested reply
+ * target: { authorId, postId, replyId, nestedId } (nestedId null for a top-level reply)
+ */
+async function recordMentions(target, userIds, session = null) {
+  if (userIds.length === 0) return;
+
+  await Mention.insertMany(userIds.map(userId => ({
+    userId,
+    authorId: target.authorId,
+    postId: target.postId,
+    replyId: target.replyId,
+    nestedId: target.nestedId || null
+  })), { session });
+}
+
+/**
+ * Bring an edited reply's mentions in line with its new text: users no longer
+ * mentioned are dropped, new ones added, and the rest keep their original date
+ */
+async function updateMentions(target, previousIds, userIds, session = null) {
+  const removed = previousIds.filter(id => !userIds.includes(id));
+  const added = userIds.filter(id => !previousIds.includes(id));
+
+  if (removed.length > 0) {
+    await Mention.deleteMany({
+      replyId: target.replyId,
+      nestedId: target.nestedId || null,
+      userId: { $in: removed }
+    }, { session });
+  }
+  await recordMentions(target, added, session);
+}
+
+module.exports = {
+  resolveMentions,
+  recordMentions,
+  updateMentions
+};
@@ -0,0 +1,52 @@
+const ModerationLog = require('../models/ModerationLog');
+
+/**
+ * Append a moderation log entry for a state change made by actor (req.user)
+ * entry: { action, targetType, targetId, postId, previousState, newState, reason }
+ */
+async function record(actor, entry, session = null) {
+  const [created] = await ModerationLog.create([{
+    actorId: actor.userId,
+    actorRole: actor.role,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    postId: entry.postId,
+    previousState: entry.previousState || null,
+    newState: entry.newState || null,
+    reason: entry.reason || null
+  }], { session });
+  return created;
+}
+
+/**
+ * Build the query for GET /moderation/logs filters
+ * filters: { actorId, action, targetType, targetId, postId, from, to }
+ */
+function buildQuery(filters) {
+  const query = {};
+  if (filters.actorId !== undefined) query.actorId = parseInt(filters.actorId);
+  if (filters.action) query.action = filters.action;
+  if (filters.targetType) query.targetType = filters.targetType;
+  if (filters.targetId) query.targetId = filters.targetId;
+  if (filters.postId) query.postId = filters.postId;
+  if (filters.from || filters.to) {
+    query.dateCreated = {};
+    if (filters.from) query.dateCreated.$gte = new Date(filters.from);
+    if (filters.to) query.dateCreated.$lte = new Date(filters.to);
+  }
+  return query;
+}
+
+/**
+ * All entries for a post and its replies, oldest first
+ */
+async function getPostTimeline(postId) {
+  return ModerationLog.find({ postId }).sort({ dateCreated: 1, _id: 1 });
+}
+
+module.exports = {
+  record,
+  buildQuery,
+  getPostTimeline
+};
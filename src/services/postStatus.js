@@ -0,0 +1,81 @@
+const replyCounter = require('./replyCounter');
+const moderationLog = require('./moderationLog');
+const eventOutbox = require('./eventOutbox');
+const liveEvents = require('./liveEvents');
+const postLifecycle = require('../utils/postLifecycle');
+
+// Moderation log action for each lifecycle transition
+const LOG_ACTIONS = {
+  publish: 'status_change',
+  unpublish: 'status_change',
+  hide: 'status_change',
+  delete: 'delete',
+  recover: 'recover',
+  ban: 'ban',
+  unban: 'unban',
+  approve: 'approve'
+};
+
+/**
+ * Domain event announcing a transition, or null when it has none
+ */
+const eventFor = (action, transition) => {
+  if (action === 'ban') return 'post.banned';
+  if (action === 'delete') return 'post.deleted';
+  if (transition.to === 'published' && transition.from !== 'published') return 'post.published';
+  return null;
+};
+
+/**
+ * Save a post change and its moderation log entry (and event, if any) in one transaction
+ * beforeSave(session) runs first in the same transaction (e.g. storing a revision)
+ */
+const saveWithLog = (post, actor, entry, eventType = null, beforeSave = null) => replyCounter.runInTransaction(async (session) => {
+  if (beforeSave) {
+    await beforeSave(session);
+  }
+  await post.save({ session });
+  await moderationLog.record(actor, {
+    targetType: 'post',
+    targetId: post._id,
+    postId: post._id,
+    ...entry
+  }, session);
+  if (eventType) {
+    await eventOutbox.emit(eventType, eventOutbox.postEvent(post, actor), session);
+  }
+});
+
+/**
+ * Apply a lifecycle transition to a post and save it with its log entry
+ * Returns { from, to }, or { status, error } when the transition is refused
+ */
+async function changeStatus(post, action, actor, reason = null) {
+  const transition = postLifecycle.applyTransition(post, action, actor);
+  if (transition.error) {
+    return transition;
+  }
+
+  // Any status change by hand replaces a pending publishing schedule
+  if (transition.to !== 'unpublished') {
+    post.publishAt = null;
+  }
+
+  await saveWithLog(post, actor, {
+    action: LOG_ACTIONS[action],
+    previousState: { status: transition.from },
+    newState: { status: transition.to },
+    reason
+  }, eventFor(action, transition));
+
+  if (transition.from !== transition.to) {
+    await liveEvents.postStatusChanged(post, transition.from, transition.to);
+  }
+
+  return transition;
+}
+
+module.exports = {
+  saveWithLog,
+  changeStatus
+};
@@ -0,0 +1,71 @@
+const Post = require('../models/Post');
+const replyCounter = require('./replyCounter');
+const eventOutbox = require('./eventOutbox');
+const liveEvents = require('./liveEvents');
+const rankingService = require('./rankingService');
+const { createLeasedTask } = require('./leasedTask');
+const logger = require('../utils/logger');
+
+const LEASE_NAME = 'publish-scheduled-posts';
+const INTERVAL = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 30 * 1000;
+const BATCH_SIZE = 100;
+
+// Scheduled publishing is done by the service, not by a user
+const SCHEDULER_ACTOR = { userId: 0, role: 'system' };
+
+/**
+ * Publish every draft whose publishAt has passed
+ * Returns the IDs of the posts that were published
+ */
+async function publishDuePosts(now = new Date()) {
+  // Posts held by content screening wait for an admin instead
+  const due = { status: 'unpublished', heldForReview: { $ne: true }, publishAt: { $ne: null, $lte: now } };
+  const published = [];
+
+  for (;;) {
+    const posts = await Post.find(due).select('_id').limit(BATCH_SIZE);
+    if (posts.length === 0) break;
+
+    for (const { _id } of posts) {
+      // Re-check the conditions so a cancel or manual publish in between wins;
+      // the post.published event is queued with the change
+      const post = await replyCounter.runInTransaction(async (session) => {
+        const updated = await Post.findOneAndUpdate(
+          { ...due, _id },
+          { $set: { status: 'published', publishAt: null, publishedAt: now, dateModified: now } },
+          { new: true, session }
+        );
+        if (updated) {
+          // Recency now counts from publishing, not from when the draft was written
+          await rankingService.refreshPostScores(updated._id, session);
+          await eventOutbox.emit('post.published', eventOutbox.postEvent(updated, SCHEDULER_ACTOR), session);
+        }
+        return updated;
+      });
+      if (post) {
+        await liveEvents.postStatusChanged(post, 'unpublished', 'published');
+        published.push(post._id);
+      }
+    }
+
+    if (posts.length < BATCH_SIZE) break;
+  }
+
+  published.forEach(id => logger.info(`Scheduled post published: ${id}`));
+  return published;
+}
+
+// One tick publishes due posts if this instance holds the lease
+const task = createLeasedTask({
+  name: LEASE_NAME,
+  label: 'Publish scheduler',
+  interval: INTERVAL,
+  run: () => publishDuePosts()
+});
+
+module.exports = {
+  publishDuePosts,
+  runOnce: task.runOnce,
+  start: () => task.start(),
+  stop: task.stop
+};
@@ -0,0 +1,46 @@
+const Reply = require('../models/Reply');
+const { locateNestedReply } = require('../utils/nestedReplies');
+
+// Longest excerpt stored with a quote
+const EXCERPT_LENGTH = 280;
+
+/**
+ * Quoted text on one line, cut at EXCERPT_LENGTH characters
+ */
+const buildExcerpt = (text) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : flat;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Capture a quote of a post, or of one of its replies or nested replies, as it reads now
+ * Returns { targetType, targetId, userId, excerpt }, or null when quoteId is not
+ * visible content of this post
+ */
+async function resolveQuote(post, quoteId) {
+  if (sameId(post._id, quoteId)) {
+    return { targetType: 'post', targetId: post._id, userId: post.userId, excerpt: buildExcerpt(post.content) };
+  }
+
+  const reply = await Reply.findById(quoteId);
+  if (reply) {
+    if (!reply.isActive || !sameId(reply.postId, post._id)) return null;
+    return { targetType: 'reply', targetId: reply._id, userId: reply.userId, excerpt: buildExcerpt(reply.comment) };
+  }
+
+  const parentReply = await Reply.findOne({ nestedIds: quoteId });
+  if (!parentReply || !parentReply.isActive || !sameId(parentReply.postId, post._id)) return null;
+
+  const location = locateNestedReply(parentReply, quoteId);
+  const nested = location && location.container.replies[location.index];
+  if (!nested || nested.isActive === false) return null;
+
+  return { targetType: 'nested', targetId: nested._id, userId: nested.userId, excerpt: buildExcerpt(nested.comment) };
+}
+
+module.exports = {
+  buildExcerpt,
+  resolveQuote
+};
@@ -0,0 +1,51 @@
+const Post = require('../models/Post');
+const { computeScores } = require('../utils/ranking');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Recompute a post's hot and engagement scores after its counters changed
+ */
+async function refreshPostScores(postId, session = null) {
+  const post = await Post.findById(postId)
+    .select('replyCount reactionCounts publishedAt dateCreated')
+    .session(session);
+  if (!post) return null;
+
+  const scores = computeScores(post);
+  await Post.updateOne({ _id: post._id }, { $set: scores }, { session });
+  return scores;
+}
+
+/**
+ * Recompute the scores of every post (backfill or formula changes)
+ */
+async function refreshAllScores() {
+  let scanned = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Post.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  const cursor = Post.find({}).select('replyCount reactionCounts publishedAt dateCreated').lean().cursor();
+  for await (const post of cursor) {
+    scanned += 1;
+    operations.push({
+      updateOne: { filter: { _id: post._id }, update: { $set: computeScores(post) } }
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { scanned };
+}
+
+module.exports = {
+  refreshPostScores,
+  refreshAllScores
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Run an upsert again when a concurrent request inserted the same key first
+ */
+const retryOnDuplicateKey = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return operation();
+  }
+};
+
+/**
+ * Take one token from a bucket of limit.capacity tokens refilled over limit.perSeconds
+ * The refill and the take happen in one atomic update, so concurrent requests on
+ * several instances cannot both spend the last token
+ * Returns { allowed, retryAfter } with retryAfter in whole seconds (0 when allowed)
+ */
+async function consume(key, limit, now = new Date()) {
+  const rate = limit.capacity / limit.perSeconds;
+
+  const elapsedSeconds = { $max: [0, { $divide: [{ $subtract: [now, { $ifNull: ['$updatedAt', now] }] }, 1000] }] };
+  const available = {
+    $min: [limit.capacity, { $add: [{ $ifNull: ['$tokens', limit.capacity] }, { $multiply: ['$$elapsed', rate] }] }]
+  };
+
+  // Returns the bucket as it was before this request
+  const previous = await retryOnDuplicateKey(() => RateLimit.findOneAndUpdate(
+    { _id: key },
+    [{
+      $set: {
+        tokens: {
+          $let: {
+            vars: { elapsed: elapsedSeconds },
+            in: {
+              $let: {
+                vars: { available },
+                in: { $cond: [{ $gte: ['$$available', 1] }, { $subtract: ['$$available', 1] }, '$$available'] }
+              }
+            }
+          }
+        },
+        updatedAt: now,
+        expiresAt: new Date(now.getTime() + limit.perSeconds * 1000)
+      }
+    }],
+    { upsert: true, new: false }
+  ).lean());
+
+  // Same refill as the update, from the pre-image
+  let tokens = limit.capacity;
+  if (previous) {
+    const elapsed = Math.max(0, (now - previous.updatedAt) / 1000);
+    tokens = Math.min(limit.capacity, previous.tokens + elapsed * rate);
+  }
+
+  if (tokens >= 1) {
+    return { allowed: true, retryAfter: 0 };
+  }
+  return { allowed: false, retryAfter: Math.ceil((1 - tokens) / rate) };
+}
+
+/**
+ * Key identifying a user's submission text for duplicate detection
+ */
+const fingerprint = (action, userId, text) => {
+  const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  const digest = crypto.createHash('sha256').update(normalized).digest('hex');
+  return `dup:${action}:${userId}:${digest}`;
+};
+
+/**
+ * Remember a submission for windowSeconds
+ * Returns { duplicate: false }, or { duplicate: true, retryAfter } when the
+ * same submission was made within the window
+ */
+async function markSubmission(key, windowSeconds, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + windowSeconds * 1000);
+  try {
+    // Only an expired entry (not yet swept by the TTL index) matches; a live one
+    // makes the upsert collide with it
+    await RateLimit.updateOne(
+      { _id: key, expiresAt: { $lte: now } },
+      { $set: { expiresAt } },
+      { upsert: true }
+    );
+    return { duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await RateLimit.findById(key).lean();
+    const remaining = existing ? (existing.expiresAt - now) / 1000 : windowSeconds;
+    return { duplicate: true, retryAfter: Math.max(1, Math.ceil(remaining)) };
+  }
+}
+
+/**
+ * Forget a submission (it failed, so repeating it is not a duplicate)
+ */
+async function releaseSubmission(key) {
+  await RateLimit.deleteOne({ _id: key });
+}
+
+module.exports = {
+  consume,
+  fingerprint,
+  markSubmission,
+  releaseSubmission
+};
@@ -0,0 +1,146 @@
+const Post = require('../models/Post');
+const Reply = require('../models/Reply');
+const Reaction = require('../models/Reaction');
+const { runInTransaction } = require('./replyCounter');
+const rankingService = require('./rankingService');
+
+/**
+ * Read a reactionCounts value (Mongoose Map or plain object from a Mixed path)
+ */
+function countsToObject(counts) {
+  if (!counts) return {};
+  const entries = counts instanceof Map ? [...counts.entries()] : Object.entries(counts);
+  return Object.fromEntries(entries.filter(([, count]) => count > 0));
+}
+
+/**
+ * Apply { type: delta } changes to a reactionCounts value in place
+ */
+function applyDelta(target, delta) {
+  if (!target.reactionCounts) {
+    target.reactionCounts = {};
+  }
+  const counts = target.reactionCounts;
+  Object.entries(delta).forEach(([type, change]) => {
+    if (counts instanceof Map) {
+      counts.set(type, Math.max(0, (counts.get(type) || 0) + change));
+    } else {
+      counts[type] = Math.max(0, (counts[type] || 0) + change);
+    }
+  });
+}
+
+/**
+ * Counts already loaded on the target document
+ */
+function currentCounts(target) {
+  const doc = target.targetType === 'nested' ? target.nestedReply : target.doc;
+  return countsToObject(doc && doc.reactionCounts);
+}
+
+/**
+ * Store the count change on the reacted document
+ * target: { targetType, targetId, postId, parentReply?, nestedReply? }
+ */
+async function updateCounts(target, delta, session) {
+  if (target.targetType === 'nested') {
+    applyDelta(target.nestedReply, delta);
+    target.parentReply.markModified('replies');
+    await target.parentReply.save({ session });
+    return countsToObject(target.nestedReply.reactionCounts);
+  }
+
+  const Model = target.targetType === 'post' ? Post : Reply;
+  const inc = Object.fromEntries(Object.entries(delta).map(([type, change]) => [`reactionCounts.${type}`, change]));
+  const updated = await Model.findOneAndUpdate(
+    { _id: target.targetId },
+    { $inc: inc },
+    { new: true, session, projection: { reactionCounts: 1 } }
+  );
+
+  // Post reactions feed the hot/top rankings
+  if (target.targetType === 'post') {
+    await rankingService.refreshPostScores(target.targetId, session);
+  }
+  return countsToObject(updated && updated.reactionCounts);
+}
+
+/**
+ * Set the user's reaction on a target (replaces a different one, no-op if the same)
+ * Returns { reactionCounts, myReaction }
+ */
+async function setReaction(target, userId, type) {
+  return runInTransaction(async (session) => {
+    const existing = await Reaction.findOne({ targetId: target.targetId, userId }).session(session);
+
+    if (existing && existing.type === type) {
+      return { reactionCounts: currentCounts(target), myReaction: type };
+    }
+
+    const delta = { [type]: 1 };
+    if (existing) {
+      delta[existing.type] = -1;
+      existing.type = type;
+      existing.dateCreated = new Date();
+      await existing.save({ session });
+    } else {
+      await Reaction.create([{
+        targetType: target.targetType,
+        targetId: target.targetId,
+        postId: target.postId,
+        userId,
+        type
+      }], { session });
+    }
+
+    const reactionCounts = await updateCounts(target, delta, session);
+    return { reactionCounts, myReaction: type };
+  });
+}
+
+/**
+ * Remove the user's reaction from a target (no-op if there is none)
+ * Returns { reactionCounts, myReaction }
+ */
+async function removeReaction(target, userId) {
+  return runInTransaction(async (session) => {
+    const existing = await Reaction.findOneAndDelete({ targetId: target.targetId, userId }, { session });
+
+    if (!existing) {
+      return { reactionCounts: currentCounts(target), myReaction: null };
+    }
+
+    const reactionCounts = await updateCounts(target, { [existing.type]: -1 }, session);
+    return { reactionCounts, myReaction: null };
+  });
+}
+
+/**
+ * Get a user's reactions for a set of targets as a Map of targetId -> type
+ */
+async function getUserReactions(userId, targetIds) {
+  const ids = targetIds.filter(Boolean);
+  if (!userId || ids.length === 0) return new Map();
+
+  const reactions = await Reaction.find({ userId, targetId: { $in: ids } }).select('targetId type');
+  return new Map(reactions.map(reaction => [reaction.targetId.toString(), reaction.type]));
+}
+
+/**
+ * Reaction summary embedded in post and reply responses
+ */
+function summarize(reactionCounts, myReaction) {
+  const counts = countsToObject(reactionCounts);
+  return {
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    myReaction: myReaction || null
+  };
+}
+
+module.exports = {
+  setReaction,
+  removeReaction,
+  getUserReactions,
+  summarize
+};
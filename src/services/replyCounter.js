@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Reply = require('../models/Reply');
+const rankingService = require('./rankingService');
+const { countNestedReplies } = require('../utils/nestedReplies');
+const logger = require('../utils/logger');
+
+// Resolved once per process: transactions need a replica set or mongos
+let transactionSupport = null;
+
+async function supportsTransactions() {
+  if (process.env.MONGODB_TRANSACTIONS === 'false') return false;
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.db.admin().command({ hello: 1 })
+      .then(hello => Boolean(hello.setName || hello.msg === 'isdbgrid'))
+      .catch(error => {
+        logger.error(`Could not detect transaction support: ${error.message}`);
+        return false;
+      })
+      .then(supported => {
+        if (!supported) {
+          logger.warn('MongoDB transactions unavailable, reply counters are updated without a session');
+        }
+        return supported;
+      });
+  }
+  return transactionSupport;
+}
+
+/**
+ * Run reply writes and their counter update together
+ * work receives the session (null when transactions are unavailable)
+ */
+async function runInTransaction(work) {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+  return mongoose.connection.transaction(session => work(session));
+}
+
+/**
+ * Number of replies a top-level reply contributes to its post's counter
+ */
+function countReplyTree(reply) {
+  if (!reply || reply.isActive === false) return 0;
+  return 1 + countNestedReplies(reply.replies);
+}
+
+/**
+ * Apply a delta to a post's stored reply counter (and its ranking scores)
+ * Added replies also advance the post's reply sequence and lastReplyAt
+ */
+async function adjustReplyCount(postId, delta, session = null) {
+  if (!delta) return;
+  const update = delta > 0
+    ? { $inc: { replyCount: delta, replySequence: delta }, $set: { lastReplyAt: new Date() } }
+    : { $inc: { replyCount: delta } };
+  await Post.updateOne({ _id: postId }, update, { session });
+  await rankingService.refreshPostScores(postId, session);
+}
+
+/**
+ * Count the active replies of a post from the Reply collection
+ */
+async function computeReplyCount(postId, session = null) {
+  const replies = await Reply.find({ postId, isActive: true })
+    .select('isActive replies')
+    .session(session)
+    .lean();
+  return replies.reduce((total, reply) => total + countReplyTree(reply), 0);
+}
+
+/**
+ * Recompute and store the exact reply counter of one post
+ */
+async function recountPost(postId) {
+  return runInTransaction(async (session) => {
+    const post = await Post.findById(postId).select('replyCount').session(session);
+    if (!post) return null;
+
+    const replyCount = await computeReplyCount(post._id, session);
+    const previous = post.replyCount || 0;
+
+    if (replyCount !== previous) {
+      await Post.updateOne({ _id: post._id }, { $set: { replyCount } }, { session });
+      await rankingService.refreshPostScores(post._id, session);
+    }
+
+    return { postId: post._id, previous, replyCount };
+  });
+}
+
+/**
+ * Recount every post and repair counters that drifted
+ */
+async function recountAllPosts() {
+  let scanned = 0;
+  let repaired = 0;
+
+  const cursor = Post.find({}).select('_id').lean().cursor();
+  for await (const post of cursor) {
+    scanned += 1;
+    const result = await recountPost(post._id);
+    if (result && result.previous !== result.replyCount) {
+      repaired += 1;
+      logger.info(`Reply count repaired for post ${post._id}: ${result.previous} -> ${result.replyCount}`);
+    }
+  }
+
+  return { scanned, repaired };
+}
+
+module.exports = {
+  runInTransaction,
+  countReplyTree,
+  adjustReplyCount,
+  computeReplyCount,
+  recountPost,
+  recountAllPosts
+};
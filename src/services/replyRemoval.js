@@ -0,0 +1,62 @@
+const replyCounter = require('./replyCounter');
+const moderationLog = require('./moderationLog');
+const liveEvents = require('./liveEvents');
+
+/**
+ * Soft delete a top-level reply; its nested replies stop counting with it
+ */
+async function removeReply(reply, actor, reason = null) {
+  const removed = replyCounter.countReplyTree(reply);
+  reply.isActive = false;
+
+  await replyCounter.runInTransaction(async (session) => {
+    await reply.save({ session });
+    await replyCounter.adjustReplyCount(reply.postId, -removed, session);
+    await moderationLog.record(actor, {
+      action: 'delete',
+      targetType: 'reply',
+      targetId: reply._id,
+      postId: reply.postId,
+      previousState: { isActive: true },
+      newState: { isActive: false },
+      reason
+    }, session);
+  });
+
+  await liveEvents.replyRemoved(reply.postId, reply._id);
+}
+
+/**
+ * Soft delete a nested reply held in parentReply; its subtree stops counting with it
+ */
+async function removeNestedReply(parentReply, targetReply, actor, reason = null) {
+  const countBefore = replyCounter.countReplyTree(parentReply);
+  targetReply.isActive = false;
+  const delta = replyCounter.countReplyTree(parentReply) - countBefore;
+
+  parentReply.markModified('replies');
+
+  await replyCounter.runInTransaction(async (session) => {
+    await parentReply.save({ session });
+    await replyCounter.adjustReplyCount(parentReply.postId, delta, session);
+    await moderationLog.record(actor, {
+      action: 'delete',
+      targetType: 'nested',
+      // Nested replies from before the ID backfill are logged against their parent reply
+      targetId: targetReply._id || parentReply._id,
+      postId: parentReply.postId,
+      previousState: { isActive: true },
+      newState: { isActive: false },
+      reason
+    }, session);
+  });
+
+  if (targetReply._id) {
+    await liveEvents.replyRemoved(parentReply.postId, parentReply._id, targetReply._id);
+  }
+}
+
+module.exports = {
+  removeReply,
+  removeNestedReply
+};
@@ -0,0 +1,66 @@
+const PostRevision = require('../models/PostRevision');
+
+/**
+ * Capture the current body of a post as a revision and bump its revision number
+ * Nothing is saved here: pass the result to saveRevision in the transaction
+ * that saves the post, so neither is stored without the other
+ */
+function snapshotPost(post, editedBy) {
+  const currentRevision = post.revision || 1;
+
+  const snapshot = {
+    postId: post._id,
+    revision: currentRevision,
+    editedBy,
+    title: post.title,
+    content: post.content,
+    format: post.format || 'plain',
+    images: post.images || [],
+    attachments: post.attachments || []
+  };
+
+  post.revision = currentRevision + 1;
+  return snapshot;
+}
+
+/**
+ * Store a snapshot taken by snapshotPost
+ * A concurrent edit of the same revision fails on the unique index (code 11000)
+ */
+async function saveRevision(snapshot, session = null) {
+  const [created] = await PostRevision.create([snapshot], { session });
+  return created;
+}
+
+/**
+ * Apply a stored revision to a post, returning the snapshot of the body it replaces
+ */
+function rollbackPost(post, revision, editedBy) {
+  const snapshot = snapshotPost(post, editedBy);
+
+  post.title = revision.title;
+  post.content = revision.content;
+  post.format = revision.format || 'plain';
+  post.images = revision.images || [];
+  post.attachments = revision.attachments || [];
+  post.dateModified = new Date();
+
+  return snapshot;
+}
+
+/**
+ * Whether an error is a concurrent edit losing the race for its revision number
+ * (a duplicate key on PostRevision's { postId, revision } index, not any other)
+ */
+const isRevisionConflict = (error) => {
+  if (!error || error.code !== 11000 || !error.keyPattern) return false;
+  const keys = Object.keys(error.keyPattern);
+  return keys.length === 2 && keys.includes('postId') && keys.includes('revision');
+};
+
+module.exports = {
+  snapshotPost,
+  saveRevision,
+  rollbackPost,
+  isRevisionConflict
+};
@@ -0,0 +1,108 @@
+const Subscription = require('../models/Subscription');
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+
+/**
+ * Follow a post; a new subscription starts with every existing reply read
+ */
+async function subscribe(userId, post) {
+  const now = new Date();
+  return Subscription.findOneAndUpdate(
+    { userId, postId: post._id },
+    {
+      $set: { subscribed: true },
+      $setOnInsert: { lastReadSequence: post.replySequence || 0, lastReadAt: now, dateCreated: now }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Stop following a post; false when the user was not subscribed
+ */
+async function unsubscribe(userId, postId) {
+  const result = await Subscription.updateOne({ userId, postId, subscribed: true }, { $set: { subscribed: false } });
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Subscribe the author of a post or reply, unless they unsubscribed from it
+ * before, and mark the post read up to sequence (their own reply included)
+ */
+async function autoSubscribe(userId, postId, sequence, session = null) {
+  const now = new Date();
+  await Subscription.updateOne(
+    { userId, postId },
+    {
+      $setOnInsert: { subscribed: true, dateCreated: now },
+      $max: { lastReadSequence: sequence },
+      $set: { lastReadAt: now }
+    },
+    { upsert: true, session }
+  );
+}
+
+/**
+ * Move the user's read marker on a post they follow (or once followed) to its latest reply
+ * Failures are logged rather than thrown so reading a post never fails on its marker
+ */
+async function markRead(userId, post) {
+  try {
+    await Subscription.updateOne(
+      { userId, postId: post._id },
+      { $max: { lastReadSequence: post.replySequence || 0 }, $set: { lastReadAt: new Date() } }
+    );
+  } catch (error) {
+    logger.warn(`Could not update read marker of user ${userId} on post ${post._id}: ${error.message}`);
+  }
+}
+
+/**
+ * Published posts a user follows, most recently replied to first, each with
+ * newReplies: replies added since the user last read it
+ * Returns { items: [{ post, newReplies, lastReadAt }], total }
+ */
+async function getFeed(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+  const [result] = await Subscription.aggregate([
+    { $match: { userId, subscribed: true } },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        let: { postId: '$postId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$postId'] } } },
+          { $project: { userId: 1, title: 1, status: 1, isArchived: 1, replyCount: 1, replySequence: 1, lastReplyAt: 1, dateCreated: 1 } }
+        ],
+        as: 'post'
+      }
+    },
+    { $unwind: '$post' },
+    { $match: { 'post.status': 'published' } },
+    {
+      $addFields: {
+        newReplies: { $max: [0, { $subtract: [{ $ifNull: ['$post.replySequence', 0] }, '$lastReadSequence'] }] }
+      }
+    },
+    ...(unreadOnly ? [{ $match: { newReplies: { $gt: 0 } } }] : []),
+    { $sort: { 'post.lastReplyAt': -1, 'post.dateCreated': -1, _id: 1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    items: result.items,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+}
+
+module.exports = {
+  subscribe,
+  unsubscribe,
+  autoSubscribe,
+  markRead,
+  getFeed
+};
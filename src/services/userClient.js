@@ -1,51 +1,253 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const LruCache = require('../utils/lruCache');
+const CircuitBreaker = require('../utils/circuitBreaker');
 
 const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:5001';
+const REQUEST_TIMEOUT = parseInt(process.env.USER_SERVICE_TIMEOUT) || 2000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = parseInt(process.env.USER_SERVICE_RETRY_DELAY_MS) || 100;
+const BATCH_SIZE = 100;
 
-// Cache for user data (simple in-memory cache)
-const userCache = new Map();
+// Cache for user data (LRU, bounded); not-found users are cached as null
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const userCache = new LruCache({
+  maxSize: parseInt(process.env.USER_CACHE_SIZE) || 1000,
+  ttl: CACHE_TTL
+});
+
+// Stop calling the user service for a while after repeated failures
+const breaker = new CircuitBreaker({
+  failureThreshold: parseInt(process.env.USER_SERVICE_BREAKER_THRESHOLD) || 5,
+  resetTimeout: 30 * 1000
+});
+
+// Lookups currently on the wire, so concurrent callers share them
+const inFlight = new Map();
+
+// Older user services have no batch endpoint; fall back to one call per user
+let batchEndpointAvailable = true;
+
+// IDs requested through getUserById during the current tick
+let pendingIds = null;
+let pendingLoad = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = (error) => !error.response || error.response.status >= 500;
 
 /**
- * Get user by ID from User Service
+ * Run a request, retrying network errors and 5xx with exponential backoff
  */
-async function getUserById(userId) {
-  try {
-    // Check cache first
-    const cached = userCache.get(userId);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return cached.data;
+async function withRetry(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY * 2 ** attempt;
+      await sleep(delay + Math.floor(Math.random() * delay));
+    }
+  }
+}
+
+/**
+ * Fetch one chunk of users through the batch endpoint
+ */
+async function requestBatch(ids) {
+  const response = await withRetry(() => axios.post(
+    `${USER_SERVICE_URL}/internal/users/batch`,
+    { ids },
+    { timeout: REQUEST_TIMEOUT }
+  ));
+  const users = Array.isArray(response.data) ? response.data : (response.data.users || []);
+  return new Map(users.map(user => [Number(user.user_id), user]));
+}
+
+/**
+ * Fetch users one by one (user services without the batch endpoint)
+ */
+async function requestIndividually(ids) {
+  const users = new Map();
+  await Promise.all(ids.map(async (userId) => {
+    try {
+      const response = await withRetry(() => axios.get(`${USER_SERVICE_URL}/internal/users/${userId}`, {
+        timeout: REQUEST_TIMEOUT
+      }));
+      users.set(userId, response.data);
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) {
+        throw error;
+      }
     }
+  }));
+  return users;
+}
+
+/**
+ * Fetch users from the User Service and cache them
+ * On failure, or while the circuit is open, fall back to stale cache entries
+ */
+async function fetchUsers(ids) {
+  const users = new Map();
 
-    const response = await axios.get(`${USER_SERVICE_URL}/internal/users/${userId}`, {
-      timeout: 5000
+  const useStale = () => {
+    ids.forEach(userId => {
+      const stale = userCache.get(userId, { allowStale: true });
+      users.set(userId, stale === undefined ? null : stale);
     });
+    return users;
+  };
 
-    if (response.status === 200) {
-      // Cache the result
-      userCache.set(userId, {
-        data: response.data,
-        timestamp: Date.now()
+  if (!breaker.canRequest()) {
+    return useStale();
+  }
+
+  try {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const chunk = ids.slice(i, i + BATCH_SIZE);
+
+      let found;
+      if (batchEndpointAvailable) {
+        try {
+          found = await requestBatch(chunk);
+        } catch (error) {
+          if (!error.response || error.response.status !== 404) {
+            throw error;
+          }
+          logger.warn('User Service has no batch endpoint, falling back to single lookups');
+          batchEndpointAvailable = false;
+        }
+      }
+      if (!found) {
+        found = await requestIndividually(chunk);
+      }
+
+      chunk.forEach(userId => {
+        const user = found.get(userId) || null;
+        userCache.set(userId, user);
+        users.set(userId, user);
       });
-      return response.data;
     }
 
-    return null;
+    breaker.recordSuccess();
+    return users;
   } catch (error) {
-    if (error.response && error.response.status === 404) {
-      return null;
+    breaker.recordFailure();
+    logger.error(`Error fetching users ${ids.join(',')}: ${error.message}`);
+    return useStale();
+  }
+}
+
+/**
+ * Get users by ID, using the cache and sharing in-flight lookups
+ * Returns a Map of numeric userId -> user (null when not found)
+ */
+async function getUsersByIds(userIds) {
+  const ids = [...new Set(userIds.filter(id => id !== null && id !== undefined).map(Number))];
+  const users = new Map();
+  const waiting = [];
+  const toFetch = [];
+
+  ids.forEach(userId => {
+    const cached = userCache.get(userId);
+    if (cached !== undefined) {
+      users.set(userId, cached);
+    } else if (inFlight.has(userId)) {
+      waiting.push(inFlight.get(userId).then(user => users.set(userId, user)));
+    } else {
+      toFetch.push(userId);
     }
-    logger.error(`Error fetching user ${userId}: ${error.message}`);
-    return null;
+  });
+
+  if (toFetch.length > 0) {
+    const request = fetchUsers(toFetch);
+    toFetch.forEach(userId => {
+      const lookup = request.then(fetched => fetched.get(userId) || null);
+      inFlight.set(userId, lookup);
+      waiting.push(lookup.then(user => users.set(userId, user)));
+    });
+    request.then(() => toFetch.forEach(userId => inFlight.delete(userId)));
+  }
+
+  await Promise.all(waiting);
+  return users;
+}
+
+/**
+ * Get user by ID from User Service
+ * Calls made in the same tick are coalesced into one batch lookup
+ */
+async function getUserById(userId) {
+  if (userId === null || userId === undefined) return null;
+
+  if (!pendingIds) {
+    pendingIds = new Set();
+    pendingLoad = new Promise(resolve => process.nextTick(resolve))
+      .then(() => {
+        const ids = [...pendingIds];
+        pendingIds = null;
+        return getUsersByIds(ids);
+      });
   }
+  pendingIds.add(Number(userId));
+
+  const users = await pendingLoad;
+  return users.get(Number(userId)) || null;
+}
+
+/**
+ * Resolve usernames (case-insensitive) through the User Service
+ * Returns a Map of lowercased username -> user; unknown names are left out, and
+ * a failing User Service resolves nothing rather than failing the caller
+ */
+async function getUsersByUsernames(usernames) {
+  const names = [...new Set(usernames.map(name => String(name).toLowerCase()))];
+  const users = new Map();
+  if (names.length === 0 || !breaker.canRequest()) {
+    return users;
+  }
+
+  try {
+    const response = await withRetry(() => axios.post(
+      `${USER_SERVICE_URL}/internal/users/by-username`,
+      { usernames: names },
+      { timeout: REQUEST_TIMEOUT }
+    ));
+    const found = Array.isArray(response.data) ? response.data : (response.data.users || []);
+    found.forEach(user => {
+      if (!user || !user.username) return;
+      users.set(String(user.username).toLowerCase(), user);
+      userCache.set(Number(user.user_id), user);
+    });
+    breaker.recordSuccess();
+  } catch (error) {
+    breaker.recordFailure();
+    logger.error(`Error resolving usernames ${names.join(',')}: ${error.message}`);
+  }
+
+  return users;
+}
+
+/**
+ * Shape of the user summary embedded in post and reply responses
+ */
+function formatUser(user) {
+  return user ? {
+    userId: user.user_id,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    profileImageUrl: user.profile_image_url
+  } : null;
 }
 
 /**
  * Clear user from cache
  */
 function clearUserCache(userId) {
-  userCache.delete(userId);
+  userCache.delete(Number(userId));
 }
 
 /**
@@ -57,6 +259,9 @@ function clearAllCache() {
 
 module.exports = {
   getUserById,
+  getUsersByIds,
+  getUsersByUsernames,
+  formatUser,
   clearUserCache,
   clearAllCache
 };
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const OutboxEvent = require('../models/OutboxEvent');
+const eventOutbox = require('./eventOutbox');
+const logger = require('../utils/logger');
+
+const INTERVAL = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 5 * 1000;
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A claim outlives the request, so a delivery in progress is never taken twice
+const CLAIM_TTL = REQUEST_TIMEOUT * 3;
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+/**
+ * HMAC-SHA256 signature of a delivery: hex digest of '<timestamp>.<body>'
+ */
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Wait before the next attempt after a failed one: base * 2^(attempts - 1), capped at an hour
+ */
+const retryDelay = (attempts) => Math.min(MAX_RETRY_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1));
+
+/**
+ * Claim the next due delivery, including ones whose dispatcher crashed mid-delivery
+ * Claims are atomic, so several instances can dispatch side by side
+ */
+async function claimNext(now = new Date()) {
+  return OutboxEvent.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + CLAIM_TTL) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// A replay in between wins over the outcome of an old claim
+const finish = (delivery, update) => OutboxEvent.updateOne(
+  { _id: delivery._id, status: 'delivering' },
+  { $set: { lockedUntil: null, ...update } }
+);
+
+/**
+ * POST a claimed delivery to its endpoint and record the outcome
+ * Any 2xx answer counts as delivered; anything else is retried with
+ * exponential backoff until MAX_ATTEMPTS, then the delivery is marked failed
+ * Returns true when delivered
+ */
+async function deliver(delivery, now = new Date()) {
+  const endpoint = eventOutbox.findEndpoint(delivery.endpoint);
+  if (!endpoint) {
+    await finish(delivery, { status: 'failed', lastError: 'Endpoint is no longer configured' });
+    return false;
+  }
+
+  const body = JSON.stringify({
+    id: delivery.eventId,
+    type: delivery.type,
+    createdAt: delivery.dateCreated,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  let statusCode = null;
+  let error;
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(endpoint.secret, timestamp, body)}`
+      }
+    });
+    statusCode = response.status;
+    if (statusCode >= 200 && statusCode < 300) {
+      await finish(delivery, { status: 'delivered', lastStatusCode: statusCode, lastError: null, dateDelivered: now });
+      return true;
+    }
+    error = `HTTP ${statusCode}`;
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    await finish(delivery, { status: 'failed', lastStatusCode: statusCode, lastError: error });
+    logger.error(`Webhook ${delivery.type} ${delivery.eventId} to ${delivery.endpoint} failed after ${delivery.attempts} attempts: ${error}`);
+  } else {
+    await finish(delivery, {
+      status: 'pending',
+      lastStatusCode: statusCode,
+      lastError: error,
+      nextAttemptAt: new Date(now.getTime() + retryDelay(delivery.attempts))
+    });
+    logger.warn(`Webhook ${delivery.type} ${delivery.eventId} to ${delivery.endpoint} failed (attempt ${delivery.attempts}): ${error}`);
+  }
+  return false;
+}
+
+/**
+ * Deliver due outbox entries, up to BATCH_SIZE per run
+ * Returns { delivered, failed } where failed counts attempts that did not succeed
+ */
+async function dispatchDue() {
+  const result = { delivered: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await claimNext();
+    if (!delivery) break;
+
+    if (await deliver(delivery)) {
+      result.delivered += 1;
+    } else {
+      result.failed += 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * One dispatcher tick
+ */
+async function runOnce() {
+  if (running) return null;
+  running = true;
+  try {
+    return await dispatchDue();
+  } catch (error) {
+    logger.error(`Webhook dispatcher failed: ${error.message}`);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the in-process dispatcher
+ */
+function start() {
+  if (timer) return;
+  // Fail fast on a broken WEBHOOK_ENDPOINTS
+  const count = eventOutbox.getEndpoints().length;
+  timer = setInterval(runOnce, INTERVAL);
+  timer.unref();
+  logger.info(`Webhook dispatcher started (every ${INTERVAL}ms, ${count} endpoint(s))`);
+}
+
+/**
+ * Stop the in-process dispatcher
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  sign,
+  retryDelay,
+  claimNext,
+  deliver,
+  dispatchDue,
+  runOnce,
+  start,
+  stop
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, buildKeysetFilter, findPage } = require('../cursorPagination');
+
+const id = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+// Model mock whose find() resolves to the given documents
+const buildModel = (results) => {
+  const q = {};
+  q.sort = jest.fn().mockImplementation(() => q);
+  q.limit = jest.fn().mockImplementation(() => Promise.resolve(results));
+  return { find: jest.fn().mockImplementation(() => q), query: q };
+};
+
+describe('cursorPagination', () => {
+  test('cursor round-trips dates, numbers and nulls', () => {
+    const date = new Date('2026-01-01T00:00:00Z');
+
+    const dateCursor = decodeCursor(encodeCursor({ _id: id(1), dateCreated: date }, 'dateCreated', 'next'), 'dateCreated');
+    expect(dateCursor).toEqual({ value: date, id: id(1), dir: 'next' });
+
+    const countCursor = decodeCursor(encodeCursor({ _id: id(2), replyCount: 4 }, 'replyCount', 'prev'), 'replyCount');
+    expect(countCursor).toEqual({ value: 4, id: id(2), dir: 'prev' });
+
+    const nullCursor = decodeCursor(encodeCursor({ _id: id(3), dateModified: null }, 'dateModified', 'next'), 'dateModified');
+    expect(nullCursor.value).toBeNull();
+  });
+
+  test('rejects garbage and cursors for another sort field', () => {
+    expect(decodeCursor('not-a-cursor', 'dateCreated')).toBeNull();
+    const cursor = encodeCursor({ _id: id(1), replyCount: 1 }, 'replyCount', 'next');
+    expect(decodeCursor(cursor, 'dateCreated')).toBeNull();
+  });
+
+  test('descending keyset filter includes null values after the cursor', () => {
+    expect(buildKeysetFilter('replyCount', -1, { value: 3, id: id(5) })).toEqual({
+      $or: [
+        { replyCount: { $lt: 3 } },
+        { replyCount: 3, _id: { $lt: id(5) } },
+        { replyCount: null }
+      ]
+    });
+    expect(buildKeysetFilter('dateModified', -1, { value: null, id: id(5) })).toEqual({
+      dateModified: null, _id: { $lt: id(5) }
+    });
+  });
+
+  test('first page returns only a next cursor when more results exist', async () => {
+    const docs = [1, 2, 3].map(n => ({ _id: id(n), replyCount: 10 - n }));
+    const Model = buildModel(docs);
+
+    const page = await findPage(Model, { status: 'published' }, { field: 'replyCount', order: -1, limit: 2, cursor: null });
+
+    expect(Model.find).toHaveBeenCalledWith({ status: 'published' });
+    expect(Model.query.sort).toHaveBeenCalledWith({ replyCount: -1, _id: -1 });
+    expect(Model.query.limit).toHaveBeenCalledWith(3);
+    expect(page.docs).toHaveLength(2);
+    expect(page.prevCursor).toBeNull();
+    expect(decodeCursor(page.nextCursor, 'replyCount')).toEqual({ value: 8, id: id(2), dir: 'next' });
+  });
+
+  test('prev cursor queries in reverse and restores the original order', async () => {
+    // Reverse query returns documents nearest the cursor first
+    const docs = [4, 3, 2].map(n => ({ _id: id(n), replyCount: n }));
+    const Model = buildModel(docs);
+    const cursor = { value: 5, id: id(5), dir: 'prev' };
+
+    const page = await findPage(Model, { status: 'published' }, { field: 'replyCount', order: -1, limit: 2, cursor });
+
+    expect(Model.query.sort).toHaveBeenCalledWith({ replyCount: 1, _id: 1 });
+    expect(page.docs.map(doc => doc.replyCount)).toEqual([3, 4]);
+    expect(page.nextCursor).not.toBeNull();
+    expect(page.prevCursor).not.toBeNull();
+  });
+});
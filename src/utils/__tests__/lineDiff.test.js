@@ -0,0 +1,31 @@
+const { diffLines, MAX_DIFF_LINES } = require('../lineDiff');
+
+describe('lineDiff', () => {
+  test('marks equal, removed and added lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { type: 'equal', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'added', line: 'x' },
+      { type: 'equal', line: 'c' }
+    ]);
+  });
+
+  test('treats empty text as no lines', () => {
+    expect(diffLines('', 'a')).toEqual([{ type: 'added', line: 'a' }]);
+    expect(diffLines(null, null)).toEqual([]);
+  });
+
+  test('replaces an oversized changed block as a whole', () => {
+    const lines = n => Array.from({ length: n }, (_, i) => `line ${i}`);
+    const oldText = ['head', ...lines(MAX_DIFF_LINES + 1), 'tail'].join('\n');
+    const newText = ['head', ...lines(MAX_DIFF_LINES + 1).reverse(), 'tail'].join('\n');
+
+    const diff = diffLines(oldText, newText);
+
+    expect(diff[0]).toEqual({ type: 'equal', line: 'head' });
+    expect(diff[diff.length - 1]).toEqual({ type: 'equal', line: 'tail' });
+    expect(diff.filter(d => d.type === 'removed')).toHaveLength(MAX_DIFF_LINES + 1);
+    expect(diff.filter(d => d.type === 'added')).toHaveLength(MAX_DIFF_LINES + 1);
+    expect(diff[1]).toEqual({ type: 'removed', line: 'line 0' });
+  });
+});
@@ -0,0 +1,63 @@
+const { render, htmlFor, ALLOWED_TAGS } = require('../markdown');
+
+describe('markdown', () => {
+  test('plain text keeps its paragraphs and line breaks and nothing else', () => {
+    expect(render('Hello **there**\nsecond line\n\n<b>next</b>', 'plain'))
+      .toBe('<p>Hello **there**<br>\nsecond line</p>\n<p>&lt;b&gt;next&lt;/b&gt;</p>');
+  });
+
+  test('renders inline markdown', () => {
+    expect(render('**bold**, *em*, _em_, ~~gone~~ and `a < b`', 'markdown'))
+      .toBe('<p><strong>bold</strong>, <em>em</em>, <em>em</em>, <del>gone</del> and <code>a &lt; b</code></p>');
+    expect(render('snake_case_name', 'markdown')).toBe('<p>snake_case_name</p>');
+  });
+
+  test('renders block markdown', () => {
+    const html = render('# Title\n\n- one\n- two\n\n1. first\n\n> quoted\n\n---\n\n```\n**not bold**\n```', 'markdown');
+
+    expect(html).toBe([
+      '<h1>Title</h1>',
+      '<ul><li>one</li><li>two</li></ul>',
+      '<ol><li>first</li></ol>',
+      '<blockquote><p>quoted</p></blockquote>',
+      '<hr>',
+      '<pre><code>**not bold**</code></pre>'
+    ].join('\n'));
+  });
+
+  test('keeps blockquote markers past the nesting limit as text', () => {
+    const html = render('>'.repeat(4999), 'markdown');
+
+    expect(html.match(/<blockquote>/g)).toHaveLength(8);
+    expect(html).toContain(`<p>${'&gt;'.repeat(4999 - 8)}</p>`);
+  });
+
+  test('links only to http(s) and mailto URLs', () => {
+    expect(render('[site](https://example.com/?a=1&b=2) and see https://example.org.', 'markdown')).toBe(
+      '<p><a href="https://example.com/?a=1&amp;b=2" rel="nofollow noopener">site</a> and see ' +
+      '<a href="https://example.org" rel="nofollow noopener">https://example.org</a>.</p>'
+    );
+    expect(render('[click](javascript:alert(1))', 'markdown')).toBe('<p>[click](javascript:alert(1))</p>');
+  });
+
+  test('never lets markup or attributes through', () => {
+    const html = render([
+      '<script>alert(1)</script>',
+      '<img src=x onerror=alert(1)>',
+      '[x](https://a.b/"onmouseover="alert(1))',
+      '**<iframe>**',
+      '\u00000\u0000'
+    ].join('\n'), 'markdown');
+
+    const tags = [...html.matchAll(/<\/?([a-z0-9]+)([^>]*)>/g)];
+    expect(tags.every(([, tag]) => ALLOWED_TAGS.includes(tag))).toBe(true);
+    const attributes = tags.flatMap(([, , rest]) => [...rest.matchAll(/\s([\w-]+)=/g)].map(match => match[1]));
+    expect(attributes.every(name => ['href', 'rel'].includes(name))).toBe(true);
+  });
+
+  test('htmlFor prefers the stored rendering', () => {
+    expect(htmlFor('**a**', 'markdown', '<p>cached</p>')).toBe('<p>cached</p>');
+    expect(htmlFor('**a**', 'markdown', null)).toBe('<p><strong>a</strong></p>');
+    expect(htmlFor('**a**', undefined, undefined)).toBe('<p>**a**</p>');
+  });
+});
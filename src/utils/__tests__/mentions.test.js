@@ -0,0 +1,21 @@
+const { extractMentions, MAX_MENTIONS } = require('../mentions');
+
+describe('extractMentions', () => {
+  test('finds each username once, lowercased', () => {
+    expect(extractMentions('@Alice thanks, and @bob_2 too. cc @alice')).toEqual(['alice', 'bob_2']);
+  });
+
+  test('drops a trailing dot but keeps dots inside names', () => {
+    expect(extractMentions('Ask @jane.doe.')).toEqual(['jane.doe']);
+  });
+
+  test('ignores email addresses and a lone @', () => {
+    expect(extractMentions('Mail me at me@example.com @ noon')).toEqual([]);
+  });
+
+  test('stops at MAX_MENTIONS names', () => {
+    const text = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}`).join(' ');
+
+    expect(extractMentions(text)).toHaveLength(MAX_MENTIONS);
+  });
+});
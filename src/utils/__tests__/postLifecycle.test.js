@@ -0,0 +1,62 @@
+const { applyTransition, actionForStatus } = require('../postLifecycle');
+
+const owner = { userId: 1, role: 'user' };
+const admin = { userId: 9, role: 'admin' };
+
+describe('postLifecycle', () => {
+  test('delete remembers the previous status and recover restores it', () => {
+    const post = { userId: 1, status: 'hidden' };
+
+    expect(applyTransition(post, 'delete', owner)).toEqual({ from: 'hidden', to: 'deleted' });
+    expect(post.previousStatus).toBe('hidden');
+
+    expect(applyTransition(post, 'recover', admin)).toEqual({ from: 'deleted', to: 'hidden' });
+    expect(post.previousStatus).toBeNull();
+  });
+
+  test('unban falls back to published when no previous status was recorded', () => {
+    const post = { userId: 1, status: 'banned' };
+
+    expect(applyTransition(post, 'unban', admin)).toEqual({ from: 'banned', to: 'published' });
+  });
+
+  test('illegal transitions return 409 and leave the post untouched', () => {
+    const post = { userId: 1, status: 'banned' };
+
+    expect(applyTransition(post, 'delete', owner)).toEqual({ status: 409, error: 'Cannot delete a post that is banned' });
+    expect(post.status).toBe('banned');
+  });
+
+  test('transitions are limited to their roles', () => {
+    expect(applyTransition({ userId: 1, status: 'published' }, 'ban', owner)).toEqual({ status: 403, error: 'Access denied' });
+    expect(applyTransition({ userId: 1, status: 'unpublished' }, 'publish', admin)).toEqual({ status: 403, error: 'Access denied' });
+    expect(applyTransition({ userId: 1, status: 'published' }, 'ban', { userId: 2, role: 'super_admin' }))
+      .toEqual({ from: 'published', to: 'banned' });
+  });
+
+  test('held posts are published only by approval', () => {
+    const post = { userId: 1, status: 'unpublished', heldForReview: true };
+
+    expect(applyTransition(post, 'publish', owner)).toEqual({ status: 409, error: 'Post is held for review' });
+    expect(applyTransition(post, 'approve', admin)).toEqual({ from: 'unpublished', to: 'published' });
+    expect(post.heldForReview).toBe(false);
+    expect(applyTransition({ userId: 1, status: 'unpublished' }, 'approve', admin))
+      .toEqual({ status: 409, error: 'Post is not held for review' });
+  });
+
+  test('going live records publishedAt', () => {
+    const post = { userId: 1, status: 'unpublished', publishedAt: null };
+
+    applyTransition(post, 'publish', owner);
+    expect(post.publishedAt).toBeInstanceOf(Date);
+
+    const published = { userId: 1, status: 'published', publishedAt: null };
+    applyTransition(published, 'hide', owner);
+    expect(published.publishedAt).toBeNull();
+  });
+
+  test('actionForStatus maps requested statuses to transitions', () => {
+    expect(actionForStatus('hidden')).toBe('hide');
+    expect(actionForStatus('banned')).toBeNull();
+  });
+});
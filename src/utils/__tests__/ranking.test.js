@@ -0,0 +1,42 @@
+const { computeScores, periodStart } = require('../ranking');
+
+describe('ranking', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  test('engagement counts replies twice and every reaction once', () => {
+    const { engagementScore } = computeScores({
+      replyCount: 3,
+      reactionCounts: new Map([['like', 2], ['heart', 1]]),
+      dateCreated: now
+    });
+
+    expect(engagementScore).toBe(9);
+  });
+
+  test('a newer post outranks an older one with the same engagement', () => {
+    const older = computeScores({ replyCount: 5, dateCreated: new Date(now.getTime() - 24 * 60 * 60 * 1000) });
+    const newer = computeScores({ replyCount: 5, dateCreated: now });
+
+    expect(newer.hotScore).toBeGreaterThan(older.hotScore);
+  });
+
+  test('recency counts from publishing when the post has a publishedAt', () => {
+    const draft = computeScores({ replyCount: 0, dateCreated: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000), publishedAt: now });
+    const fresh = computeScores({ replyCount: 0, dateCreated: now });
+
+    expect(draft.hotScore).toBe(fresh.hotScore);
+  });
+
+  test('enough engagement outweighs recency', () => {
+    const busy = computeScores({ replyCount: 500, dateCreated: new Date(now.getTime() - 6 * 60 * 60 * 1000) });
+    const quiet = computeScores({ replyCount: 0, dateCreated: now });
+
+    expect(busy.hotScore).toBeGreaterThan(quiet.hotScore);
+  });
+
+  test('periodStart handles all and rejects unknown periods', () => {
+    expect(periodStart('all')).toBeNull();
+    expect(periodStart('day')).toBeInstanceOf(Date);
+    expect(periodStart('year')).toBeUndefined();
+  });
+});
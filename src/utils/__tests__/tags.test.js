@@ -0,0 +1,26 @@
+const { toSlug, isValidTag, normalizeTags, parseTagFilter } = require('../tags');
+
+describe('tags', () => {
+  test('normalizes case, hashes and spacing', () => {
+    expect(toSlug('  #Node JS ')).toBe('node-js');
+    expect(toSlug('snake_case--name')).toBe('snake-case-name');
+    expect(toSlug('Café')).toBe('café');
+  });
+
+  test('only letters, digits and single dashes are valid', () => {
+    expect(isValidTag('node-js')).toBe(true);
+    expect(isValidTag('c++')).toBe(false);
+    expect(isValidTag('')).toBe(false);
+    expect(isValidTag('x'.repeat(31))).toBe(false);
+  });
+
+  test('normalizeTags drops repeats after normalizing', () => {
+    expect(normalizeTags(['Node', 'node', '#NODE', 'mongo db'])).toEqual(['node', 'mongo-db']);
+  });
+
+  test('parseTagFilter reads comma-separated and repeated parameters', () => {
+    expect(parseTagFilter('a, B')).toEqual(['a', 'b']);
+    expect(parseTagFilter(['a', 'b,c'])).toEqual(['a', 'b', 'c']);
+    expect(parseTagFilter('ok,<script>')).toBeNull();
+  });
+});
@@ -0,0 +1,25 @@
+const { extractTerms, highlight, buildSnippet } = require('../textHighlight');
+
+describe('textHighlight', () => {
+  test('extractTerms drops negated terms and quotes', () => {
+    expect(extractTerms('"Node" -java node mongo')).toEqual(['node', 'mongo']);
+  });
+
+  test('highlight marks terms case-insensitively and escapes the rest', () => {
+    expect(highlight('Node <b>and</b> node', ['node']))
+      .toBe('<mark>Node</mark> &lt;b&gt;and&lt;/b&gt; <mark>node</mark>');
+  });
+
+  test('highlight never matches inside escaped entities', () => {
+    expect(highlight('Tom & Jerry <3', ['amp', 'lt'])).toBe('Tom &amp; Jerry &lt;3');
+    expect(highlight('a <& b', ['<&'])).toBe('a <mark>&lt;&amp;</mark> b');
+  });
+
+  test('buildSnippet trims around the first match', () => {
+    const text = `${'x'.repeat(200)} needle & more ${'y'.repeat(200)}`;
+
+    const snippet = buildSnippet(text, ['needle'], 10);
+
+    expect(snippet).toBe('…xxxxxxxxx <mark>needle</mark> &amp; more yyyyyy…');
+  });
+});
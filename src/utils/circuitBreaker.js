@@ -0,0 +1,43 @@
+/**
+ * Minimal circuit breaker for calls to other services
+ *
+ * closed: requests flow; after failureThreshold consecutive failures it opens
+ * open: requests are refused until resetTimeout has passed
+ * half_open: trial requests flow; one success closes it, one failure reopens it
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 30 * 1000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  reset() {
+    this.recordSuccess();
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * Opaque keyset cursors for listing endpoints
+ *
+ * A cursor records the sort field, the sort value and _id of the boundary
+ * document, and whether it points forwards (next) or backwards (prev).
+ * Results are always ordered by (field, _id) so ties never repeat or skip.
+ */
+
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return { t: 'null' };
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  return { t: 'number', v: value };
+};
+
+const decodeValue = (encoded) => {
+  if (!encoded || encoded.t === 'null') return null;
+  if (encoded.t === 'date') {
+    const date = new Date(encoded.v);
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid date');
+    return date;
+  }
+  if (encoded.t === 'number' && typeof encoded.v === 'number') return encoded.v;
+  throw new Error('Invalid value');
+};
+
+/**
+ * Encode the cursor for a boundary document
+ */
+const encodeCursor = (doc, field, dir) => {
+  // Fields missing in the database hydrate with their default; MongoDB sorts them as null
+  const isDefault = typeof doc.$isDefault === 'function' && doc.$isDefault(field);
+  const value = isDefault ? null : doc[field];
+
+  const payload = { f: field, k: encodeValue(value), id: doc._id.toString(), d: dir };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor for the given sort field; returns null when it is invalid
+ */
+const decodeCursor = (cursor, field) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.f !== field || !['next', 'prev'].includes(payload.d) || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+    return {
+      value: decodeValue(payload.k),
+      id: new mongoose.Types.ObjectId(payload.id),
+      dir: payload.d
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filter matching documents strictly after the cursor in (field, _id) order
+ * MongoDB sorts null/missing values lowest and range operators never match them
+ */
+const buildKeysetFilter = (field, order, { value, id }) => {
+  const idAfter = { _id: order === 1 ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const conditions = [
+    { [field]: order === 1 ? { $gt: value } : { $lt: value } },
+    { [field]: value, ...idAfter }
+  ];
+  if (order === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Fetch one page of documents using a decoded cursor (or the first page when null)
+ * Returns { docs, nextCursor, prevCursor }
+ */
+const findPage = async (Model, query, { field, order, limit, cursor }) => {
+  const backwards = Boolean(cursor && cursor.dir === 'prev');
+  const queryOrder = backwards ? -order : order;
+
+  const filter = cursor
+    ? { $and: [query, buildKeysetFilter(field, queryOrder, cursor)] }
+    : query;
+
+  const results = await Model.find(filter)
+    .sort({ [field]: queryOrder, _id: queryOrder })
+    .limit(limit + 1);
+
+  const hasMore = results.length > limit;
+  const docs = results.slice(0, limit);
+  if (backwards) docs.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    docs,
+    nextCursor: hasNext && docs.length > 0 ? encodeCursor(docs[docs.length - 1], field, 'next') : null,
+    prevCursor: hasPrev && docs.length > 0 ? encodeCursor(docs[0], field, 'prev') : null
+  };
+};
+
+/**
+ * Whether a request asked for cursor pagination (?cursor=, empty for the first page)
+ */
+const wantsCursor = (query) => query.cursor !== undefined;
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter,
+  findPage,
+  wantsCursor
+};
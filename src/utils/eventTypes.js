@@ -0,0 +1,10 @@
+// Domain events sent to webhook endpoints
+const EVENT_TYPES = ['post.published', 'post.banned', 'post.deleted', 'reply.created', 'subreply.created'];
+
+// Delivery states of an outbox entry
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+
+module.exports = {
+  EVENT_TYPES,
+  DELIVERY_STATUSES
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal JWT verification (HS256 with a shared secret, RS256 with a public key)
+ * Throws an Error describing the first problem found; returns the claims otherwise
+ */
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const verifySignature = (alg, signingInput, signature, { secret, publicKey }) => {
+  if (alg === 'HS256') {
+    if (!secret) throw new Error('HS256 tokens are not accepted');
+    const expected = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+    return safeEqual(expected, signature);
+  }
+  if (alg === 'RS256') {
+    if (!publicKey) throw new Error('RS256 tokens are not accepted');
+    return crypto.verify('RSA-SHA256', Buffer.from(signingInput), publicKey, Buffer.from(signature, 'base64url'));
+  }
+  throw new Error(`Unsupported algorithm: ${alg}`);
+};
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Verify a compact JWT
+ * options: { secret, publicKey, issuer, audience, clockTolerance (seconds) }
+ */
+const verifyJwt = (token, options = {}) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  let header, claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (!verifySignature(header.alg, `${parts[0]}.${parts[1]}`, parts[2], options)) {
+    throw new Error('Invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+  // A token without an expiry would be valid forever
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  if (now - tolerance >= claims.exp) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw new Error('Token not yet valid');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new Error('Unexpected issuer');
+  }
+  if (options.audience && !asList(claims.aud).includes(options.audience)) {
+    throw new Error('Unexpected audience');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  verifyJwt
+};
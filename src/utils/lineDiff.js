@@ -0,0 +1,70 @@
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+// Past this many lines on either side the LCS table gets too large to build,
+// so the changed block is reported as a whole replace instead
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Line-level diff between two texts (LCS based)
+ * Returns a list of { type: 'equal' | 'added' | 'removed', line }
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common leading and trailing lines never need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const diff = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  const suffix = a.slice(endA).map(line => ({ type: 'equal', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length > MAX_DIFF_LINES || midB.length > MAX_DIFF_LINES) {
+    midA.forEach(line => diff.push({ type: 'removed', line }));
+    midB.forEach(line => diff.push({ type: 'added', line }));
+    return diff.concat(suffix);
+  }
+
+  // lcs[i][j] = length of the longest common subsequence of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      diff.push({ type: 'equal', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', line: midA[i] });
+      i++;
+    } else {
+      diff.push({ type: 'added', line: midB[j] });
+      j++;
+    }
+  }
+  while (i < midA.length) diff.push({ type: 'removed', line: midA[i++] });
+  while (j < midB.length) diff.push({ type: 'added', line: midB[j++] });
+
+  return diff.concat(suffix);
+};
+
+module.exports = {
+  MAX_DIFF_LINES,
+  diffLines
+};
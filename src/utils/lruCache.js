@@ -0,0 +1,53 @@
+/**
+ * Size-bounded cache with least-recently-used eviction and a TTL
+ * Expired entries are kept until evicted so callers can fall back to stale data
+ */
+class LruCache {
+  constructor({ maxSize = 1000, ttl = 5 * 60 * 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value (undefined on a miss); fresh hits become most recently used
+   */
+  get(key, { allowStale = false } = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    const fresh = Date.now() - entry.timestamp < this.ttl;
+    if (!fresh && !allowStale) return undefined;
+
+    if (fresh) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, timestamp: Date.now() });
+
+    // Map iterates in insertion order, so the first key is the least recently used
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
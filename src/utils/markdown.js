@@ -0,0 +1,183 @@
+/**
+ * Rendering of post content and reply comments to HTML
+ *
+ * The text is escaped before anything is turned into markup, so the only tags
+ * in the output are the ones the renderer writes itself (ALLOWED_TAGS), and
+ * the only attributes are href/rel on links to http(s) and mailto URLs.
+ *
+ * Supported markdown: paragraphs, line breaks, # headings, ``` code blocks,
+ * > quotes, - / 1. lists, --- rules, `code`, **bold**, *italic*, ~~strike~~,
+ * [links](https://...) and bare http(s) URLs. Anything else stays text.
+ */
+
+const FORMATS = ['plain', 'markdown'];
+
+const ALLOWED_TAGS = [
+  'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+  'ul', 'ol', 'li', 'hr', 'strong', 'em', 'del', 'a'
+];
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const BARE_URL = /\bhttps?:\/\/[^\s<>"'`]+/g;
+// Kept out of bare URLs when they end a sentence
+const TRAILING_PUNCTUATION = /[.,;:!?)\]]+$/;
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const link = (url, labelHtml) => `<a href="${escapeHtml(url)}" rel="nofollow noopener">${labelHtml}</a>`;
+
+const renderEmphasis = html => html
+  .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+  .replace(/__(?=\S)([^_]*?\S)__/g, '<strong>$1</strong>')
+  .replace(/~~(?=\S)([^~]*?\S)~~/g, '<del>$1</del>')
+  .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+  .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+/**
+ * Render one line (or paragraph) of inline markdown
+ * Code spans and links are set aside as placeholders so their contents are
+ * not formatted again
+ */
+const renderInline = (text) => {
+  const kept = [];
+  const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+
+  let out = text
+    .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => (SAFE_URL.test(url)
+      ? keep(link(url, renderEmphasis(escapeHtml(label))))
+      : match))
+    .replace(BARE_URL, (match) => {
+      const trailing = (TRAILING_PUNCTUATION.exec(match) || [''])[0];
+      const url = match.slice(0, match.length - trailing.length);
+      return keep(link(url, escapeHtml(url))) + trailing;
+    });
+
+  out = renderEmphasis(escapeHtml(out));
+
+  // Links can hold code spans, so restore until none are left
+  while (out.includes('\u0000')) {
+    out = out.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+  }
+  return out;
+};
+
+const BLOCK_START = /^(#{1,6}\s|```|>|\s*[-*+]\s|\s*\d+[.)]\s)/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+// Deeper '>' markers are kept as literal text
+const MAX_QUOTE_DEPTH = 8;
+
+/**
+ * Render lines of markdown as block elements
+ * depth is the blockquote nesting the lines sit in
+ */
+const renderBlocks = (lines, depth = 0) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    if (/^```/.test(line)) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push('<hr>');
+      i += 1;
+      continue;
+    }
+
+    if (depth < MAX_QUOTE_DEPTH && /^>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^> ?/, ''));
+        i += 1;
+      }
+      blocks.push(`<blockquote>${renderBlocks(quoted, depth + 1)}</blockquote>`);
+      continue;
+    }
+
+    const list = [[/^\s*[-*+]\s+/, 'ul'], [/^\s*\d+[.)]\s+/, 'ol']].find(([marker]) => marker.test(line));
+    if (list) {
+      const [marker, tag] = list;
+      const items = [];
+      while (i < lines.length && marker.test(lines[i])) {
+        items.push(`<li>${renderInline(lines[i].replace(marker, '').trim())}</li>`);
+        i += 1;
+      }
+      blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || (!BLOCK_START.test(lines[i]) && !RULE.test(lines[i])))) {
+      paragraph.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push(`<p>${paragraph.map(renderInline).join('<br>\n')}</p>`);
+  }
+
+  return blocks.join('\n');
+};
+
+/**
+ * Plain text as paragraphs with line breaks, nothing else interpreted
+ */
+const renderPlain = lines => lines.join('\n')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>\n')}</p>`)
+  .join('\n');
+
+/**
+ * Render text in the given format ('plain' or 'markdown') to safe HTML
+ */
+const render = (text, format = 'plain') => {
+  // NUL marks placeholders while rendering
+  const lines = String(text || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+  return format === 'markdown' ? renderBlocks(lines) : renderPlain(lines);
+};
+
+/**
+ * Stored HTML when there is one, otherwise render it now
+ * (documents from before rendering was added have none)
+ */
+const htmlFor = (text, format, cachedHtml) => (typeof cachedHtml === 'string'
+  ? cachedHtml
+  : render(text, format || 'plain'));
+
+module.exports = {
+  FORMATS,
+  ALLOWED_TAGS,
+  escapeHtml,
+  render,
+  htmlFor
+};
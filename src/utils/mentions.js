@@ -0,0 +1,25 @@
+// Most users a single reply can mention
+const MAX_MENTIONS = 20;
+
+// @username: letters, digits, '_' and '.', not preceded by a word character (so emails do not match)
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@.])@([\p{L}\p{N}_][\p{L}\p{N}_.]{0,29})/gu;
+
+/**
+ * Usernames mentioned in a text, lowercased and without duplicates (in order of appearance)
+ */
+const extractMentions = (text) => {
+  if (typeof text !== 'string') return [];
+
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // A trailing dot ends the sentence, not the name
+    names.add(match[1].replace(/\.+$/, '').toLowerCase());
+    if (names.size >= MAX_MENTIONS) break;
+  }
+  return [...names];
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  extractMentions
+};
@@ -0,0 +1,6 @@
+// Actions recorded in the moderation log
+const MODERATION_ACTIONS = ['ban', 'unban', 'recover', 'delete', 'status_change', 'archive', 'unarchive', 'hold', 'approve', 'pin', 'unpin', 'feature', 'unfeature', 'lock', 'unlock', 'rollback'];
+
+module.exports = {
+  MODERATION_ACTIONS
+};
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * Recursively count all active nested replies
+ * (an inactive reply hides its whole subtree)
+ */
+const countNestedReplies = (replies) => {
+  if (!replies || !Array.isArray(replies)) return 0;
+  let count = 0;
+  replies.forEach(reply => {
+    if (reply.isActive !== false) {
+      count += 1;
+      if (reply.replies && Array.isArray(reply.replies)) {
+        count += countNestedReplies(reply.replies);
+      }
+    }
+  });
+  return count;
+};
+
+/**
+ * Recursively collect the IDs of all nested replies
+ */
+const collectNestedIds = (replies) => {
+  if (!replies || !Array.isArray(replies)) return [];
+  const ids = [];
+  replies.forEach(reply => {
+    if (reply._id) {
+      ids.push(reply._id);
+    }
+    ids.push(...collectNestedIds(reply.replies));
+  });
+  return ids;
+};
+
+/**
+ * Recursively collect the user IDs of all active nested replies
+ */
+const collectNestedUserIds = (replies) => {
+  if (!replies || !Array.isArray(replies)) return [];
+  const userIds = [];
+  replies.forEach(reply => {
+    if (reply.isActive !== false) {
+      userIds.push(reply.userId);
+      userIds.push(...collectNestedUserIds(reply.replies));
+    }
+  });
+  return userIds;
+};
+
+/**
+ * Recursively give every nested reply without an ID a new one
+ * Returns the number of IDs assigned
+ */
+const assignNestedIds = (replies) => {
+  if (!replies || !Array.isArray(replies)) return 0;
+  let assigned = 0;
+  replies.forEach(reply => {
+    if (!reply._id) {
+      reply._id = new mongoose.Types.ObjectId();
+      assigned += 1;
+    }
+    assigned += assignNestedIds(reply.replies);
+  });
+  return assigned;
+};
+
+/**
+ * Recursively find a nested reply by ID
+ * Returns the reply holding it (container) and its index, or null
+ */
+const locateNestedReply = (container, nestedId) => {
+  if (!container.replies || !Array.isArray(container.replies)) return null;
+  const targetId = nestedId.toString();
+
+  for (let index = 0; index < container.replies.length; index++) {
+    const reply = container.replies[index];
+    if (reply._id && reply._id.toString() === targetId) {
+      return { container, index };
+    }
+    const found = locateNestedReply(reply, nestedId);
+    if (found) return found;
+  }
+
+  return null;
+};
+
+module.exports = {
+  countNestedReplies,
+  collectNestedIds,
+  collectNestedUserIds,
+  assignNestedIds,
+  locateNestedReply
+};
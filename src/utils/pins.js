@@ -0,0 +1,23 @@
+// Where a pinned post heads the feed: everywhere, or only in its category's feed
+const PIN_SCOPES = ['global', 'category'];
+
+/**
+ * Condition matching the posts pinned at the head of a feed: global pins, and
+ * category pins too when the feed is filtered to a category; expired pins
+ * (pinnedUntil passed) no longer count
+ */
+const pinCondition = (feedQuery, now = new Date()) => ({
+  pinScope: feedQuery.category ? { $in: PIN_SCOPES } : 'global',
+  $or: [{ pinnedUntil: null }, { pinnedUntil: { $gt: now } }]
+});
+
+/**
+ * Whether a post is pinned right now
+ */
+const isPinned = (post, now = new Date()) => Boolean(post.pinScope) && (!post.pinnedUntil || post.pinnedUntil > now);
+
+module.exports = {
+  PIN_SCOPES,
+  pinCondition,
+  isPinned
+};
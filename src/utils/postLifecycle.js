@@ -0,0 +1,137 @@
+const { roleAtLeast } = require('./roles');
+
+/**
+ * Post lifecycle state machine
+ *
+ * Every status change goes through applyTransition. A transition lists the
+ * statuses it may start from, the status it leads to, and who may perform it
+ * ('owner' or a minimum role). Ban and delete remember the status they left
+ * so unban and recover can put the post back where it was. Posts held by
+ * content screening can only be published by an admin approving them.
+ */
+
+// Statuses a banned or deleted post can be restored to
+const RESTORABLE_STATUSES = ['unpublished', 'published', 'hidden'];
+
+const RESTORE = 'restore';
+
+const TRANSITIONS = {
+  publish: { from: ['unpublished', 'hidden'], to: 'published', allowed: ['owner'] },
+  unpublish: { from: ['published', 'hidden'], to: 'unpublished', allowed: ['owner'] },
+  hide: { from: ['unpublished', 'published'], to: 'hidden', allowed: ['owner'] },
+  delete: { from: ['unpublished', 'published', 'hidden'], to: 'deleted', allowed: ['owner'], remember: true },
+  recover: { from: ['deleted'], to: RESTORE, allowed: ['admin'] },
+  ban: { from: ['published'], to: 'banned', allowed: ['admin'], remember: true },
+  unban: { from: ['banned'], to: RESTORE, allowed: ['admin'] },
+  approve: { from: ['unpublished'], to: 'published', allowed: ['admin'], releasesHold: true }
+};
+
+// Archiving does not change the status but is only possible on live posts
+const ARCHIVABLE_STATUSES = ['unpublished', 'published', 'hidden'];
+
+// Transition requested by PUT /posts/:id/status for each target status
+const STATUS_ACTIONS = {
+  published: 'publish',
+  unpublished: 'unpublish',
+  hidden: 'hide'
+};
+
+/**
+ * Whether actor ({ userId, role }) may perform a transition on post
+ */
+const isPermitted = (rule, post, actor) => rule.allowed.some(allowed => (
+  allowed === 'owner' ? post.userId === actor.userId : roleAtLeast(actor.role, allowed)
+));
+
+/**
+ * Transition name for a target status, or null when it cannot be requested directly
+ */
+const actionForStatus = (status) => STATUS_ACTIONS[status] || null;
+
+/**
+ * Apply a transition to a post document (not saved)
+ * Returns { from, to }, or { status, error } when not permitted (403) or illegal (409)
+ */
+const applyTransition = (post, action, actor) => {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw new Error(`Unknown post transition: ${action}`);
+  }
+
+  if (!isPermitted(rule, post, actor)) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  if (!rule.from.includes(post.status)) {
+    return { status: 409, error: `Cannot ${action} a post that is ${post.status}` };
+  }
+
+  if (rule.releasesHold && !post.heldForReview) {
+    return { status: 409, error: 'Post is not held for review' };
+  }
+  if (!rule.releasesHold && rule.to === 'published' && post.heldForReview) {
+    return { status: 409, error: 'Post is held for review' };
+  }
+
+  const from = post.status;
+  const to = rule.to === RESTORE
+    ? (RESTORABLE_STATUSES.includes(post.previousStatus) ? post.previousStatus : 'published')
+    : rule.to;
+
+  post.status = to;
+  post.previousStatus = rule.remember ? from : null;
+  if (to === 'published' && from !== 'published') {
+    post.publishedAt = new Date();
+  }
+  if (rule.releasesHold) {
+    post.heldForReview = false;
+  }
+
+  return { from, to };
+};
+
+/**
+ * Check that a post can be archived or unarchived by actor
+ * Returns null when allowed, or { status, error }
+ */
+const checkArchive = (post, actor) => {
+  if (post.userId !== actor.userId) {
+    return { status: 403, error: 'Access denied' };
+  }
+  if (!ARCHIVABLE_STATUSES.includes(post.status)) {
+    return { status: 409, error: `Cannot archive a post that is ${post.status}` };
+  }
+  return null;
+};
+
+/**
+ * Check that actor may view a post: drafts and hidden posts only by their
+ * owner, banned and deleted posts by their owner or an admin
+ * Returns null when allowed, or { status, error }
+ */
+const checkVisibility = (post, actor) => {
+  const isOwner = post.userId === actor.userId;
+  const isAdmin = roleAtLeast(actor.role, 'admin');
+
+  if (post.status === 'unpublished' && !isOwner) {
+    return { status: 403, error: 'Access denied' };
+  }
+  if (post.status === 'hidden' && !isOwner) {
+    return { status: 403, error: 'This post is hidden' };
+  }
+  if (post.status === 'banned' && !isOwner && !isAdmin) {
+    return { status: 403, error: 'This post has been banned' };
+  }
+  if (post.status === 'deleted' && !isOwner && !isAdmin) {
+    return { status: 404, error: 'Post not found' };
+  }
+  return null;
+};
+
+module.exports = {
+  TRANSITIONS,
+  actionForStatus,
+  applyTransition,
+  checkArchive,
+  checkVisibility
+};
@@ -0,0 +1,56 @@
+// Weight of one reply relative to one reaction in a post's engagement
+const REPLY_WEIGHT = 2;
+
+// Each HOT_DECAY_SECONDS of recency is worth 10x the engagement, so newer
+// posts rise without any periodic rescoring (scores only grow with time)
+const HOT_DECAY_SECONDS = 45000;
+const HOT_EPOCH_SECONDS = Date.UTC(2024, 0, 1) / 1000;
+
+const PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const totalReactions = (reactionCounts) => {
+  if (!reactionCounts) return 0;
+  const values = reactionCounts instanceof Map ? [...reactionCounts.values()] : Object.values(reactionCounts);
+  return values.reduce((sum, count) => sum + Math.max(0, count || 0), 0);
+};
+
+/**
+ * Compute the stored ranking scores of a post
+ * Recency counts from when the post went live (creation for posts without publishedAt)
+ */
+const computeScores = ({ replyCount, reactionCounts, publishedAt, dateCreated }) => {
+  const engagementScore = (replyCount || 0) * REPLY_WEIGHT + totalReactions(reactionCounts);
+  const liveSince = publishedAt || dateCreated;
+  const published = liveSince ? new Date(liveSince).getTime() / 1000 : Date.now() / 1000;
+
+  const order = Math.log10(Math.max(engagementScore, 1));
+  const hotScore = Math.round((order + (published - HOT_EPOCH_SECONDS) / HOT_DECAY_SECONDS) * 1e7) / 1e7;
+
+  return { engagementScore, hotScore };
+};
+
+/**
+ * Start date for a "top of period" listing (null for all time, undefined if unknown)
+ */
+const periodStart = (period) => {
+  if (!Object.prototype.hasOwnProperty.call(PERIODS, period)) return undefined;
+  return PERIODS[period] === null ? null : new Date(Date.now() - PERIODS[period]);
+};
+
+/**
+ * Query condition for posts that went live at or after since
+ */
+const publishedSince = since => ({
+  $or: [{ publishedAt: { $gte: since } }, { publishedAt: null, dateCreated: { $gte: since } }]
+});
+
+module.exports = {
+  computeScores,
+  periodStart,
+  publishedSince
+};
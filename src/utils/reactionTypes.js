@@ -0,0 +1,15 @@
+// Built-in reactions are always available; emoji reactions are configurable
+const BUILT_IN_REACTIONS = ['like', 'upvote'];
+const DEFAULT_EMOJI_REACTIONS = 'heart,laugh,surprised,sad,angry';
+
+// Names become keys of reactionCounts, so keep them to safe identifiers
+const emojiReactions = (process.env.REACTION_EMOJIS || DEFAULT_EMOJI_REACTIONS)
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => /^[a-z0-9_]+$/.test(name));
+
+const REACTION_TYPES = [...new Set([...BUILT_IN_REACTIONS, ...emojiReactions])];
+
+module.exports = {
+  REACTION_TYPES
+};
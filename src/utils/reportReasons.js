@@ -0,0 +1,6 @@
+// Categories a user picks when reporting a post or reply
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'violence', 'sexual_content', 'misinformation', 'off_topic', 'other'];
+
+module.exports = {
+  REPORT_REASONS
+};
@@ -0,0 +1,19 @@
+// Roles ordered by privilege; a role satisfies every requirement for a role below it
+const ROLE_RANK = {
+  user: 0,
+  moderator: 1,
+  admin: 2,
+  super_admin: 3
+};
+
+const ROLES = Object.keys(ROLE_RANK);
+
+/**
+ * Whether role is at least minimum (unknown roles count as 'user')
+ */
+const roleAtLeast = (role, minimum) => (ROLE_RANK[role] || 0) >= ROLE_RANK[minimum];
+
+module.exports = {
+  ROLES,
+  roleAtLeast
+};
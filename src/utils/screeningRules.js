@@ -0,0 +1,110 @@
+/**
+ * Content screening rules
+ *
+ * A rule is { name, policy, check(text), mask?(text) }: check returns true when
+ * the text violates the rule, and mask (only on rules that support the 'mask'
+ * policy) returns the text with the offending parts replaced.
+ */
+
+// What happens to content that violates a rule, mildest first
+const POLICIES = ['off', 'mask', 'hold', 'reject'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words from a configurable list, matched as whole words, case-insensitively
+ */
+const bannedWords = ({ words, policy = 'mask' }) => {
+  const list = (words || []).map(word => word.trim()).filter(Boolean);
+  const pattern = list.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${list.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+    : null;
+
+  return {
+    name: 'banned_words',
+    policy: pattern ? policy : 'off',
+    check: (text) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    },
+    mask: (text) => text.replace(pattern, match => '*'.repeat(match.length))
+  };
+};
+
+const LINK_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+
+/**
+ * More links than maxLinks
+ */
+const excessiveLinks = ({ maxLinks = 3, policy = 'hold' }) => ({
+  name: 'excessive_links',
+  policy,
+  check: (text) => (text.match(LINK_PATTERN) || []).length > maxLinks
+});
+
+// Longest phrase (in words) looked for by repeatedText
+const MAX_PHRASE_WORDS = 3;
+
+// Markdown rules, heading underlines and table separators, e.g. '---', '====', '|:---|---:|'
+const SEPARATOR_LINE = /^[\s|:+*_=-]+$/;
+
+/**
+ * Text without the parts of markdown that repeat characters by design:
+ * fenced code blocks and separator lines
+ */
+const withoutMarkdownLayout = (text) => {
+  let fenced = false;
+  return text.split('\n').filter((line) => {
+    if (/^\s*```/.test(line)) {
+      fenced = !fenced;
+      return false;
+    }
+    return !fenced && !SEPARATOR_LINE.test(line);
+  }).join('\n');
+};
+
+/**
+ * The same word or short phrase maxRepeats or more times in a row,
+ * or a run of 15+ identical non-space characters outside markdown layout
+ */
+const repeatedText = ({ maxRepeats = 5, policy = 'hold' }) => ({
+  name: 'repeated_text',
+  policy,
+  check: (text) => {
+    if (/(\S)\1{14,}/su.test(withoutMarkdownLayout(text))) return true;
+
+    const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    for (let length = 1; length <= MAX_PHRASE_WORDS; length++) {
+      // A phrase of `length` words said k times in a row makes length * (k - 1)
+      // consecutive words equal to the word `length` places before them
+      let run = 0;
+      for (let i = length; i < words.length; i++) {
+        run = words[i] === words[i - length] ? run + 1 : 0;
+        if (run >= length * (maxRepeats - 1)) return true;
+      }
+    }
+    return false;
+  }
+});
+
+/**
+ * Mostly upper-case text (ratio of cased letters), ignoring texts with fewer than minLetters
+ */
+const allCaps = ({ ratio = 0.8, minLetters = 20, policy = 'reject' }) => ({
+  name: 'all_caps',
+  policy,
+  check: (text) => {
+    const letters = text.match(/[\p{Lu}\p{Ll}]/gu) || [];
+    if (letters.length < minLetters) return false;
+    const upper = letters.filter(letter => letter !== letter.toLowerCase()).length;
+    return upper / letters.length >= ratio;
+  }
+});
+
+module.exports = {
+  POLICIES,
+  bannedWords,
+  excessiveLinks,
+  repeatedText,
+  allCaps
+};
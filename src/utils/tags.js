@@ -0,0 +1,44 @@
+// Most tags a post may carry
+const MAX_TAGS = parseInt(process.env.POST_MAX_TAGS) || 5;
+const MAX_TAG_LENGTH = 30;
+
+// Letters and digits in dash-separated words
+const SLUG_PATTERN = /^[\p{L}\p{N}]+(-[\p{L}\p{N}]+)*$/u;
+
+/**
+ * Lower-case a tag or category name into dash-separated words
+ * ('#Node JS' -> 'node-js'); the result may still be invalid
+ */
+const toSlug = value => String(value)
+  .trim()
+  .toLowerCase()
+  .replace(/^#+/, '')
+  .replace(/[\s_]+/g, '-')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '');
+
+const isValidTag = tag => tag.length > 0 && tag.length <= MAX_TAG_LENGTH && SLUG_PATTERN.test(tag);
+
+/**
+ * Normalize a list of tags, dropping repeats
+ */
+const normalizeTags = tags => [...new Set(tags.map(toSlug))];
+
+/**
+ * Parse the ?tags= filter ('a,b' or repeated) into normalized tags
+ * Returns null when a tag is invalid
+ */
+const parseTagFilter = (value) => {
+  const tags = normalizeTags([].concat(value).flatMap(item => String(item).split(',')).filter(item => item.trim()));
+  return tags.every(isValidTag) ? tags : null;
+};
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  SLUG_PATTERN,
+  toSlug,
+  isValidTag,
+  normalizeTags,
+  parseTagFilter
+};
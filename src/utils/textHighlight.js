@@ -0,0 +1,73 @@
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Escape HTML special characters so snippets are safe to render
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the search terms from a $text search string
+ * (quotes and negated terms are stripped)
+ */
+const extractTerms = (search) => {
+  if (!search) return [];
+  const terms = String(search)
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["']/g, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(terms)];
+};
+
+/**
+ * Wrap every occurrence of the terms in <mark> tags
+ * Terms are matched against the raw text, so they never match inside an entity
+ */
+const highlight = (text, terms) => {
+  const source = String(text || '');
+  if (!terms || terms.length === 0) return escapeHtml(source);
+
+  const pattern = terms.map(escapeRegExp).join('|');
+  // With a capturing group, split puts the matches at the odd indices
+  return source.split(new RegExp(`(${pattern})`, 'i'))
+    .map((piece, index) => (index % 2 === 1 ? `<mark>${escapeHtml(piece)}</mark>` : escapeHtml(piece)))
+    .join('');
+};
+
+/**
+ * Build a highlighted snippet around the first matching term
+ */
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  const source = text || '';
+  const lower = source.toLowerCase();
+
+  let matchIndex = -1;
+  for (const term of terms) {
+    const index = lower.indexOf(term);
+    if (index !== -1 && (matchIndex === -1 || index < matchIndex)) {
+      matchIndex = index;
+    }
+  }
+
+  const start = matchIndex === -1 ? 0 : Math.max(0, matchIndex - radius);
+  const end = Math.min(source.length, (matchIndex === -1 ? 0 : matchIndex) + radius * 2);
+
+  let snippet = highlight(source.slice(start, end), terms);
+  if (start > 0) snippet = `…${snippet}`;
+  if (end < source.length) snippet = `${snippet}…`;
+  return snippet;
+};
+
+module.exports = {
+  escapeHtml,
+  extractTerms,
+  highlight,
+  buildSnippet
+};